@@ -2,6 +2,7 @@ import * as THREE from "three";
 import {OrbitControls} from "three/addons/controls/OrbitControls.js";
 import {Api} from "./src/api.js";
 import {loadData} from "./src/fileReader.js";
+import {notify} from "./src/utils.js";
 
 let camera, scene, renderer, controls;
 
@@ -54,12 +55,20 @@ function init() {
     const openDataLoadDialog = ()=>Metro.dialog.open("#dataLoadDialog");
     container.addEventListener("click", openDataLoadDialog);
 
+    // Select atoms and bonds by clicking on them
+    window.api.selection.listen(container);
+
     render();
 
     // Load data when file is uploaded
     function onFileUpload(files) {
         loadData(files).then(
             sections => {
+                // Files that could not be read have been reported
+                if (sections.length === 0) {
+                    return;
+                }
+
                 // We can now remove this listener, since data is loaded
                 container.removeEventListener("click", openDataLoadDialog);
 
@@ -69,11 +78,16 @@ function init() {
                 // Also remove the "no data" message
                 document.getElementById("noDataMessage").style.display = "none";
 
-                window.api.sections.push(...sections);
+                window.api.history.record("Load file", [], () => {
+                    window.api.sections.push(...sections);
+                });
 
                 onDataLoaded(sections);
             }
-        );
+        ).catch(error => {
+            console.error(error);
+            notify(`Could not load file: ${error.message}`, "alert");
+        });
     }
 
     const fileInput = document.getElementById("fileInput");
@@ -91,27 +105,63 @@ function init() {
                 keyEvent.preventDefault();
             }
             break;
+        case "Delete":
+            if (!isTyping(keyEvent)) {
+                window.api.removeSelection();
+            }
+            break;
+        case "KeyZ":
+            if ((keyEvent.ctrlKey || keyEvent.metaKey) && !isTyping(keyEvent)) {
+                if (keyEvent.shiftKey) {
+                    window.api.redo();
+                } else {
+                    window.api.undo();
+                }
+                keyEvent.preventDefault();
+            }
+            break;
+        case "KeyY":
+            if ((keyEvent.ctrlKey || keyEvent.metaKey) && !isTyping(keyEvent)) {
+                window.api.redo();
+                keyEvent.preventDefault();
+            }
+            break;
+        case "KeyM":
+            // Keep the current measurement
+            if (window.api.measurementMode && !isTyping(keyEvent)) {
+                window.api.addMeasurement();
+            }
+            break;
         default:
             break;
         }
     };
 }
 
+// Check if a key event comes from typing in a text field
+function isTyping(keyEvent) {
+    return ["INPUT", "TEXTAREA", "SELECT"].includes(keyEvent.target.tagName);
+}
+
 function onDataLoaded(sections) {
 
-    const centreOfMass = new THREE.Vector3();
-    let atomCount = 0;
-    sections.forEach(s=>s.atoms.forEach(a=>{
-        centreOfMass.add(a.position);
-        atomCount++;
-    }));
-    centreOfMass.divideScalar(atomCount);
+    const centreOfMass = new THREE.Vector3(
+        ...window.api.computeProperties(sections.flatMap(s=>s.atoms)).centreOfMass
+    );
 
     controls.target.copy(centreOfMass);
     controls.update();
 
+    // Several sections are typically the steps of a geometry optimisation
+    // or a molecular dynamics run, so show them as a trajectory
+    if (window.api.sections.length > 1) {
+        window.api.trajectoryMode = true;
+    }
+
     window.api.view.redrawAtomView();
     window.api.view.redrawBondView();
+    window.api.view.redrawIsosurfaces();
+    window.api.updateTimeline();
 
     // Setup directional light and point it at centre.
     const dirLight = new THREE.DirectionalLight(0xffffff, 1);
@@ -150,5 +200,5 @@ function onWindowResize() {
 }
 
 function render() {
-    renderer.render(scene, camera);
+    window.api.render();
 }
\ No newline at end of file
@@ -1,8 +1,41 @@
 import * as THREE from "three";
 import {notify} from "./utils.js";
-import {exportGLTF, saveLuscusFile} from "./fileWriter.js";
+import {bohrToAngstrom} from "./constants.js";
+import {
+    exportGLTF,
+    saveLuscusFile,
+    saveXYZFile,
+    savePDBFile,
+    saveSDFFile,
+    saveMol2File,
+    saveString
+} from "./fileWriter.js";
 import { Section } from "./section.js";
 import { View } from "./view.js";
+import {Selection, atomName} from "./selection.js";
+import {measure, formatMeasurement, Measurements} from "./measurements.js";
+import {Editor} from "./editor.js";
+import {History} from "./history.js";
+import {Hud} from "./hud.js";
+import {AtomLabels} from "./atomLabels.js";
+import {Primitives} from "./primitives.js";
+import {perceiveBonds, mergeBonds} from "./bondPerception.js";
+import {buildCrystal, buildSupercell} from "./crystal.js";
+import {computeProperties, propertiesToCSV} from "./properties.js";
+import {
+    findPointGroup,
+    symmetrizedPositions,
+    createSymmetryElements
+} from "./symmetry.js";
+import {
+    VibrationAnimation,
+    displacementArrows,
+    spectrumSpec
+} from "./vibrations.js";
+
+// Smallest number of grid points along the longest side when evaluating
+// orbitals
+const minOrbitalResolution = 10;
 
 class Api {
     /**
@@ -20,64 +53,309 @@ class Api {
         this.controls = controls;
         this.sections = [];
 
+        // In trajectory mode, sections are treated as frames
+        // and only one is shown at a time
+        this.trajectoryMode = false;
+        this.currentFrame = 0;
+        this.playing = false;
+        this.loopPlayback = true;
+        this.playbackFramerate = 10;
+
         this.view = new View(this);
+        this.selection = new Selection(this);
+        this.measurements = new Measurements(this);
+        // In measurement mode, clicking atoms adds them to the selection
+        this.measurementMode = false;
+        this.editor = new Editor(this);
+        // Undo/redo history of structure changes
+        this.history = new History(this);
+        // Overlay drawn on top of the scene
+        this.hud = new Hud(this);
+        // Labels of atoms, drawn on the overlay
+        this.atomLabels = new AtomLabels(this);
+        // Dipoles, vectors, unit cells, text boxes, etc.
+        this.primitives = new Primitives(this);
+        // Symmetry elements of the last point group found
+        this.symmetryElements = undefined;
+        this.selection.listeners.push(() => this.updatePropertiesWindow());
     }
 
     /**
-     * Create a diamond cubic structure
-     * @param {number} side Side width in number of unit cells
-     * @param {boolean} bonds Include bonds
+     * Undo the last structure change
      */
-    createDiamond(side=10, bonds=true) {
-        const a = 3.567;
-        const unitPoints = [
-            [0,0,0], [0,2,2], [2,0,2], [2,2,0],
-            [3,3,3], [3,1,1], [1,3,1], [1,1,3]
-        ].map(p=>new THREE.Vector3(...p));
-
-        const points = [];
-        for (let x=0; x<side; x++) {
-            for (let y=0; y<side; y++) {
-                for (let z=0; z<side; z++) {
-                    for (const p of unitPoints) {
-                        points.push(
-                            new THREE.Vector3(4*x, 4*y, 4*z).add(p)
-                        )
-                    }
-                }
+    undo() {
+        this.history.undo();
+        this.render();
+    }
+
+    /**
+     * Redo the last undone structure change
+     */
+    redo() {
+        this.history.redo();
+        this.render();
+    }
+
+    /**
+     * Get the sections that should currently be drawn
+     * @returns {Section[]} All sections, or only the current
+     * frame if in trajectory mode
+     */
+    visibleSections() {
+        if (this.trajectoryMode) {
+            const section = this.sections[this.currentFrame];
+            return section === undefined ? [] : [section];
+        }
+        return this.sections;
+    }
+
+    /**
+     * Toggle trajectory mode, where each section is treated as a frame
+     * and only one frame is shown at a time.
+     * @param {boolean} enabled
+     */
+    setTrajectoryMode(enabled=true) {
+        this.trajectoryMode = enabled;
+        if (!enabled) {
+            this.pause();
+        }
+        this.currentFrame = Math.min(this.currentFrame, this.sections.length - 1);
+        this.currentFrame = Math.max(this.currentFrame, 0);
+        this.view.redrawAtomView();
+        this.view.redrawBondView();
+        this.view.redrawIsosurfaces();
+        this.updateTimeline();
+        this.render();
+    }
+
+    /**
+     * Show a given trajectory frame
+     * @param {number} frame Index of the frame (section) to show
+     * @param {boolean} render Render the scene or not
+     */
+    setFrame(frame, render=true) {
+        frame = Math.max(0, Math.min(frame, this.sections.length - 1));
+        if (frame === this.currentFrame) {
+            return;
+        }
+        this.currentFrame = frame;
+        if (this.trajectoryMode) {
+            this.view.redrawFrame();
+        }
+        this.updateTimeline();
+        if (render) {
+            this.render();
+        }
+    }
+
+    /**
+     * Step to the next trajectory frame
+     * @param {boolean} loop Go back to the first frame after the last one
+     * @param {boolean} render Render the scene or not
+     */
+    nextFrame(loop=this.loopPlayback, render=true) {
+        if (this.currentFrame < this.sections.length - 1) {
+            this.setFrame(this.currentFrame + 1, render);
+        } else if (loop) {
+            this.setFrame(0, render);
+        }
+    }
+
+    /**
+     * Step to the previous trajectory frame
+     * @param {boolean} loop Go to the last frame if at the first one
+     */
+    previousFrame(loop=this.loopPlayback) {
+        if (this.currentFrame > 0) {
+            this.setFrame(this.currentFrame - 1);
+        } else if (loop) {
+            this.setFrame(this.sections.length - 1);
+        }
+    }
+
+    /**
+     * Start playing the trajectory
+     */
+    play() {
+        this.pause();
+        this.playing = true;
+        this.playbackTimer = setInterval(() => {
+            if (!this.loopPlayback && this.currentFrame >= this.sections.length - 1) {
+                this.pause();
+            } else {
+                this.nextFrame();
             }
+        }, 1000 / this.playbackFramerate);
+        this.updateTimeline();
+    }
+
+    /**
+     * Pause the trajectory playback
+     */
+    pause() {
+        clearInterval(this.playbackTimer);
+        this.playing = false;
+        this.updateTimeline();
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
         }
+    }
 
-        const section = new Section();
-        this.sections.push(section);
-        const atoms = points.map(p=>
-            this.addAtom(
-                "C",
-                p.clone().multiplyScalar(a/4),
-                undefined,
-                section,
-                false
-            )
-        );
+    /**
+     * Set the trajectory playback speed
+     * @param {number} framerate Frames per second
+     */
+    setPlaybackFramerate(framerate) {
+        if (!(framerate > 0)) {
+            return;
+        }
+        this.playbackFramerate = framerate;
+        if (this.playing) {
+            this.play();
+        }
+    }
 
-        this.view.redrawAtomView();
+    /**
+     * Update the timeline controls to reflect the current frame
+     */
+    updateTimeline() {
+        const timeline = document.getElementById("timeline");
+        if (timeline === null) {
+            return;
+        }
+        timeline.style.display = this.trajectoryMode ? "flex" : "none";
+        const slider = document.getElementById("timelineSlider");
+        slider.max = Math.max(this.sections.length - 1, 0);
+        slider.value = this.currentFrame;
+        document.getElementById("timelineLabel").innerText =
+            `${this.currentFrame + 1} / ${this.sections.length}`;
+        document.getElementById("timelinePlayIcon").className =
+            this.playing ? "mif-pause" : "mif-play";
+        document.getElementById("timelineLoop").checked = this.loopPlayback;
+    }
 
-        if (bonds) {
-            // Not the most efficient way of doing it, I'm sure,
-            // but easy to implement
-            const distLim = 2; // Seems to be about right
-            for (let i=0; i<atoms.length; i++) {
-                for (let j=i+1; j<atoms.length; j++) {
-                    if (atoms[i].position.distanceTo(atoms[j].position) <= distLim) {
-                        this.addBond(atoms[i], atoms[j], 1, false, false);
-                    }
-                }
+    /**
+     * Create a crystal from a lattice and a basis, as a new section with
+     * the unit cell of the whole crystal
+     * @param {{}} options
+     * @param {string | {} | THREE.Vector3[]} options.lattice Name of a
+     * preset ("simpleCubic", "bcc", "fcc", "hcp", "diamond", "zincblende",
+     * "rockSalt", "wurtzite", "graphene" or "graphite"), the cell
+     * parameters {a, b, c, alpha, beta, gamma} (Å and degrees) or the
+     * cell vectors
+     * @param {number} options.a Lattice constant of a preset (Å)
+     * @param {number} options.c Second lattice constant of a hexagonal preset (Å)
+     * @param {string[]} options.elements Elements of the sublattices of a
+     * preset (such as ["Ga", "As"] for zincblende)
+     * @param {{symbol: string, position: number[]}[]} options.basis Element
+     * and fractional coordinates of each site, replacing those of a preset
+     * @param {number | number[]} options.repeats Number of cells along
+     * each cell vector
+     * @param {{miller: number[], layers: number, vacuum: number}} options.slab
+     * If set, cut a slab parallel to the plane with these Miller indices
+     * @param {boolean} options.bonds Include bonds
+     * @returns {Section} The new section
+     */
+    createCrystal(options={}) {
+        const section = buildCrystal(options);
+        const bonds = options.bonds ?? true;
+        return this.history.record("Create crystal", [], () => {
+            section.automaticBonds = bonds;
+            this.sections.push(section);
+            this.view.redrawAtomView([section]);
+
+            if (bonds) {
+                this.perceiveBonds(section, {}, false);
+                this.view.redrawBondView([section]);
             }
 
-            this.view.redrawBondView();
+            this.render();
+            return section;
+        });
+    }
+
+    /**
+     * Create a crystal with the lattice, elements, Miller indices and
+     * repeats entered in the ribbon
+     * @returns {Section} The new section, or undefined if the input is invalid
+     */
+    createCrystalFromForm() {
+        const value = id => document.getElementById(id).value.trim();
+        const elements = value("crystalElements").split(/\s+/).filter(e=>e !== "");
+        const miller = value("crystalMiller").split(/[\s,]+/).filter(v=>v !== "").map(v=>parseInt(v));
+        if (miller.length > 0 && (miller.length !== 3 || miller.some(isNaN))) {
+            notify("Miller indices should be three integers, such as 1 1 1", "warning");
+            return undefined;
         }
+        try {
+            return this.createCrystal({
+                lattice: value("crystalLattice"),
+                elements: elements.length > 0 ? elements : undefined,
+                repeats: ["supercellA", "supercellB", "supercellC"].map(
+                    id=>document.getElementById(id).valueAsNumber || 1
+                ),
+                slab: miller.length > 0 ? {miller: miller} : undefined
+            });
+        } catch (error) {
+            notify(error.message, "alert");
+            return undefined;
+        }
+    }
 
-        this.render();
+    /**
+     * Create a diamond cubic structure
+     * @param {number} side Side width in number of unit cells
+     * @param {boolean} bonds Include bonds
+     * @returns {Section} The new section
+     */
+    createDiamond(side=10, bonds=true) {
+        return this.createCrystal({lattice: "diamond", repeats: side, bonds: bonds});
+    }
+
+    /**
+     * Replace a section that has a unit cell with a supercell, repeating
+     * its atoms along the cell vectors. Atoms are bonded across the
+     * boundaries of the repeated cells.
+     * @param {number[]} repeats Number of cells along each cell vector
+     * @param {Section} section Section to repeat, defaults to the sections
+     * of the selected atoms, or the current frame
+     * @returns {Section[]} The new sections
+     */
+    createSupercell(repeats=[2, 2, 2], section) {
+        const sections = section !== undefined ? [section] :
+            this.selection.atoms.size > 0 ?
+                [...new Set([...this.selection.atoms].map(a=>a.section))] :
+                this.visibleSections();
+        const withCell = sections.filter(s=>s.cell !== undefined && s.cell.vectors.length === 3);
+        if (withCell.length === 0) {
+            notify("There is no unit cell to repeat", "warning");
+            return [];
+        }
+        return this.history.record("Create supercell", [], () => {
+            const created = withCell.map(s => {
+                const supercell = buildSupercell(s, repeats);
+                this.sections[this.sections.indexOf(s)] = supercell;
+                s.atoms.forEach(a=>this.selection.atoms.delete(a));
+                s.bonds.forEach(b=>this.selection.bonds.delete(b));
+                this.measurements.removeAtoms(s.atoms);
+                this.stopVibrationIn([s]);
+                if (this.vibrationSection === s) {
+                    this.vibrationSection = undefined;
+                }
+                return supercell;
+            });
+            this.updateMeasurementWindow();
+            this.view.redrawAtomView(created);
+            this.view.redrawBondView(created);
+            this.selection.changed();
+            this.render();
+            return created;
+        });
     }
 
     /**
@@ -89,26 +367,20 @@ class Api {
      * @param {boolean} redraw Redraw atom view or not
      */
     addAtom(symbol, position, attributes = new Map(), section, redraw=true) {
-        if (section === undefined) {
-            section = new Section();
-            this.sections.push(section);
-        }
-        const atom = {
-            sectionIdx: section.atoms.length + 1, // Keep 1-indexed convention?
-            symbol: symbol,
-            position: position,
-            attributes: attributes,
-            section: section
-        };
-
-        section.atoms.push(atom);
+        return this.history.record("Add atom", [section], () => {
+            if (section === undefined) {
+                section = new Section();
+                this.sections.push(section);
+            }
+            const atom = section.addAtom(symbol, position, attributes);
 
-        if (redraw) {
-            this.view.redrawAtomView();
-            this.render();
-        }
+            if (redraw) {
+                this.view.redrawAtomView([section]);
+                this.render();
+            }
 
-        return atom
+            return atom;
+        });
     }
 
     /**
@@ -120,24 +392,359 @@ class Api {
      * @returns
      */
     addBond(atom1, atom2, order, automatic, redraw=true) {
-        if (atom1.section !== atom2.section) {
-            console.error("Atoms need to belong to the same section to have a bond");
-            return;
+        return this.history.record("Add bond", [atom1.section], () => {
+            if (atom1.section !== atom2.section) {
+                console.error("Atoms need to belong to the same section to have a bond");
+                return;
+            }
+            const section = atom1.section;
+            section.bonds.push({
+                atom1: atom1,
+                atom2: atom2,
+                order: order,
+                automatic: automatic
+            });
+
+            if (redraw) {
+                this.view.redrawBondView([section]);
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Find the bond between two atoms
+     * @param {{}} atom1
+     * @param {{}} atom2
+     * @returns {{}} The bond, or undefined if there is none
+     */
+    findBond(atom1, atom2) {
+        return atom1.section.bonds.find(b =>
+            (b.atom1 === atom1 && b.atom2 === atom2) ||
+            (b.atom1 === atom2 && b.atom2 === atom1)
+        );
+    }
+
+    /**
+     * Bond two atoms, or change the order of their bond if they are
+     * already bonded. The bond is marked as explicitly set (not automatic).
+     * @param {{}} atom1
+     * @param {{}} atom2
+     * @param {number} order Bond order
+     * @param {boolean} redraw Redraw bond view or not
+     * @returns {{}} The bond
+     */
+    setBond(atom1, atom2, order=this.editor.bondOrder, redraw=true) {
+        return this.history.record("Set bond", [atom1.section], () => {
+            let bond = this.findBond(atom1, atom2);
+            if (bond === undefined) {
+                this.addBond(atom1, atom2, order, false, false);
+                bond = this.findBond(atom1, atom2);
+            } else {
+                bond.order = order;
+                bond.automatic = false;
+            }
+
+            if (redraw) {
+                this.view.redrawBondView([atom1.section]);
+                this.render();
+            }
+            return bond;
+        });
+    }
+
+    /**
+     * Remove the bond between two atoms
+     * @param {{}} atom1
+     * @param {{}} atom2
+     * @param {boolean} redraw Redraw bond view or not
+     */
+    removeBond(atom1, atom2, redraw=true) {
+        const bond = this.findBond(atom1, atom2);
+        if (bond !== undefined) {
+            this.removeBonds([bond], redraw);
         }
-        const section = atom1.section;
-        section.bonds.push({
-            atom1: atom1,
-            atom2: atom2,
-            order: order,
-            automatic: automatic
+    }
+
+    /**
+     * Remove bonds. In sections with automatic bonds, removed bonds are
+     * kept with order 0, so that they are not perceived again.
+     * @param {{}[]} bonds Bonds to remove, defaults to the selected bonds
+     * @param {boolean} redraw Redraw bond view or not
+     */
+    removeBonds(bonds=[...this.selection.bonds], redraw=true) {
+        return this.history.record("Remove bonds", bonds.map(b=>b.atom1.section), () => {
+            const removed = new Set(bonds);
+            for (const section of new Set(bonds.map(b=>b.atom1.section))) {
+                if (section.automaticBonds) {
+                    section.bonds.filter(b=>removed.has(b)).forEach(b => {
+                        b.order = 0;
+                        b.automatic = false;
+                    });
+                } else {
+                    section.bonds = section.bonds.filter(b=>!removed.has(b));
+                }
+            }
+            bonds.forEach(b=>this.selection.bonds.delete(b));
+
+            if (redraw) {
+                this.view.redrawBondView(bonds.map(b=>b.atom1.section));
+                this.selection.changed();
+            }
         });
+    }
 
-        if (redraw) {
-            this.view.redrawBondView();
-            this.render();
+    /**
+     * Remove atoms, along with their bonds, measurements and vibrational
+     * displacements. The remaining atoms of each section are renumbered.
+     * @param {{}[]} atoms Atoms to remove, defaults to the selected atoms
+     * @param {boolean} redraw Redraw atom and bond views or not
+     */
+    removeAtoms(atoms=[...this.selection.atoms], redraw=true) {
+        return this.history.record("Remove atoms", atoms.map(a=>a.section), () => {
+            this.stopVibrationIn(atoms.map(a=>a.section));
+            for (const section of new Set(atoms.map(a=>a.section))) {
+                const {bonds} = section.removeAtoms(atoms);
+                bonds.forEach(b=>this.selection.bonds.delete(b));
+            }
+            atoms.forEach(a=>this.selection.atoms.delete(a));
+            this.measurements.removeAtoms(atoms);
+            this.updateMeasurementWindow();
+
+            if (redraw) {
+                const sections = atoms.map(a=>a.section);
+                this.view.redrawAtomView(sections);
+                this.view.redrawBondView(sections);
+                this.selection.changed();
+            }
+        });
+    }
+
+    /**
+     * Remove the selected atoms and bonds, as one undo step
+     */
+    removeSelection() {
+        this.history.group("Delete", () => {
+            this.removeAtoms();
+            this.removeBonds();
+        });
+    }
+
+    /**
+     * Remove a section, with everything in it
+     * @param {Section} section Section to remove, defaults to the
+     * sections of the selected atoms
+     * @param {boolean} redraw Redraw the view or not
+     */
+    removeSection(section, redraw=true) {
+        return this.history.record("Remove section", [], () => {
+            const sections = section !== undefined ? [section] :
+                [...new Set([...this.selection.atoms].map(a=>a.section))];
+            for (const s of sections) {
+                const index = this.sections.indexOf(s);
+                if (index < 0) {
+                    continue;
+                }
+                this.sections.splice(index, 1);
+                if (index < this.currentFrame) {
+                    this.currentFrame--;
+                }
+                s.atoms.forEach(a=>this.selection.atoms.delete(a));
+                s.bonds.forEach(b=>this.selection.bonds.delete(b));
+                this.measurements.removeAtoms(s.atoms);
+                this.stopVibrationIn([s]);
+                if (this.vibrationSection === s) {
+                    this.vibrationSection = undefined;
+                }
+            }
+            this.currentFrame = Math.max(0, Math.min(this.currentFrame, this.sections.length - 1));
+            this.updateMeasurementWindow();
+
+            if (redraw) {
+                // Only newly visible sections (if any) need to be drawn
+                this.view.redrawAtomView([]);
+                this.view.redrawBondView([]);
+                this.view.redrawIsosurfaces();
+                this.updateTimeline();
+                this.selection.changed();
+            }
+        });
+    }
+
+    /**
+     * Move atoms to another section. Bonds between the moved atoms are
+     * moved with them, while bonds to atoms left behind are removed.
+     * @param {{}[]} atoms Atoms to move, defaults to the selected atoms
+     * @param {Section} section Section to move to, a new section is
+     * created if undefined
+     * @param {boolean} redraw Redraw the view or not
+     * @returns {Section} The section the atoms were moved to
+     */
+    moveAtomsToSection(atoms=[...this.selection.atoms], section, redraw=true) {
+        return this.history.record("Move atoms to section", [section, ...atoms.map(a=>a.section)], () => {
+            if (section === undefined) {
+                section = new Section();
+                this.sections.push(section);
+            }
+            const moved = new Set(atoms);
+            atoms = atoms.filter(a=>a.section !== section);
+            const changed = [section, ...atoms.map(a=>a.section)];
+            this.stopVibrationIn(changed);
+            for (const s of new Set(atoms.map(a=>a.section))) {
+                const {bonds} = s.removeAtoms(atoms);
+                section.bonds.push(...bonds.filter(
+                    b=>moved.has(b.atom1) && moved.has(b.atom2)
+                ));
+                bonds.filter(
+                    b=>!moved.has(b.atom1) || !moved.has(b.atom2)
+                ).forEach(b=>this.selection.bonds.delete(b));
+            }
+            for (const atom of atoms) {
+                atom.section = section;
+                section.atoms.push(atom);
+            }
+            section.renumberAtoms();
+            // Keep the displacements of the section aligned with its atoms
+            for (const v of section.vibrations) {
+                while (v.displacements.length < section.atoms.length) {
+                    v.displacements.push(new THREE.Vector3());
+                }
+            }
+            if (section.automaticBonds) {
+                this.perceiveBonds(section, {}, false);
+            }
+
+            if (redraw) {
+                this.view.redrawAtomView(changed);
+                this.view.redrawBondView(changed);
+                this.updateTimeline();
+                this.selection.changed();
+            }
+            return section;
+        });
+    }
+
+    /**
+     * Vibration animations and arrows refer to atoms by their index, so
+     * stop them if atoms are removed from (or added to) their section
+     * @param {Section[]} sections Sections that are changed
+     */
+    stopVibrationIn(sections) {
+        if (sections.includes(this.vibrationSection)) {
+            this.stopVibration();
+            this.hideDisplacementArrows();
         }
     }
 
+    /**
+     * Get the pairs of atoms to bond or unbond from the selection: the
+     * atoms of the selected bonds, and the two selected atoms (if two)
+     * @returns {{}[][]} List of atom pairs
+     */
+    selectedAtomPairs() {
+        const pairs = [...this.selection.bonds].map(b=>[b.atom1, b.atom2]);
+        if (this.selection.atoms.size === 2) {
+            pairs.push([...this.selection.atoms]);
+        }
+        return pairs;
+    }
+
+    /**
+     * Bond the selected atoms, or change the order of the selected bonds
+     * @param {number} order Bond order
+     */
+    bondSelection(order=this.editor.bondOrder) {
+        return this.history.group("Bond", () => {
+            const pairs = this.selectedAtomPairs();
+            if (pairs.length === 0) {
+                notify("Select two atoms or a bond", "warning");
+                return;
+            }
+            for (const [a1, a2] of pairs) {
+                if (a1.section !== a2.section) {
+                    notify("Atoms need to belong to the same section to have a bond", "warning");
+                    continue;
+                }
+                this.setBond(a1, a2, order, false);
+            }
+            this.view.redrawBondView(pairs.map(([a1]) => a1.section));
+            this.selection.changed();
+        });
+    }
+
+    /**
+     * Remove the selected bonds, or the bond between the two selected atoms
+     */
+    unbondSelection() {
+        return this.history.group("Unbond", () => {
+            const pairs = this.selectedAtomPairs();
+            if (pairs.length === 0) {
+                notify("Select two atoms or a bond", "warning");
+                return;
+            }
+            pairs.forEach(([a1, a2]) => this.removeBond(a1, a2, false));
+            this.view.redrawBondView(pairs.map(([a1]) => a1.section));
+            this.selection.changed();
+        });
+    }
+
+    /**
+     * Change the element of atoms. Bonds are perceived again in sections
+     * with automatic bonds.
+     * @param {{}[]} atoms Atoms to change, defaults to the selected atoms
+     * @param {string} symbol New element symbol (or atom label)
+     */
+    setElement(atoms=[...this.selection.atoms], symbol=this.editor.element) {
+        return this.history.record("Set element", atoms.map(a=>a.section), () => {
+            atoms.forEach(a=>a.symbol = symbol);
+            for (const section of new Set(atoms.map(a=>a.section))) {
+                if (section.automaticBonds) {
+                    this.perceiveBonds(section, {}, false);
+                }
+            }
+            // Perceived bonds are replaced, so forget the old ones
+            for (const b of this.selection.bonds) {
+                if (!b.atom1.section.bonds.includes(b)) {
+                    this.selection.bonds.delete(b);
+                }
+            }
+            const sections = atoms.map(a=>a.section);
+            this.view.redrawAtomView(sections);
+            this.view.redrawBondView(sections);
+            this.selection.changed();
+        });
+    }
+
+    /**
+     * Automatically find bonds in a section, based on the covalent radii of
+     * the atoms. Explicitly set (non-automatic) bonds are kept and take
+     * precedence over perceived ones.
+     * @param {Section} section Section to find bonds in
+     * @param {{}} options
+     * @param {number} options.tolerance Added to the sum of covalent radii (Å)
+     * @param {number} options.minDistance Atoms closer than this are not bonded (Å)
+     * @param {number} options.order Bond order to assign to the new bonds
+     * @param {boolean} redraw Redraw bond view or not
+     * @returns {{}[]} The perceived bonds
+     */
+    perceiveBonds(section, options = {}, redraw=true) {
+        return this.history.record("Perceive bonds", [section], () => {
+            const perceived = perceiveBonds(section.atoms, options);
+            section.bonds = mergeBonds(
+                perceived,
+                section.bonds.filter(b=>!b.automatic)
+            );
+            section.automaticBonds = true;
+
+            if (redraw) {
+                this.view.redrawBondView([section]);
+                this.render();
+            }
+
+            return perceived;
+        });
+    }
+
     /**
      *
      * @param {{}[]} atoms
@@ -146,35 +753,357 @@ class Api {
      * @param {THREE.Vector3} origin
      */
     transformAtoms(atoms, translation = new THREE.Vector3(), quaternion, origin) {
-        for (const atom of atoms) {
-            atom.position.add(translation);
-        }
+        return this.history.recordPositions("Transform atoms", atoms, () => {
+            for (const atom of atoms) {
+                atom.position.add(translation);
+            }
 
-        if (quaternion !== undefined) {
-            if (origin === undefined) {
-                origin = new THREE.Vector3();
+            if (quaternion !== undefined) {
+                if (origin === undefined) {
+                    origin = new THREE.Vector3();
+                    for (const atom of atoms) {
+                        origin.add(atom.position);
+                    }
+                    origin.divideScalar(atoms.length);
+                }
                 for (const atom of atoms) {
-                    origin.add(atom.position);
+                    atom.position.sub(origin);
+                    atom.position.applyQuaternion(quaternion);
+                    atom.position.add(origin);
                 }
-                origin.divideScalar(atoms.length);
             }
-            for (const atom of atoms) {
-                atom.position.sub(origin);
-                atom.position.applyQuaternion(quaternion);
-                atom.position.add(origin);
+
+            this.view.updateAtomPositions(atoms);
+
+            this.render();
+        });
+    }
+
+    /**
+     * Get the section to find the symmetry of
+     * @returns {Section} The section of the selected atoms, or the
+     * first visible section if nothing is selected
+     */
+    symmetrySection() {
+        const atom = this.selection.atoms.values().next().value;
+        return atom?.section ?? this.visibleSections()[0];
+    }
+
+    /**
+     * Find the point group of a section (from C1 up to Oh and Ih), and show
+     * its symmetry elements: rotation axes, mirror planes and inversion centre
+     * @param {Section} section Defaults to the section of the selected
+     * atoms, or the current frame
+     * @param {number} tolerance Largest distance between an atom moved by a
+     * symmetry operation and the atom it is moved onto (Å)
+     * @returns {{}} The point group and its symmetry elements, see
+     * findPointGroup() in symmetry.js, or undefined if there are no atoms
+     */
+    detectPointGroup(section=this.symmetrySection(), tolerance=0.1) {
+        if (section === undefined || section.atoms.length === 0) {
+            notify("There are no atoms to find the symmetry of", "warning");
+            return undefined;
+        }
+        const result = findPointGroup(section.atoms, tolerance);
+        this.showSymmetryElements(result, section);
+        notify(`Point group: ${result.pointGroup}`, "info");
+        return result;
+    }
+
+    /**
+     * Move the atoms of a section to positions with the exact symmetry of
+     * its point group, optionally also moving it to the standard orientation
+     * of the point group (with the centre of mass at the origin and the
+     * principal axis along z). Vibrations are rotated with the atoms, while
+     * the unit cell and graphical objects are left as they are.
+     * @param {Section} section Defaults to the section of the selected
+     * atoms, or the current frame
+     * @param {number} tolerance Largest distance between an atom moved by a
+     * symmetry operation and the atom it is moved onto (Å)
+     * @param {boolean} reorient Move to the standard orientation
+     * @returns {{}} The point group, or undefined if there are no atoms
+     */
+    symmetrize(section=this.symmetrySection(), tolerance=0.1, reorient=false) {
+        if (section === undefined || section.atoms.length === 0) {
+            notify("There are no atoms to symmetrize", "warning");
+            return undefined;
+        }
+        const atoms = section.atoms;
+        const result = findPointGroup(atoms, tolerance);
+        let positions;
+        try {
+            positions = symmetrizedPositions(atoms, result, tolerance);
+        } catch (error) {
+            notify(error.message, "alert");
+            return undefined;
+        }
+        if (!reorient) {
+            // Back to the original orientation and position
+            const inverse = result.frame.clone().transpose();
+            positions.forEach(p=>p.applyMatrix3(inverse).add(result.centre));
+        }
+
+        this.stopVibrationIn([section]);
+        this.history.group("Symmetrize", () => {
+            this.history.recordPositions("Symmetrize", atoms, () => {
+                atoms.forEach((a, i) => a.position.copy(positions[i]));
+                this.view.updateAtomPositions(atoms);
+            });
+            if (reorient && section.vibrations.length > 0) {
+                this.history.record("Reorient vibrations", [section], () => {
+                    for (const v of section.vibrations) {
+                        v.displacements = v.displacements.map(d=>d.clone().applyMatrix3(result.frame));
+                    }
+                });
             }
+        });
+        this.showSymmetryElements(findPointGroup(atoms, tolerance), section);
+        notify(`Symmetrized to ${result.pointGroup}`, "info");
+        return result;
+    }
+
+    /**
+     * Show the symmetry elements of a point group in the scene, replacing
+     * those shown before
+     * @param {{}} result Point group, from findPointGroup()
+     * @param {Section} section Section it was found for, to size the elements
+     */
+    showSymmetryElements(result, section) {
+        this.hideSymmetryElements();
+        const size = section.atoms.reduce(
+            (max, a) => Math.max(max, a.position.distanceTo(result.centre)), 0
+        ) + 1;
+        this.symmetryElements = createSymmetryElements(result, size);
+        this.scene.add(this.symmetryElements);
+        this.render();
+    }
+
+    /**
+     * Remove the symmetry elements from the scene
+     */
+    hideSymmetryElements() {
+        if (this.symmetryElements === undefined) {
+            return;
+        }
+        this.scene.remove(this.symmetryElements);
+        this.symmetryElements.traverse(o => {
+            o.geometry?.dispose();
+            o.material?.map?.dispose();
+            o.material?.dispose();
+        });
+        this.symmetryElements = undefined;
+        this.render();
+    }
+
+    /**
+     * Measure the distance, angle or dihedral angle between atoms
+     * @param {{}[]} atoms Two, three or four atoms, defaults to the
+     * selected atoms
+     * @returns {{type: string, value: number, unit: string}} Distance
+     * in Å or angle in degrees
+     */
+    measure(atoms=[...this.selection.atoms]) {
+        return measure(atoms);
+    }
+
+    /**
+     * Add a measurement, shown in the scene until removed
+     * @param {{}[]} atoms Two, three or four atoms, defaults to the
+     * selected atoms
+     * @returns {{}} The measurement
+     */
+    addMeasurement(atoms=[...this.selection.atoms]) {
+        if (atoms.length < 2 || atoms.length > 4) {
+            notify("Select two, three or four atoms to measure", "warning");
+            return;
         }
+        const measurement = this.measurements.add(atoms);
+        if (this.measurementMode) {
+            // Ready for the next measurement
+            this.selection.clear();
+        }
+        this.updateMeasurementWindow();
+        this.render();
+        return measurement;
+    }
 
-        this.view.updateAtomPositions(atoms);
+    /**
+     * Remove a measurement
+     * @param {number} index Index of the measurement in the list
+     */
+    removeMeasurement(index) {
+        this.measurements.remove(this.measurements.items[index]);
+        this.updateMeasurementWindow();
+        this.render();
+    }
 
+    clearMeasurements() {
+        this.measurements.clear();
+        this.updateMeasurementWindow();
         this.render();
     }
 
+    /**
+     * Toggle measurement mode, where clicked atoms are added to the
+     * selection (and measured in the status bar) until the measurement
+     * is added.
+     * @param {boolean} enabled
+     */
+    setMeasurementMode(enabled=!this.measurementMode) {
+        this.measurementMode = enabled;
+        this.selection.clear();
+        notify(enabled ?
+            "Measurement mode: click two, three or four atoms, then press M (or Add) to keep the measurement" :
+            "Measurement mode off",
+        "info");
+    }
+
+    /**
+     * Show a window listing all measurements
+     */
+    showMeasurementWindow() {
+        // eslint-disable-next-line no-undef
+        Metro.window.create({
+            title: "Measurements",
+            place: "right",
+            width: 400,
+            icon: "<span class='mif-ruler'></span>",
+            content: `
+<div style="max-height: 300px; overflow-y: auto">
+<table class="table compact striped">
+    <thead><tr><th>Type</th><th>Atoms</th><th>Value</th><th></th></tr></thead>
+    <tbody id="measurementTable"></tbody>
+</table>
+</div>
+<button class="primary button" onclick="api.addMeasurement()"><span class="mif-plus"></span> Add</button>
+<button class="button" onclick="api.setMeasurementMode()"><span class="mif-ruler"></span> Measurement mode</button>
+<button class="button" onclick="api.exportMeasurementsCSV()"><span class="mif-download"></span> CSV</button>
+<button class="button" onclick="api.clearMeasurements()"><span class="mif-bin"></span> Clear</button>
+`
+        });
+        this.updateMeasurementWindow();
+    }
+
+    /**
+     * Update the list in the measurement window, if it is open
+     */
+    updateMeasurementWindow() {
+        const table = document.getElementById("measurementTable");
+        if (table === null) {
+            return;
+        }
+        table.innerHTML = this.measurements.items.map((m, i) => `
+<tr>
+    <td>${m.type}</td><td>${m.atoms.map(atomName).join(" ")}</td>
+    <td>${formatMeasurement(m)}</td>
+    <td><button class="button square small" onclick="api.removeMeasurement(${i})" title="Remove"><span class="mif-cross"></span></button></td>
+</tr>`).join("");
+    }
+
+    /**
+     * Save all measurements as a CSV file
+     * @param {string} name Filename
+     */
+    exportMeasurementsCSV(name="measurements") {
+        saveString(this.measurements.toCSV(), name+".csv");
+    }
+
+    /**
+     * Calculate the formula, mass, centre of mass, principal moments of
+     * inertia, bounding box, element counts and (if atoms have charges)
+     * dipole moment of a section or a set of atoms
+     * @param {Section | {}[]} target Section or list of atoms, defaults to
+     * the selected atoms, or the first visible section if nothing is selected
+     * @param {string} chargeAttribute Atom attribute holding the charges
+     * @returns {{}} Properties, see computeProperties() in properties.js
+     */
+    computeProperties(target, chargeAttribute="charge") {
+        if (target === undefined) {
+            target = this.selection.atoms.size > 0 ? [...this.selection.atoms] :
+                this.visibleSections()[0]?.atoms ?? [];
+        }
+        return computeProperties(Array.isArray(target) ? target : target.atoms, chargeAttribute);
+    }
+
+    /**
+     * Show a window with the properties of the selection, or of the
+     * current section if nothing is selected
+     */
+    showPropertiesWindow() {
+        // eslint-disable-next-line no-undef
+        Metro.window.create({
+            title: "Properties",
+            place: "right",
+            width: 400,
+            icon: "<span class='mif-info'></span>",
+            content: `
+<div style="max-height: 300px; overflow-y: auto">
+<table class="table compact striped">
+    <thead><tr><th>Property</th><th>Value</th></tr></thead>
+    <tbody id="propertiesTable"></tbody>
+</table>
+</div>
+<button class="button" onclick="api.updatePropertiesWindow()"><span class="mif-loop2"></span> Refresh</button>
+<button class="button" onclick="api.exportPropertiesJSON()"><span class="mif-download"></span> JSON</button>
+<button class="button" onclick="api.exportPropertiesCSV()"><span class="mif-download"></span> CSV</button>
+`
+        });
+        this.updatePropertiesWindow();
+    }
+
+    /**
+     * Update the properties window, if it is open
+     */
+    updatePropertiesWindow() {
+        const table = document.getElementById("propertiesTable");
+        if (table === null) {
+            return;
+        }
+        const p = this.computeProperties();
+        const vector = (v, digits=4) => v.map(x=>x.toFixed(digits)).join(", ");
+        const rows = [
+            ["Atoms", `${p.atomCount}${this.selection.atoms.size > 0 ? " (selected)" : ""}`],
+            ["Formula", p.formula],
+            ["Elements", Object.entries(p.elementCounts).map(([s, n]) => `${n} ${s}`).join(", ")],
+            ["Mass", `${p.mass.toFixed(4)} amu`],
+            ["Centre of mass", `(${vector(p.centreOfMass)}) Å`],
+            ["Principal moments", `${vector(p.principalMoments, 3)} amu·Å²`]
+        ];
+        if (p.boundingBox !== undefined) {
+            rows.push(["Bounding box", `${vector(p.boundingBox.size, 3)} Å`]);
+        }
+        if (p.dipole !== undefined) {
+            rows.push(
+                ["Charge", `${p.charge.toFixed(4)} e`],
+                ["Dipole", `${p.dipole.magnitude.toFixed(4)} D (${vector(p.dipole.vector)})`]
+            );
+        }
+        table.innerHTML = rows.map(([name, value]) => `<tr><td>${name}</td><td>${value}</td></tr>`).join("");
+    }
+
+    /**
+     * Save the properties of the selection (or the current section) as JSON
+     * @param {string} name Filename
+     */
+    exportPropertiesJSON(name="properties") {
+        saveString(JSON.stringify(this.computeProperties(), null, 2), name+".json");
+    }
+
+    /**
+     * Save the properties of the selection (or the current section) as CSV
+     * @param {string} name Filename
+     */
+    exportPropertiesCSV(name="properties") {
+        saveString(propertiesToCSV(this.computeProperties()), name+".csv");
+    }
+
     /**
      * Render the scene
      */
     render() {
         this.renderer.render(this.scene, this.camera);
+        this.atomLabels.update();
+        this.hud.render();
     }
 
     /**
@@ -190,6 +1119,7 @@ class Api {
         const height = canvas.height;
         canvas.width = width*scalingFactor;
         canvas.height = height*scalingFactor;
+        this.hud.scale *= scalingFactor;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(canvas.width, canvas.height);
         this.render();
@@ -203,6 +1133,41 @@ class Api {
         saveLuscusFile(this.sections, name);
     }
 
+    /**
+     * Save the current sections as an XYZ file, with one frame per section
+     * @param {string} name Filename
+     * @param {boolean} extended Save as extended XYZ, with the unit cell
+     * and the atom and section attributes
+     */
+    saveXYZ(name="file", extended=false) {
+        saveXYZFile(this.sections, name, extended);
+    }
+
+    /**
+     * Save all sections as a PDB file, with one model per section
+     * @param {string} name Filename, without extension
+     */
+    savePDB(name="file") {
+        savePDBFile(this.sections, name);
+    }
+
+    /**
+     * Save all sections as an SD file, with one MOL record per section
+     * and the section attributes as data fields
+     * @param {string} name Filename, without extension
+     */
+    saveSDF(name="file") {
+        saveSDFFile(this.sections, name);
+    }
+
+    /**
+     * Save all sections as a Tripos Mol2 file, with one molecule per section
+     * @param {string} name Filename, without extension
+     */
+    saveMol2(name="file") {
+        saveMol2File(this.sections, name);
+    }
+
     /**
      * Export the scene as a glTF/glb 3D shape file.
      * @param {THREE.Scene} scene Scene to export
@@ -246,7 +1211,346 @@ class Api {
         });
     }
 
-    showVideoExportWindow() {
+    /**
+     * Show a window listing the vibrational normal modes of a section,
+     * with a plot of the IR spectrum and controls to animate the modes.
+     * @param {Section} section Section with vibrations, defaults to the
+     * first visible section that has any
+     */
+    showVibrationWindow(section) {
+        if (section === undefined) {
+            section = this.visibleSections().find(s=>s.vibrations.length > 0);
+        }
+        if (section === undefined) {
+            notify("No vibrations loaded", "warning");
+            return;
+        }
+        this.vibrationSection = section;
+        this.selectedVibration = 0;
+
+        const format = v => v === undefined ? "" : v.toFixed(2);
+        const rows = section.vibrations.map((v, i) => `
+<tr id="vibrationRow${i}" onclick="api.selectVibration(${i})" style="cursor: pointer">
+    <td>${i+1}</td><td>${format(v.frequency)}</td>
+    <td>${format(v.irIntensity)}</td><td>${format(v.ramanIntensity)}</td>
+</tr>`).join("");
+
+        // eslint-disable-next-line no-undef
+        Metro.window.create({
+            title: "Vibrations",
+            place: "right",
+            width: 400,
+            icon: "<span class='mif-chart-line'></span>",
+            content: `
+<div id="vibrationSpectrum" style="width: 100%"></div>
+<div style="max-height: 200px; overflow-y: auto">
+<table class="table compact striped row-hover">
+    <thead><tr><th>Mode</th><th>Freq. (cm⁻¹)</th><th>IR int.</th><th>Raman int.</th></tr></thead>
+    <tbody>${rows}</tbody>
+</table>
+</div>
+<div class="form-group">
+    <input type="number" value="1" step="0.1" id="vibrationAmplitude" data-role="input" data-prepend="Amplitude" data-append="times">
+</div>
+<div class="form-group">
+    <input type="number" value="1" step="0.1" id="vibrationPeriod" data-role="input" data-prepend="Period" data-append="s">
+</div>
+<button class="primary button" onclick="api.animateVibration()"><span class="mif-play"></span> Animate</button>
+<button class="button" onclick="api.stopVibration()"><span class="mif-stop"></span> Stop</button>
+<button class="button" onclick="api.toggleDisplacementArrows()"><span class="mif-arrow-up-right"></span> Arrows</button>
+<button class="button" onclick="api.showVideoExportWindow('api.exportVibrationVideo()')"><span class="mif-video-camera"></span> Video</button>
+`
+        });
+
+        // eslint-disable-next-line no-undef
+        vegaEmbed("#vibrationSpectrum", spectrumSpec(section.vibrations), {actions: false});
+
+        this.selectVibration(0);
+    }
+
+    /**
+     * Select which normal mode to animate or show arrows for
+     * @param {number} index Index of the normal mode
+     */
+    selectVibration(index) {
+        const previous = document.getElementById(`vibrationRow${this.selectedVibration}`);
+        if (previous !== null) {
+            previous.classList.remove("bg-lightCyan");
+        }
+        this.selectedVibration = index;
+        const row = document.getElementById(`vibrationRow${index}`);
+        if (row !== null) {
+            row.classList.add("bg-lightCyan");
+        }
+
+        // Update whatever is currently shown to the new mode
+        if (this.vibrationAnimation !== undefined && this.vibrationAnimation.running) {
+            this.animateVibration();
+        }
+        if (this.displacementArrows !== undefined) {
+            this.showDisplacementArrows();
+        }
+    }
+
+    /**
+     * Animate a normal mode, oscillating the atoms around their
+     * equilibrium positions.
+     * @param {number} index Index of the normal mode
+     * @param {number} amplitude Multiplier for the displacement vectors
+     * @param {number} period Duration of one oscillation, in seconds
+     * @param {Section} section Section with the vibrations
+     */
+    animateVibration(index=this.selectedVibration, amplitude, period, section=this.vibrationSection) {
+        if (amplitude === undefined) {
+            amplitude = document.getElementById("vibrationAmplitude").valueAsNumber;
+        }
+        if (period === undefined) {
+            period = document.getElementById("vibrationPeriod").valueAsNumber;
+        }
+        this.stopVibration();
+        this.vibrationAnimation = new VibrationAnimation(
+            this, section, section.vibrations[index], amplitude, period
+        );
+        this.vibrationAnimation.start();
+    }
+
+    /**
+     * Stop any normal mode animation, putting the atoms
+     * back at their equilibrium positions
+     */
+    stopVibration() {
+        if (this.vibrationAnimation !== undefined) {
+            this.vibrationAnimation.stop();
+            this.vibrationAnimation = undefined;
+        }
+    }
+
+    /**
+     * Show arrows for the displacement vectors of a normal mode
+     * @param {number} index Index of the normal mode
+     * @param {number} scale Multiplier for the arrow lengths
+     * @param {Section} section Section with the vibrations
+     */
+    showDisplacementArrows(index=this.selectedVibration, scale=2, section=this.vibrationSection) {
+        this.hideDisplacementArrows();
+        this.displacementArrows = displacementArrows(
+            section.atoms, section.vibrations[index], scale
+        );
+        this.scene.add(this.displacementArrows);
+        this.render();
+    }
+
+    hideDisplacementArrows() {
+        if (this.displacementArrows !== undefined) {
+            this.scene.remove(this.displacementArrows);
+            this.displacementArrows = undefined;
+            this.render();
+        }
+    }
+
+    toggleDisplacementArrows() {
+        if (this.displacementArrows !== undefined) {
+            this.hideDisplacementArrows();
+        } else {
+            this.showDisplacementArrows();
+        }
+    }
+
+    /**
+     * Export a video of one oscillation of a normal mode
+     * @param {string} format Video format ("webm", "gif", "png", or "jpg")
+     * @param {number} framerate Number of frames per second
+     * @param {number} scaleFactor Multiplier to increase the video resolution
+     * @param {number} nFrames Number of frames in the oscillation
+     * @param {number} index Index of the normal mode
+     * @param {number} amplitude Multiplier for the displacement vectors
+     * @param {Section} section Section with the vibrations
+     */
+    exportVibrationVideo(format, framerate, scaleFactor, nFrames=48, index=this.selectedVibration, amplitude, section=this.vibrationSection) {
+        if (amplitude === undefined) {
+            amplitude = document.getElementById("vibrationAmplitude").valueAsNumber;
+        }
+        this.stopVibration();
+        const animation = new VibrationAnimation(
+            this, section, section.vibrations[index], amplitude
+        );
+        this.exportVideo(
+            format, framerate, scaleFactor, undefined,
+            frame => animation.setPhase(frame / nFrames), nFrames
+        ).then(() => animation.stop());
+    }
+
+    /**
+     * Show a window listing the molecular orbitals of a section (as loaded
+     * from a Molden file), where orbitals and the total density can be
+     * evaluated on a grid and shown as isosurfaces.
+     * @param {Section} section Section with orbitals, defaults to the
+     * first visible section that has any
+     */
+    showOrbitalWindow(section) {
+        if (section === undefined) {
+            section = this.visibleSections().find(s=>s.orbitals.length > 0);
+        }
+        if (section === undefined) {
+            notify("No orbitals loaded", "warning");
+            return;
+        }
+        this.orbitalSection = section;
+
+        const rows = section.orbitals.map((o, i) => `
+<tr ondblclick="api.evaluateOrbital(${i})" style="cursor: pointer" title="Double-click to evaluate">
+    <td>${i+1}</td><td>${o.symmetry}</td><td>${o.energy.toFixed(4)}</td>
+    <td>${o.occupation.toFixed(3)}</td><td>${o.spin}</td>
+</tr>`).join("");
+
+        // eslint-disable-next-line no-undef
+        Metro.window.create({
+            title: "Orbitals",
+            place: "right",
+            width: 400,
+            icon: "<span class='mif-blur-on'></span>",
+            content: `
+<div style="max-height: 300px; overflow-y: auto">
+<table class="table compact striped row-hover">
+    <thead><tr><th>#</th><th>Sym.</th><th>Energy (Eₕ)</th><th>Occ.</th><th>Spin</th></tr></thead>
+    <tbody>${rows}</tbody>
+</table>
+</div>
+<div class="form-group">
+    <input type="number" value="60" min="${minOrbitalResolution}" id="orbitalResolution" data-role="input" data-prepend="Resolution" data-append="points">
+    <small class="text-muted">Number of grid points along the longest side</small>
+</div>
+<button class="button" onclick="api.evaluateDensity()">Total density</button>
+<div id="orbitalProgress" data-role="progress" data-value="0" style="display: none"></div>
+`
+        });
+    }
+
+    /**
+     * Evaluate a molecular orbital on a grid around the molecule (in a web
+     * worker) and show it as an isosurface.
+     * @param {number} index Index of the orbital
+     * @param {number} resolution Number of grid points along the longest side
+     * @param {Section} section Section with orbitals
+     * @returns {Promise} Resolves to the new volume, or undefined if it
+     * could not be evaluated
+     */
+    evaluateOrbital(index, resolution, section=this.orbitalSection) {
+        const o = section.orbitals[index];
+        return this.evaluateOrbitalVolume(
+            section, [o], undefined,
+            `MO ${index+1} ${o.symmetry} (${o.energy.toFixed(3)})`,
+            resolution
+        );
+    }
+
+    /**
+     * Evaluate the total electron density on a grid around the molecule
+     * (in a web worker) and show it as an isosurface.
+     * @param {number} resolution Number of grid points along the longest side
+     * @param {Section} section Section with orbitals
+     * @returns {Promise} Resolves to the new volume, or undefined if it
+     * could not be evaluated
+     */
+    evaluateDensity(resolution, section=this.orbitalSection) {
+        const occupied = section.orbitals.filter(o=>o.occupation > 0);
+        return this.evaluateOrbitalVolume(
+            section, occupied, occupied.map(o=>o.occupation),
+            "Total density", resolution
+        );
+    }
+
+    evaluateOrbitalVolume(section, orbitals, occupations, name, resolution, margin=4) {
+        if (resolution === undefined) {
+            resolution = document.getElementById("orbitalResolution")?.valueAsNumber;
+        }
+        // An empty or invalid input gives NaN
+        resolution = Math.max(Math.round(resolution) || 60, minOrbitalResolution);
+
+        // Grid with equal spacing, covering the molecule with a margin
+        const box = new THREE.Box3().setFromPoints(section.atoms.map(a=>a.position));
+        box.expandByScalar(margin);
+        const size = box.getSize(new THREE.Vector3());
+        const step = Math.max(size.x, size.y, size.z) / (resolution - 1);
+        const dims = size.toArray().map(v=>Math.ceil(v / step) + 1);
+        const axes = [
+            new THREE.Vector3(step, 0, 0),
+            new THREE.Vector3(0, step, 0),
+            new THREE.Vector3(0, 0, step)
+        ];
+
+        const progressBar = document.getElementById("orbitalProgress");
+        if (progressBar !== null) {
+            progressBar.style.display = "block";
+        }
+
+        // The basis and orbitals are in bohr
+        const worker = new Worker(
+            new URL("./orbitalWorker.js", import.meta.url), {type: "module"}
+        );
+        const finish = () => {
+            worker.terminate();
+            if (progressBar !== null) {
+                progressBar.style.display = "none";
+            }
+        };
+        // Errors are shown to the user rather than rejected, since this is
+        // called from event handlers
+        return new Promise(resolve => {
+            worker.onerror = event => {
+                finish();
+                // Failing to load the worker gives an event without a message
+                notify(`Could not evaluate orbitals: ${event.message ?? "the worker failed"}`, "alert");
+                resolve(undefined);
+            };
+            worker.onmessage = event => {
+                const message = event.data;
+                if (message.progress !== undefined) {
+                    if (progressBar !== null) {
+                        progressBar.dataset.value = 100 * message.progress;
+                    }
+                    return;
+                }
+                finish();
+                if (message.error !== undefined) {
+                    notify(`Could not evaluate orbitals: ${message.error}`, "alert");
+                    resolve(undefined);
+                    return;
+                }
+                const volume = {
+                    name: name,
+                    origin: box.min.clone(),
+                    axes: axes,
+                    dims: dims,
+                    data: message.data
+                };
+                // Replace any previous evaluation with the same name
+                let volumeIndex = section.volumes.findIndex(v=>v.name === name);
+                if (volumeIndex < 0) {
+                    volumeIndex = section.volumes.push(volume) - 1;
+                } else {
+                    section.volumes[volumeIndex] = volume;
+                }
+                this.view.setIsosurfaceOptions({volumeIndex});
+                resolve(volume);
+            };
+            worker.postMessage({
+                shells: section.basis,
+                orbitals: orbitals.map(o=>o.coefficients),
+                occupations: occupations,
+                origin: box.min.toArray().map(v=>v / bohrToAngstrom),
+                axes: axes.map(a=>a.toArray().map(v=>v / bohrToAngstrom)),
+                dims: dims
+            });
+        });
+    }
+
+    /**
+     * Show a window with video export options
+     * @param {string} startCommand Command to run when the start button is
+     * pressed, defaults to exporting a video orbiting the scene.
+     */
+    showVideoExportWindow(startCommand="api.exportOrbitingVideo()") {
         // eslint-disable-next-line no-undef
         Metro.window.create({
             title: "Export video",
@@ -275,7 +1579,7 @@ class Api {
 </div>
 </form>
 <hr>
-<button id="videoExportStartButton" class="primary button" onclick="api.exportOrbitingVideo()">Start</button>
+<button id="videoExportStartButton" class="primary button" onclick="${startCommand}">Start</button>
 <div id="videoExportProgress" data-role="progress" data-type="load" data-value="35" style="display: none"></div>
 `
         });
@@ -307,7 +1611,8 @@ class Api {
     }
 
     /**
-     * Create a video of the trees growing
+     * Create a video of the trajectory (or of just the camera moving,
+     * if not in trajectory mode)
      * Change the window size to get a different aspect ratio.
      * @param {string} format Video format ("webm", "gif", "png", or "jpg"),
      * the latter two being a set of images in a tar file.
@@ -316,8 +1621,13 @@ class Api {
      * @param {function(number): {Vector3, Vector3}} cameraPathFunction
      * Optional function to move the camera as the trajectory progresses. See
      * exportOrbitingVideo() for example usage.
+     * @param {function(number)} frameFunction Optional function called with
+     * the frame index to update the scene before each frame is captured.
+     * Defaults to stepping through the trajectory, if in trajectory mode.
+     * @param {number} nFrames Number of frames to pass to the frameFunction
+     * @returns {Promise} Resolves when the video has been saved
      */
-    exportVideo(format, framerate, scaleFactor, cameraPathFunction) {
+    exportVideo(format, framerate, scaleFactor, cameraPathFunction, frameFunction, nFrames) {
         if (format === undefined) {
             format = document.getElementById("videoExportFormat").value;
         }
@@ -330,6 +1640,7 @@ class Api {
 
         let stop = false;
         const button = document.getElementById("videoExportStartButton");
+        const startHandler = button.onclick;
         button.innerText = "Stop";
         button.onclick = ()=>{
             stop = true;
@@ -348,24 +1659,39 @@ class Api {
 
         this.scene.background = new THREE.Color(0xFFFFFF);
 
-        this.currentFrame = 0;
-        const lastFrame = 200; //Math.max(...this.steps);
+        // Step through the trajectory frames if there are any,
+        // otherwise just move the camera
+        if (frameFunction === undefined && this.trajectoryMode && this.sections.length > 1) {
+            this.pause();
+            frameFunction = f => this.setFrame(f, false);
+            nFrames = this.sections.length;
+        }
+        let frame = 0;
+        const lastFrame = frameFunction !== undefined ? nFrames - 1 : 200;
         const progressBar = document.getElementById("videoExportProgress");
         progressBar.style.display = "block";
 
+        let resolveExport;
+        const exported = new Promise(resolve => {
+            resolveExport = resolve;
+        });
+
         const step = () => {
-            if (this.currentFrame >= lastFrame || stop) {
+            if (frame >= lastFrame || stop) {
                 capturer.stop();
                 capturer.save();
                 this.scene.background = null;
                 this.scaleCanvas(1/scaleFactor);
-                button.onclick = ()=>{this.exportVideo();};
+                button.onclick = startHandler;
                 button.innerText = "Start";
                 progressBar.style.display = "none";
+                resolveExport();
             } else {
-                //this.nextFrame();
-                this.currentFrame++;
-                const progress = this.currentFrame / lastFrame;
+                frame++;
+                if (frameFunction !== undefined) {
+                    frameFunction(frame);
+                }
+                const progress = frame / lastFrame;
                 if (cameraPathFunction !== undefined) {
                     const s = cameraPathFunction(progress);
                     this.camera.position.copy(s.position);
@@ -380,6 +1706,9 @@ class Api {
         };
 
         // Get first frame
+        if (frameFunction !== undefined) {
+            frameFunction(0);
+        }
         if (cameraPathFunction !== undefined) {
             const s = cameraPathFunction(0);
             this.camera.position.copy(s.position);
@@ -391,6 +1720,8 @@ class Api {
 
         // Step through the rest of the trajectory
         step();
+
+        return exported;
     }
 }
 
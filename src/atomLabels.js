@@ -0,0 +1,253 @@
+import * as THREE from "three";
+import {createTextSprite, setSpriteText, disposeTextSprite} from "./labels.js";
+import {atomName} from "./selection.js";
+
+// Offsets of the label centre from the atom, in label widths and heights,
+// tried in order until one doesn't overlap the labels already placed
+const placements = [
+    [0.5, 0.5], [0.5, -0.5], [-0.5, 0.5], [-0.5, -0.5], [0, 1], [0, -1]
+];
+
+// Size of the cells used to find overlapping labels (px)
+const gridSize = 64;
+
+/**
+ * Labels of atoms, drawn on the HUD so that they are also included in
+ * exported images and videos. Labels are placed next to their atoms,
+ * starting with the atoms closest to the camera, and labels that would
+ * overlap those already placed are hidden.
+ */
+class AtomLabels {
+    /**
+     * @param {Api} api
+     */
+    constructor(api) {
+        this.api = api;
+        // Labelled atoms, with their sprites
+        this.sprites = new Map();
+        this.group = new THREE.Group();
+        this.group.name = "Atom labels";
+        this.api.hud.scene.add(this.group);
+        this.options = {
+            // "symbol", "index", "symbolIndex" or "attribute"
+            content: "symbolIndex",
+            // Attribute to show, for the "attribute" content
+            attribute: "charge",
+            // Font size (px)
+            fontSize: 14,
+            // At most this many labels are shown, closest first
+            maxLabels: 1000
+        };
+    }
+
+    /**
+     * Change what the labels show and how
+     * @param {{}} options
+     * @param {string} options.content "symbol" (element symbol), "index"
+     * (sectionIdx), "symbolIndex" (both) or "attribute"
+     * @param {string} options.attribute Atom attribute to show, such as a
+     * Mulliken charge from the <ATOM> block
+     * @param {number} options.fontSize Font size (px)
+     * @param {number} options.maxLabels Maximum number of labels shown
+     */
+    setOptions(options) {
+        const restyle = options.fontSize !== undefined &&
+            options.fontSize !== this.options.fontSize;
+        Object.assign(this.options, options);
+        if (restyle) {
+            // Sprites keep the font size they were created with
+            for (const [atom, sprite] of this.sprites) {
+                this.group.remove(sprite);
+                disposeTextSprite(sprite);
+                this.sprites.set(atom, undefined);
+            }
+        }
+        this.api.render();
+    }
+
+    /**
+     * Get the text of the label of an atom
+     * @param {{}} atom
+     * @returns {string}
+     */
+    text(atom) {
+        switch (this.options.content) {
+        case "symbol":
+            return atom.symbol;
+        case "index":
+            return `${atom.sectionIdx}`;
+        case "attribute":
+            return atom.attributes.get(this.options.attribute) ?? "";
+        default:
+            return atomName(atom);
+        }
+    }
+
+    /**
+     * Label atoms
+     * @param {{}[]} atoms
+     */
+    show(atoms) {
+        atoms.forEach(a => {
+            if (!this.sprites.has(a)) {
+                this.sprites.set(a, undefined);
+            }
+        });
+        this.api.render();
+    }
+
+    /**
+     * Remove the labels of atoms
+     * @param {{}[]} atoms
+     */
+    hide(atoms) {
+        for (const atom of atoms) {
+            const sprite = this.sprites.get(atom);
+            if (sprite !== undefined) {
+                this.group.remove(sprite);
+                disposeTextSprite(sprite);
+            }
+            this.sprites.delete(atom);
+        }
+        this.api.render();
+    }
+
+    /**
+     * Label atoms, or remove their labels if they are all labelled
+     * @param {{}[]} atoms Defaults to the selected atoms, or all visible
+     * atoms if nothing is selected
+     */
+    toggle(atoms) {
+        if (atoms === undefined) {
+            const selected = this.api.selection.atoms;
+            atoms = selected.size > 0 ? [...selected] :
+                this.api.visibleSections().flatMap(s=>s.atoms);
+        }
+        if (atoms.every(a=>this.sprites.has(a))) {
+            this.hide(atoms);
+        } else {
+            this.show(atoms);
+        }
+    }
+
+    /**
+     * Remove all labels
+     */
+    clear() {
+        this.hide([...this.sprites.keys()]);
+    }
+
+    /**
+     * Place the labels next to their atoms, as currently seen by the
+     * camera. Called before drawing the HUD.
+     */
+    update() {
+        if (this.sprites.size === 0) {
+            return;
+        }
+        const {x: width, y: height} = this.api.hud.size();
+        const camera = this.api.camera;
+        const visible = new Set(this.api.visibleSections());
+
+        // Project the labelled atoms onto the screen
+        const projected = [];
+        const v = new THREE.Vector3();
+        for (const [atom, sprite] of this.sprites) {
+            if (sprite !== undefined) {
+                sprite.visible = false;
+            }
+            const section = atom.section;
+            if (!visible.has(section) || section.atoms[atom.sectionIdx - 1] !== atom) {
+                continue;
+            }
+            v.copy(atom.position).project(camera);
+            if (v.z < -1 || v.z > 1) {
+                continue;
+            }
+            projected.push({
+                atom: atom,
+                x: (v.x + 1) / 2 * width,
+                y: (1 - v.y) / 2 * height,
+                depth: v.z
+            });
+        }
+        projected.sort((a, b) => a.depth - b.depth);
+
+        // Rectangles of the placed labels, by grid cell
+        const grid = new Map();
+        const cells = (r, f) => {
+            for (let i=Math.floor(r.x0 / gridSize); i<=Math.floor(r.x1 / gridSize); i++) {
+                for (let j=Math.floor(r.y0 / gridSize); j<=Math.floor(r.y1 / gridSize); j++) {
+                    f(`${i} ${j}`);
+                }
+            }
+        };
+        const overlaps = r => {
+            let found = false;
+            cells(r, key => {
+                if ((grid.get(key) ?? []).some(o =>
+                    r.x0 < o.x1 && o.x0 < r.x1 && r.y0 < o.y1 && o.y0 < r.y1
+                )) {
+                    found = true;
+                }
+            });
+            return found;
+        };
+
+        let shown = 0;
+        for (const p of projected) {
+            if (shown >= this.options.maxLabels) {
+                break;
+            }
+            const text = this.text(p.atom);
+            if (text === "") {
+                continue;
+            }
+            const sprite = this.sprite(p.atom);
+            setSpriteText(sprite, text);
+            const w = sprite.scale.x;
+            const h = sprite.scale.y;
+            for (const [dx, dy] of placements) {
+                const cx = p.x + dx * w;
+                const cy = p.y - dy * h;
+                const rect = {x0: cx - w / 2, x1: cx + w / 2, y0: cy - h / 2, y1: cy + h / 2};
+                if (overlaps(rect)) {
+                    continue;
+                }
+                cells(rect, key => {
+                    if (!grid.has(key)) {
+                        grid.set(key, []);
+                    }
+                    grid.get(key).push(rect);
+                });
+                // The HUD has y pointing up, with the origin at the top
+                sprite.position.set(cx, -cy, 0);
+                sprite.visible = true;
+                shown++;
+                break;
+            }
+        }
+    }
+
+    /**
+     * Get the sprite of a labelled atom, creating it if needed
+     * @param {{}} atom
+     * @returns {THREE.Sprite}
+     */
+    sprite(atom) {
+        let sprite = this.sprites.get(atom);
+        if (sprite === undefined) {
+            const fontSize = this.options.fontSize;
+            sprite = createTextSprite("", {
+                fontSize: 2 * fontSize,
+                height: 1.5 * fontSize
+            });
+            sprite.visible = false;
+            this.sprites.set(atom, sprite);
+            this.group.add(sprite);
+        }
+        return sprite;
+    }
+}
+
+export {AtomLabels};
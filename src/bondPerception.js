@@ -0,0 +1,150 @@
+import {
+    getAtomConstants,
+    bondTolerance,
+    minBondDistance
+} from "./constants.js";
+
+/**
+ * Find bonds between atoms based on their covalent radii. Two atoms are
+ * considered bonded if their distance is at most the sum of their covalent
+ * radii plus a tolerance.
+ * The atoms are sorted into a grid of cells at least as wide as the longest
+ * possible bond, so that only neighbouring cells need to be compared. This
+ * keeps the cost linear in the number of atoms.
+ * @param {{}[]} atoms List of atoms to find bonds between
+ * @param {{}} options
+ * @param {number} options.tolerance Added to the sum of covalent radii (Å)
+ * @param {number} options.minDistance Atoms closer than this are not bonded (Å)
+ * @param {number} options.order Bond order to assign to the new bonds
+ * @returns {{}[]} List of new bonds, flagged as automatic
+ */
+function perceiveBonds(atoms, options = {}) {
+    const tolerance = options.tolerance ?? bondTolerance;
+    const minDistance = options.minDistance ?? minBondDistance;
+    const order = options.order ?? 1;
+
+    const n = atoms.length;
+    const bonds = [];
+    if (n < 2) {
+        return bonds;
+    }
+
+    // Copy positions and radii into flat arrays for speed
+    const pos = new Float64Array(3*n);
+    const radii = new Float64Array(n);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    let maxRadius = 0;
+    const radiusCache = new Map();
+    for (let i=0; i<n; i++) {
+        const p = atoms[i].position;
+        pos[3*i] = p.x;
+        pos[3*i+1] = p.y;
+        pos[3*i+2] = p.z;
+        for (let d=0; d<3; d++) {
+            min[d] = Math.min(min[d], pos[3*i+d]);
+            max[d] = Math.max(max[d], pos[3*i+d]);
+        }
+        const symbol = atoms[i].symbol;
+        if (!radiusCache.has(symbol)) {
+            radiusCache.set(symbol, getAtomConstants(symbol).covalentRadius);
+        }
+        radii[i] = radiusCache.get(symbol);
+        maxRadius = Math.max(maxRadius, radii[i]);
+    }
+
+    // Cells need to be at least as wide as the longest possible bond.
+    // For sparse systems, grow the cells to avoid allocating a huge grid.
+    let cellSize = 2 * maxRadius + tolerance;
+    const dims = [0, 0, 0];
+    const setDims = () => {
+        for (let d=0; d<3; d++) {
+            dims[d] = Math.floor((max[d] - min[d]) / cellSize) + 1;
+        }
+    };
+    setDims();
+    const maxCells = Math.max(8 * n, 1000);
+    while (dims[0] * dims[1] * dims[2] > maxCells) {
+        cellSize *= Math.cbrt(dims[0] * dims[1] * dims[2] / maxCells) * 1.01;
+        setDims();
+    }
+    const [nx, ny, nz] = dims;
+
+    // Counting sort of atoms into cells
+    const cellOf = new Uint32Array(n);
+    const cellStart = new Uint32Array(nx * ny * nz + 1);
+    for (let i=0; i<n; i++) {
+        const cx = Math.floor((pos[3*i] - min[0]) / cellSize);
+        const cy = Math.floor((pos[3*i+1] - min[1]) / cellSize);
+        const cz = Math.floor((pos[3*i+2] - min[2]) / cellSize);
+        cellOf[i] = cx + nx * (cy + ny * cz);
+        cellStart[cellOf[i] + 1]++;
+    }
+    for (let c=0; c<nx*ny*nz; c++) {
+        cellStart[c+1] += cellStart[c];
+    }
+    const cellAtoms = new Uint32Array(n);
+    const fill = cellStart.slice(0, nx * ny * nz);
+    for (let i=0; i<n; i++) {
+        cellAtoms[fill[cellOf[i]]++] = i;
+    }
+
+    const minDistSq = minDistance * minDistance;
+    for (let i=0; i<n; i++) {
+        const c = cellOf[i];
+        const cx = c % nx;
+        const cy = Math.floor(c / nx) % ny;
+        const cz = Math.floor(c / (nx * ny));
+        for (let z=Math.max(cz-1, 0); z<=Math.min(cz+1, nz-1); z++) {
+            for (let y=Math.max(cy-1, 0); y<=Math.min(cy+1, ny-1); y++) {
+                for (let x=Math.max(cx-1, 0); x<=Math.min(cx+1, nx-1); x++) {
+                    const neighbour = x + nx * (y + ny * z);
+                    for (let k=cellStart[neighbour]; k<cellStart[neighbour+1]; k++) {
+                        const j = cellAtoms[k];
+                        // Only check each pair once
+                        if (j <= i) {
+                            continue;
+                        }
+                        const dx = pos[3*i] - pos[3*j];
+                        const dy = pos[3*i+1] - pos[3*j+1];
+                        const dz = pos[3*i+2] - pos[3*j+2];
+                        const distSq = dx*dx + dy*dy + dz*dz;
+                        const maxDist = radii[i] + radii[j] + tolerance;
+                        if (distSq <= maxDist * maxDist && distSq >= minDistSq) {
+                            bonds.push({
+                                atom1: atoms[i],
+                                atom2: atoms[j],
+                                order: order,
+                                automatic: true
+                            });
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    return bonds;
+}
+
+/**
+ * Merge automatically perceived bonds with explicitly given ones.
+ * Explicit bonds take precedence, so that an explicit bond of order 0
+ * ("no bond") can be used to suppress an automatic one.
+ * @param {{}[]} perceived Automatically perceived bonds
+ * @param {{}[]} explicit Explicitly given bonds
+ * @returns {{}[]} Merged list of bonds
+ */
+function mergeBonds(perceived, explicit) {
+    const pairKey = b => {
+        const [a, c] = [b.atom1.sectionIdx, b.atom2.sectionIdx].sort((x, y) => x - y);
+        return `${a}-${c}`;
+    };
+    const explicitKeys = new Set(explicit.map(pairKey));
+    return [
+        ...perceived.filter(b => !explicitKeys.has(pairKey(b))),
+        ...explicit
+    ];
+}
+
+export {perceiveBonds, mergeBonds};
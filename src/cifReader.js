@@ -0,0 +1,306 @@
+import {Vector3} from "three";
+import {Section} from "./section.js";
+import {elementSymbol} from "./constants.js";
+import {perceiveBonds} from "./bondPerception.js";
+import {cellVectors} from "./utils.js";
+import {
+    createCell,
+    fractionalToCartesian,
+    parseSymmetryOperation,
+    equivalentPositions
+} from "./crystal.js";
+
+/**
+ * Split the content of a CIF file into tokens, each with its value, the
+ * index of its line and whether it was quoted (quoted values are never
+ * keywords or tags). Comments are dropped, and text fields (between lines
+ * starting with a semicolon) become a single token.
+ * @param {string[]} lines
+ * @returns {{value: string, line: number, quoted: boolean}[]}
+ */
+function tokenize(lines) {
+    const tokens = [];
+    const pattern = /'(.*?)'(?=\s|$)|"(.*?)"(?=\s|$)|(#.*)|(\S+)/g;
+    for (let i=0; i<lines.length; i++) {
+        const line = lines[i];
+        if (line.startsWith(";")) {
+            const start = i;
+            const text = [line.slice(1)];
+            for (i++; i<lines.length && !lines[i].startsWith(";"); i++) {
+                text.push(lines[i]);
+            }
+            tokens.push({value: text.join("\n").trim(), line: start, quoted: true});
+            continue;
+        }
+        for (const [, single, double, comment, bare] of line.matchAll(pattern)) {
+            if (comment !== undefined) {
+                break;
+            }
+            const quoted = bare === undefined;
+            tokens.push({value: quoted ? single ?? double : bare, line: i, quoted: quoted});
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse the data blocks of a CIF file. Tags are stored in lower case,
+ * since they are case-insensitive, with each single item as a list of one
+ * value and each loop column as a list of values.
+ * @param {string} text Content of the CIF file
+ * @param {function(number, string, string)} report Called with the index
+ * of the line, the severity and a message for each problem found
+ * @returns {{name: string, line: number, values: Map<string, string[]>}[]}
+ */
+function parseBlocks(text, report) {
+    const tokens = tokenize(text.split(/\r?\n/));
+    const blocks = [];
+    let block;
+    const isKeyword = (t, keyword) => !t.quoted && t.value.toLowerCase().startsWith(keyword);
+    const isTag = t => !t.quoted && t.value.startsWith("_");
+    const isReserved = t => ["data_", "loop_", "save_", "global_"].some(w=>isKeyword(t, w));
+
+    let k = 0;
+    while (k < tokens.length) {
+        const token = tokens[k];
+        if (isKeyword(token, "data_")) {
+            block = {name: token.value.slice(5), line: token.line, values: new Map()};
+            blocks.push(block);
+            k++;
+        } else if (block === undefined) {
+            report(token.line, "error", "Content before the first data block ignored");
+            block = {name: "", line: token.line, values: new Map()};
+            k++;
+        } else if (isKeyword(token, "save_") || isKeyword(token, "global_")) {
+            k++;
+        } else if (isKeyword(token, "loop_")) {
+            const tags = [];
+            for (k++; k<tokens.length && isTag(tokens[k]); k++) {
+                tags.push(tokens[k].value.toLowerCase());
+            }
+            const values = [];
+            while (k < tokens.length && !isTag(tokens[k]) && !isReserved(tokens[k])) {
+                values.push(tokens[k].value);
+                k++;
+            }
+            if (tags.length === 0) {
+                report(token.line, "error", "Loop without tags");
+                continue;
+            }
+            if (values.length % tags.length !== 0) {
+                report(token.line, "warning",
+                    `Loop has ${values.length} values, not a multiple of its ${tags.length} tags`);
+            }
+            tags.forEach((tag, t) => block.values.set(
+                tag,
+                values.filter((v, n) => n % tags.length === t)
+            ));
+        } else if (isTag(token)) {
+            const value = tokens[k + 1];
+            if (value === undefined || isTag(value) || isReserved(value)) {
+                report(token.line, "error", `Missing value of ${token.value}`);
+                k++;
+                continue;
+            }
+            block.values.set(token.value.toLowerCase(), [value.value]);
+            k += 2;
+        } else {
+            report(token.line, "warning", `Unexpected value "${token.value}" ignored`);
+            k++;
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Get the values of a tag, with the CIF placeholders for unknown (?) and
+ * inapplicable (.) values as undefined
+ * @param {Map<string, string[]>} values
+ * @param {...string} tags Tags to try in order, the first one present is used
+ * @returns {(string|undefined)[]} The values, or undefined if no tag is present
+ */
+function column(values, ...tags) {
+    const tag = tags.find(t=>values.has(t));
+    return tag === undefined ? undefined :
+        values.get(tag).map(v=>v === "?" || v === "." ? undefined : v);
+}
+
+/**
+ * Get the unit cell of a data block, if it has one
+ * @param {Map<string, string[]>} values
+ * @returns {{}} The cell, or undefined
+ */
+function blockCell(values) {
+    const p = ["length_a", "length_b", "length_c", "angle_alpha", "angle_beta", "angle_gamma"]
+        .map(name=>parseFloat(column(values, `_cell.${name}`, `_cell_${name}`)?.[0]));
+    if (p.some(isNaN)) {
+        return undefined;
+    }
+    return createCell(cellVectors(...p));
+}
+
+/**
+ * Read the atoms of a macromolecular (mmCIF) data block, with one section
+ * per model. Atoms get the same attributes as from PDB files, preferring
+ * the author numbering (as used in PDB files) over the label numbering.
+ * @param {{name: string, line: number, values: Map<string, string[]>}} block
+ * @param {function(number, string, string)} report
+ * @returns {Section[]}
+ */
+function parseMacromolecule(block, report) {
+    const values = block.values;
+    const x = column(values, "_atom_site.cartn_x");
+    const y = column(values, "_atom_site.cartn_y");
+    const z = column(values, "_atom_site.cartn_z");
+    const elements = column(values, "_atom_site.type_symbol") ?? [];
+    const models = column(values, "_atom_site.pdbx_pdb_model_num") ?? [];
+    const attributeColumns = [
+        ["name", column(values, "_atom_site.auth_atom_id", "_atom_site.label_atom_id")],
+        ["residue", column(values, "_atom_site.auth_comp_id", "_atom_site.label_comp_id")],
+        ["resid", column(values, "_atom_site.auth_seq_id", "_atom_site.label_seq_id")],
+        ["chain", column(values, "_atom_site.auth_asym_id", "_atom_site.label_asym_id")],
+        ["bfactor", column(values, "_atom_site.b_iso_or_equiv")],
+        ["record", column(values, "_atom_site.group_pdb")]
+    ].filter(([, c]) => c !== undefined);
+
+    const title = column(values, "_struct.title")?.[0] ?? block.name;
+    const cell = blockCell(values);
+    const sections = new Map();
+    let invalid = 0;
+    for (let n=0; n<x.length; n++) {
+        const position = new Vector3(parseFloat(x[n]), parseFloat(y?.[n]), parseFloat(z?.[n]));
+        if (isNaN(position.x + position.y + position.z)) {
+            invalid++;
+            continue;
+        }
+        const model = models[n] ?? "1";
+        if (!sections.has(model)) {
+            const section = new Section([], [], title);
+            section.cell = cell;
+            sections.set(model, section);
+        }
+        const attributes = new Map();
+        for (const [key, c] of attributeColumns) {
+            if (c[n] !== undefined) {
+                attributes.set(key, c[n]);
+            }
+        }
+        const symbol = elementSymbol(elements[n] ?? attributes.get("name")?.[0] ?? "");
+        sections.get(model).addAtom(symbol ?? "X", position, attributes);
+    }
+    if (invalid > 0) {
+        report(block.line, "warning", `${invalid} atoms with invalid coordinates ignored`);
+    }
+    for (const section of sections.values()) {
+        section.bonds = perceiveBonds(section.atoms);
+    }
+    return [...sections.values()];
+}
+
+/**
+ * Read a crystal structure data block, with the atoms of the asymmetric
+ * unit given in fractional coordinates. The symmetry operations are
+ * applied to fill the whole unit cell, which is stored in the section.
+ * @param {{name: string, line: number, values: Map<string, string[]>}} block
+ * @param {function(number, string, string)} report
+ * @returns {Section[]} The section, or none if the block has no valid cell
+ */
+function parseCrystal(block, report) {
+    const values = block.values;
+    const cell = blockCell(values);
+    if (cell === undefined) {
+        report(block.line, "error", `Data block "${block.name}" has fractional coordinates but no unit cell`);
+        return [];
+    }
+
+    const operationTexts = column(values,
+        "_space_group_symop_operation_xyz",
+        "_space_group_symop.operation_xyz",
+        "_symmetry_equiv_pos_as_xyz",
+        "_symmetry_equiv.pos_as_xyz"
+    );
+    const operations = [];
+    for (const text of operationTexts ?? []) {
+        const operation = parseSymmetryOperation(text ?? "");
+        if (operation === undefined) {
+            report(block.line, "warning", `Invalid symmetry operation "${text}" ignored`);
+        } else {
+            operations.push(operation);
+        }
+    }
+    if (operations.length === 0) {
+        if (operationTexts === undefined) {
+            report(block.line, "warning", "No symmetry operations, only the listed atoms are used");
+        }
+        operations.push(parseSymmetryOperation("x,y,z"));
+    }
+
+    const title = column(values, "_chemical_name_systematic", "_chemical_name_common",
+        "_chemical_formula_sum")?.[0] ?? block.name;
+    const section = new Section([], [], title);
+    section.cell = cell;
+    const spaceGroup = column(values, "_space_group_name_h-m_alt",
+        "_symmetry_space_group_name_h-m", "_space_group.name_h-m_alt")?.[0];
+    if (spaceGroup !== undefined) {
+        section.attributes.set("spacegroup", spaceGroup);
+    }
+
+    const prefix = values.has("_atom_site_fract_x") ? "_atom_site_" : "_atom_site.";
+    const [x, y, z] = ["x", "y", "z"].map(c=>column(values, `${prefix}fract_${c}`));
+    const labels = column(values, `${prefix}label`) ?? [];
+    const types = column(values, `${prefix}type_symbol`) ?? [];
+    const occupancies = column(values, `${prefix}occupancy`) ?? [];
+    let invalid = 0;
+    for (let n=0; n<x.length; n++) {
+        const f = [x[n], y?.[n], z?.[n]].map(v=>parseFloat(v));
+        if (f.some(isNaN)) {
+            invalid++;
+            continue;
+        }
+        // Type symbols can include the oxidation state (such as Fe3+)
+        const symbol = elementSymbol(types[n] ?? labels[n] ?? "") ?? "X";
+        const attributes = new Map();
+        if (labels[n] !== undefined) {
+            attributes.set("name", labels[n]);
+        }
+        const occupancy = parseFloat(occupancies[n]);
+        if (!isNaN(occupancy) && occupancy !== 1) {
+            attributes.set("occupancy", `${occupancy}`);
+        }
+        for (const p of equivalentPositions(cell, operations, f)) {
+            section.addAtom(symbol, fractionalToCartesian(cell, p), new Map(attributes));
+        }
+    }
+    if (invalid > 0) {
+        report(block.line, "warning", `${invalid} atoms with invalid coordinates ignored`);
+    }
+    section.bonds = perceiveBonds(section.atoms);
+    return [section];
+}
+
+/**
+ * Parse a CIF file. Each model of the macromolecular (mmCIF) data blocks
+ * becomes a section, with atoms carrying the same attributes as those read
+ * from PDB files, and each crystal structure becomes a section with the
+ * full unit cell (expanded from the asymmetric unit by the symmetry
+ * operations).
+ * @param {string} text Content of the CIF file
+ * @param {function(number, string, string)} report Called with the index
+ * of the line, the severity and a message for each problem found
+ * @returns {Section[]} List of sections
+ */
+function parseCIF(text, report=() => {}) {
+    const sections = [];
+    for (const block of parseBlocks(text, report)) {
+        if (block.values.has("_atom_site.cartn_x")) {
+            sections.push(...parseMacromolecule(block, report));
+        } else if (block.values.has("_atom_site_fract_x") || block.values.has("_atom_site.fract_x")) {
+            sections.push(...parseCrystal(block, report));
+        } else {
+            report(block.line, "warning", `Data block "${block.name}" has no atom coordinates`);
+        }
+    }
+    return sections;
+}
+
+export {parseCIF};
@@ -0,0 +1,133 @@
+import * as THREE from "three";
+
+/**
+ * Color maps used to color atoms by a numeric attribute, each given by
+ * evenly spaced colors. Diverging maps have a neutral color in the middle,
+ * for values (such as charges) with a meaningful zero.
+ */
+const colorMaps = {
+    viridis: {
+        diverging: false,
+        colors: [
+            0x440154, 0x482878, 0x3E4A89, 0x31688E, 0x26828E,
+            0x1F9E89, 0x35B779, 0x6DCD59, 0xB4DE2C, 0xFDE725
+        ]
+    },
+    plasma: {
+        diverging: false,
+        colors: [
+            0x0D0887, 0x46039F, 0x7201A8, 0x9C179E, 0xBD3786,
+            0xD8576B, 0xED7953, 0xFB9F3A, 0xFDCA26, 0xF0F921
+        ]
+    },
+    greys: {
+        diverging: false,
+        colors: [0xF0F0F0, 0xBDBDBD, 0x737373, 0x252525]
+    },
+    coolwarm: {
+        diverging: true,
+        colors: [
+            0x3B4CC0, 0x6788EE, 0x9ABBFF, 0xC9D7F0,
+            0xEDD1C2, 0xF7A889, 0xE26952, 0xB40426
+        ]
+    },
+    blueWhiteRed: {
+        diverging: true,
+        colors: [0x0000FF, 0xFFFFFF, 0xFF0000]
+    }
+};
+
+// The colors, converted once
+const mapColors = Object.fromEntries(Object.entries(colorMaps).map(
+    ([name, map]) => [name, map.colors.map(c=>new THREE.Color(c))]
+));
+
+/**
+ * Get the color of a value in a color map
+ * @param {string} name Name of the color map
+ * @param {number} t Value, between 0 and 1 (values outside are clamped)
+ * @returns {THREE.Color} New color
+ */
+function mapColor(name, t) {
+    const colors = mapColors[name];
+    if (colors === undefined) {
+        throw new Error(`Unknown color map "${name}", should be one of ${Object.keys(colorMaps).join(", ")}`);
+    }
+    const x = THREE.MathUtils.clamp(t, 0, 1) * (colors.length - 1);
+    const i = Math.min(Math.floor(x), colors.length - 2);
+    return new THREE.Color().lerpColors(colors[i], colors[i + 1], x - i);
+}
+
+/**
+ * Format a value of the color bar, with a precision suited to its range
+ * @param {number} value
+ * @param {number} range Difference between the maximum and minimum
+ * @returns {string}
+ */
+function formatValue(value, range) {
+    const digits = Math.max(0, 2 - Math.floor(Math.log10(range || 1)));
+    return value.toFixed(Math.min(digits, 6));
+}
+
+/**
+ * Create a color bar legend, to be drawn on the HUD. The sprite is sized in
+ * pixels, with its bottom right corner at its position.
+ * @param {{}} options
+ * @param {string} options.title Title shown above the bar
+ * @param {string} options.colorMap Name of the color map
+ * @param {number} options.min Value at the bottom of the bar
+ * @param {number} options.max Value at the top of the bar
+ * @param {number} options.fontSize Font size (px)
+ * @returns {THREE.Sprite}
+ */
+function createColorBar({title, colorMap, min, max, fontSize=14}) {
+    // Drawn at twice the size, so that it stays sharp in scaled up exports
+    const resolution = 2;
+    const font = `${fontSize * resolution}px sans-serif`;
+    const padding = fontSize / 2 * resolution;
+    const barWidth = fontSize * resolution;
+    const barHeight = 10 * fontSize * resolution;
+    const labels = [max, (min + max) / 2, min].map(v=>formatValue(v, max - min));
+
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+    context.font = font;
+    const labelWidth = Math.max(...labels.map(l=>context.measureText(l).width));
+    const titleHeight = fontSize * 1.5 * resolution;
+    canvas.width = Math.ceil(Math.max(
+        barWidth + labelWidth + 3 * padding,
+        context.measureText(title).width + 2 * padding
+    ));
+    canvas.height = Math.ceil(titleHeight + barHeight + 2 * padding);
+
+    // Changing the canvas size resets the context
+    context.font = font;
+    context.fillStyle = "#ffffffcc";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = "#000000";
+    context.textBaseline = "middle";
+    context.fillText(title, padding, padding + titleHeight / 2);
+
+    const top = padding + titleHeight;
+    for (let y=0; y<barHeight; y++) {
+        const color = mapColor(colorMap, 1 - y / (barHeight - 1));
+        context.fillStyle = `#${color.getHexString()}`;
+        context.fillRect(padding, top + y, barWidth, 1);
+    }
+    context.fillStyle = "#000000";
+    labels.forEach((l, i) => context.fillText(l, barWidth + 2 * padding, top + i * barHeight / 2));
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        sizeAttenuation: false,
+        depthTest: false,
+        depthWrite: false,
+        transparent: true
+    }));
+    sprite.material.map = new THREE.CanvasTexture(canvas);
+    sprite.material.map.colorSpace = THREE.SRGBColorSpace;
+    sprite.scale.set(canvas.width / resolution, canvas.height / resolution, 1);
+    sprite.center.set(1, 0);
+    return sprite;
+}
+
+export {colorMaps, mapColor, createColorBar};
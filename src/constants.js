@@ -1,15 +1,213 @@
 import {Color} from "three";
 
+// All elements, with their atomic number, name and standard atomic mass.
+// Radius is the displayed sphere radius, covalentRadius (Å) is used for
+// automatic bond perception (Cordero et al. 2008, Pyykkö & Atsumi 2009 for
+// Bk and heavier) and vdwRadius (Å) is the van der Waals radius.
+// Colors are the standard Jmol colors (which stop at Mt).
 export const atomConstants = {
-    "H": {radius: 0.32, color: new Color(0xF2F2F2)},
-    "C": {radius: 0.53, color: new Color(0x555555)},
-    "O": {radius: 0.56, color: new Color(0xF32E42)},
-    "Si": {radius: 0.65, color: new Color(0xF0C8A0)},
-    "Cr": {radius: 0.76, color: new Color(0x8A99C7)},
-    "F": {radius: 0.59, color: new Color(0x7FD03B)},
-    // (Will need more of these)
+    "H": {number: 1, name: "Hydrogen", mass: 1.008, radius: 0.32, covalentRadius: 0.31, vdwRadius: 1.10, color: new Color(0xFFFFFF)},
+    "He": {number: 2, name: "Helium", mass: 4.0026, radius: 0.20, covalentRadius: 0.28, vdwRadius: 1.40, color: new Color(0xD9FFFF)},
+    "Li": {number: 3, name: "Lithium", mass: 6.94, radius: 0.90, covalentRadius: 1.28, vdwRadius: 1.81, color: new Color(0xCC80FF)},
+    "Be": {number: 4, name: "Beryllium", mass: 9.0122, radius: 0.67, covalentRadius: 0.96, vdwRadius: 1.53, color: new Color(0xC2FF00)},
+    "B": {number: 5, name: "Boron", mass: 10.81, radius: 0.59, covalentRadius: 0.84, vdwRadius: 1.92, color: new Color(0xFFB5B5)},
+    "C": {number: 6, name: "Carbon", mass: 12.011, radius: 0.53, covalentRadius: 0.76, vdwRadius: 1.70, color: new Color(0x909090)},
+    "N": {number: 7, name: "Nitrogen", mass: 14.007, radius: 0.50, covalentRadius: 0.71, vdwRadius: 1.55, color: new Color(0x3050F8)},
+    "O": {number: 8, name: "Oxygen", mass: 15.999, radius: 0.56, covalentRadius: 0.66, vdwRadius: 1.52, color: new Color(0xFF0D0D)},
+    "F": {number: 9, name: "Fluorine", mass: 18.998, radius: 0.59, covalentRadius: 0.57, vdwRadius: 1.47, color: new Color(0x90E050)},
+    "Ne": {number: 10, name: "Neon", mass: 20.180, radius: 0.41, covalentRadius: 0.58, vdwRadius: 1.54, color: new Color(0xB3E3F5)},
+    "Na": {number: 11, name: "Sodium", mass: 22.990, radius: 1.16, covalentRadius: 1.66, vdwRadius: 2.27, color: new Color(0xAB5CF2)},
+    "Mg": {number: 12, name: "Magnesium", mass: 24.305, radius: 0.99, covalentRadius: 1.41, vdwRadius: 1.73, color: new Color(0x8AFF00)},
+    "Al": {number: 13, name: "Aluminium", mass: 26.982, radius: 0.85, covalentRadius: 1.21, vdwRadius: 1.84, color: new Color(0xBFA6A6)},
+    "Si": {number: 14, name: "Silicon", mass: 28.085, radius: 0.65, covalentRadius: 1.11, vdwRadius: 2.10, color: new Color(0xF0C8A0)},
+    "P": {number: 15, name: "Phosphorus", mass: 30.974, radius: 0.75, covalentRadius: 1.07, vdwRadius: 1.80, color: new Color(0xFF8000)},
+    "S": {number: 16, name: "Sulfur", mass: 32.06, radius: 0.73, covalentRadius: 1.05, vdwRadius: 1.80, color: new Color(0xFFFF30)},
+    "Cl": {number: 17, name: "Chlorine", mass: 35.45, radius: 0.71, covalentRadius: 1.02, vdwRadius: 1.75, color: new Color(0x1FF01F)},
+    "Ar": {number: 18, name: "Argon", mass: 39.948, radius: 0.74, covalentRadius: 1.06, vdwRadius: 1.88, color: new Color(0x80D1E3)},
+    "K": {number: 19, name: "Potassium", mass: 39.098, radius: 1.42, covalentRadius: 2.03, vdwRadius: 2.75, color: new Color(0x8F40D4)},
+    "Ca": {number: 20, name: "Calcium", mass: 40.078, radius: 1.23, covalentRadius: 1.76, vdwRadius: 2.31, color: new Color(0x3DFF00)},
+    "Sc": {number: 21, name: "Scandium", mass: 44.956, radius: 1.19, covalentRadius: 1.70, vdwRadius: 2.15, color: new Color(0xE6E6E6)},
+    "Ti": {number: 22, name: "Titanium", mass: 47.867, radius: 1.12, covalentRadius: 1.60, vdwRadius: 2.11, color: new Color(0xBFC2C7)},
+    "V": {number: 23, name: "Vanadium", mass: 50.942, radius: 1.07, covalentRadius: 1.53, vdwRadius: 2.07, color: new Color(0xA6A6AB)},
+    "Cr": {number: 24, name: "Chromium", mass: 51.996, radius: 0.76, covalentRadius: 1.39, vdwRadius: 2.06, color: new Color(0x8A99C7)},
+    "Mn": {number: 25, name: "Manganese", mass: 54.938, radius: 0.97, covalentRadius: 1.39, vdwRadius: 2.05, color: new Color(0x9C7AC7)},
+    "Fe": {number: 26, name: "Iron", mass: 55.845, radius: 0.92, covalentRadius: 1.32, vdwRadius: 2.04, color: new Color(0xE06633)},
+    "Co": {number: 27, name: "Cobalt", mass: 58.933, radius: 0.88, covalentRadius: 1.26, vdwRadius: 2.00, color: new Color(0xF090A0)},
+    "Ni": {number: 28, name: "Nickel", mass: 58.693, radius: 0.87, covalentRadius: 1.24, vdwRadius: 1.97, color: new Color(0x50D050)},
+    "Cu": {number: 29, name: "Copper", mass: 63.546, radius: 0.92, covalentRadius: 1.32, vdwRadius: 1.96, color: new Color(0xC88033)},
+    "Zn": {number: 30, name: "Zinc", mass: 65.38, radius: 0.85, covalentRadius: 1.22, vdwRadius: 2.01, color: new Color(0x7D80B0)},
+    "Ga": {number: 31, name: "Gallium", mass: 69.723, radius: 0.85, covalentRadius: 1.22, vdwRadius: 1.87, color: new Color(0xC28F8F)},
+    "Ge": {number: 32, name: "Germanium", mass: 72.630, radius: 0.84, covalentRadius: 1.20, vdwRadius: 2.11, color: new Color(0x668F8F)},
+    "As": {number: 33, name: "Arsenic", mass: 74.922, radius: 0.83, covalentRadius: 1.19, vdwRadius: 1.85, color: new Color(0xBD80E3)},
+    "Se": {number: 34, name: "Selenium", mass: 78.971, radius: 0.84, covalentRadius: 1.20, vdwRadius: 1.90, color: new Color(0xFFA100)},
+    "Br": {number: 35, name: "Bromine", mass: 79.904, radius: 0.84, covalentRadius: 1.20, vdwRadius: 1.83, color: new Color(0xA62929)},
+    "Kr": {number: 36, name: "Krypton", mass: 83.798, radius: 0.81, covalentRadius: 1.16, vdwRadius: 2.02, color: new Color(0x5CB8D1)},
+    "Rb": {number: 37, name: "Rubidium", mass: 85.468, radius: 1.54, covalentRadius: 2.20, vdwRadius: 3.03, color: new Color(0x702EB0)},
+    "Sr": {number: 38, name: "Strontium", mass: 87.62, radius: 1.36, covalentRadius: 1.95, vdwRadius: 2.49, color: new Color(0x00FF00)},
+    "Y": {number: 39, name: "Yttrium", mass: 88.906, radius: 1.33, covalentRadius: 1.90, vdwRadius: 2.32, color: new Color(0x94FFFF)},
+    "Zr": {number: 40, name: "Zirconium", mass: 91.224, radius: 1.22, covalentRadius: 1.75, vdwRadius: 2.23, color: new Color(0x94E0E0)},
+    "Nb": {number: 41, name: "Niobium", mass: 92.906, radius: 1.15, covalentRadius: 1.64, vdwRadius: 2.18, color: new Color(0x73C2C9)},
+    "Mo": {number: 42, name: "Molybdenum", mass: 95.95, radius: 1.08, covalentRadius: 1.54, vdwRadius: 2.17, color: new Color(0x54B5B5)},
+    "Tc": {number: 43, name: "Technetium", mass: 98, radius: 1.03, covalentRadius: 1.47, vdwRadius: 2.16, color: new Color(0x3B9E9E)},
+    "Ru": {number: 44, name: "Ruthenium", mass: 101.07, radius: 1.02, covalentRadius: 1.46, vdwRadius: 2.13, color: new Color(0x248F8F)},
+    "Rh": {number: 45, name: "Rhodium", mass: 102.91, radius: 0.99, covalentRadius: 1.42, vdwRadius: 2.10, color: new Color(0x0A7D8C)},
+    "Pd": {number: 46, name: "Palladium", mass: 106.42, radius: 0.97, covalentRadius: 1.39, vdwRadius: 2.10, color: new Color(0x006985)},
+    "Ag": {number: 47, name: "Silver", mass: 107.87, radius: 1.01, covalentRadius: 1.45, vdwRadius: 2.11, color: new Color(0xC0C0C0)},
+    "Cd": {number: 48, name: "Cadmium", mass: 112.41, radius: 1.01, covalentRadius: 1.44, vdwRadius: 2.18, color: new Color(0xFFD98F)},
+    "In": {number: 49, name: "Indium", mass: 114.82, radius: 0.99, covalentRadius: 1.42, vdwRadius: 1.93, color: new Color(0xA67573)},
+    "Sn": {number: 50, name: "Tin", mass: 118.71, radius: 0.97, covalentRadius: 1.39, vdwRadius: 2.17, color: new Color(0x668080)},
+    "Sb": {number: 51, name: "Antimony", mass: 121.76, radius: 0.97, covalentRadius: 1.39, vdwRadius: 2.06, color: new Color(0x9E63B5)},
+    "Te": {number: 52, name: "Tellurium", mass: 127.60, radius: 0.97, covalentRadius: 1.38, vdwRadius: 2.06, color: new Color(0xD47A00)},
+    "I": {number: 53, name: "Iodine", mass: 126.90, radius: 0.97, covalentRadius: 1.39, vdwRadius: 1.98, color: new Color(0x940094)},
+    "Xe": {number: 54, name: "Xenon", mass: 131.29, radius: 0.98, covalentRadius: 1.40, vdwRadius: 2.16, color: new Color(0x429EB0)},
+    "Cs": {number: 55, name: "Caesium", mass: 132.91, radius: 1.71, covalentRadius: 2.44, vdwRadius: 3.43, color: new Color(0x57178F)},
+    "Ba": {number: 56, name: "Barium", mass: 137.33, radius: 1.50, covalentRadius: 2.15, vdwRadius: 2.68, color: new Color(0x00C900)},
+    "La": {number: 57, name: "Lanthanum", mass: 138.91, radius: 1.45, covalentRadius: 2.07, vdwRadius: 2.43, color: new Color(0x70D4FF)},
+    "Ce": {number: 58, name: "Cerium", mass: 140.12, radius: 1.43, covalentRadius: 2.04, vdwRadius: 2.42, color: new Color(0xFFFFC7)},
+    "Pr": {number: 59, name: "Praseodymium", mass: 140.91, radius: 1.42, covalentRadius: 2.03, vdwRadius: 2.40, color: new Color(0xD9FFC7)},
+    "Nd": {number: 60, name: "Neodymium", mass: 144.24, radius: 1.41, covalentRadius: 2.01, vdwRadius: 2.39, color: new Color(0xC7FFC7)},
+    "Pm": {number: 61, name: "Promethium", mass: 145, radius: 1.39, covalentRadius: 1.99, vdwRadius: 2.38, color: new Color(0xA3FFC7)},
+    "Sm": {number: 62, name: "Samarium", mass: 150.36, radius: 1.39, covalentRadius: 1.98, vdwRadius: 2.36, color: new Color(0x8FFFC7)},
+    "Eu": {number: 63, name: "Europium", mass: 151.96, radius: 1.39, covalentRadius: 1.98, vdwRadius: 2.35, color: new Color(0x61FFC7)},
+    "Gd": {number: 64, name: "Gadolinium", mass: 157.25, radius: 1.37, covalentRadius: 1.96, vdwRadius: 2.34, color: new Color(0x45FFC7)},
+    "Tb": {number: 65, name: "Terbium", mass: 158.93, radius: 1.36, covalentRadius: 1.94, vdwRadius: 2.33, color: new Color(0x30FFC7)},
+    "Dy": {number: 66, name: "Dysprosium", mass: 162.50, radius: 1.34, covalentRadius: 1.92, vdwRadius: 2.31, color: new Color(0x1FFFC7)},
+    "Ho": {number: 67, name: "Holmium", mass: 164.93, radius: 1.34, covalentRadius: 1.92, vdwRadius: 2.30, color: new Color(0x00FF9C)},
+    "Er": {number: 68, name: "Erbium", mass: 167.26, radius: 1.32, covalentRadius: 1.89, vdwRadius: 2.29, color: new Color(0x00E675)},
+    "Tm": {number: 69, name: "Thulium", mass: 168.93, radius: 1.33, covalentRadius: 1.90, vdwRadius: 2.27, color: new Color(0x00D452)},
+    "Yb": {number: 70, name: "Ytterbium", mass: 173.05, radius: 1.31, covalentRadius: 1.87, vdwRadius: 2.26, color: new Color(0x00BF38)},
+    "Lu": {number: 71, name: "Lutetium", mass: 174.97, radius: 1.31, covalentRadius: 1.87, vdwRadius: 2.24, color: new Color(0x00AB24)},
+    "Hf": {number: 72, name: "Hafnium", mass: 178.49, radius: 1.22, covalentRadius: 1.75, vdwRadius: 2.23, color: new Color(0x4DC2FF)},
+    "Ta": {number: 73, name: "Tantalum", mass: 180.95, radius: 1.19, covalentRadius: 1.70, vdwRadius: 2.22, color: new Color(0x4DA6FF)},
+    "W": {number: 74, name: "Tungsten", mass: 183.84, radius: 1.13, covalentRadius: 1.62, vdwRadius: 2.18, color: new Color(0x2194D6)},
+    "Re": {number: 75, name: "Rhenium", mass: 186.21, radius: 1.06, covalentRadius: 1.51, vdwRadius: 2.16, color: new Color(0x267DAB)},
+    "Os": {number: 76, name: "Osmium", mass: 190.23, radius: 1.01, covalentRadius: 1.44, vdwRadius: 2.16, color: new Color(0x266696)},
+    "Ir": {number: 77, name: "Iridium", mass: 192.22, radius: 0.99, covalentRadius: 1.41, vdwRadius: 2.13, color: new Color(0x175487)},
+    "Pt": {number: 78, name: "Platinum", mass: 195.08, radius: 0.95, covalentRadius: 1.36, vdwRadius: 2.13, color: new Color(0xD0D0E0)},
+    "Au": {number: 79, name: "Gold", mass: 196.97, radius: 0.95, covalentRadius: 1.36, vdwRadius: 2.14, color: new Color(0xFFD123)},
+    "Hg": {number: 80, name: "Mercury", mass: 200.59, radius: 0.92, covalentRadius: 1.32, vdwRadius: 2.23, color: new Color(0xB8B8D0)},
+    "Tl": {number: 81, name: "Thallium", mass: 204.38, radius: 1.01, covalentRadius: 1.45, vdwRadius: 1.96, color: new Color(0xA6544D)},
+    "Pb": {number: 82, name: "Lead", mass: 207.2, radius: 1.02, covalentRadius: 1.46, vdwRadius: 2.02, color: new Color(0x575961)},
+    "Bi": {number: 83, name: "Bismuth", mass: 208.98, radius: 1.04, covalentRadius: 1.48, vdwRadius: 2.07, color: new Color(0x9E4FB5)},
+    "Po": {number: 84, name: "Polonium", mass: 209, radius: 0.98, covalentRadius: 1.40, vdwRadius: 1.97, color: new Color(0xAB5C00)},
+    "At": {number: 85, name: "Astatine", mass: 210, radius: 1.05, covalentRadius: 1.50, vdwRadius: 2.02, color: new Color(0x754F45)},
+    "Rn": {number: 86, name: "Radon", mass: 222, radius: 1.05, covalentRadius: 1.50, vdwRadius: 2.20, color: new Color(0x428296)},
+    "Fr": {number: 87, name: "Francium", mass: 223, radius: 1.82, covalentRadius: 2.60, vdwRadius: 3.48, color: new Color(0x420066)},
+    "Ra": {number: 88, name: "Radium", mass: 226, radius: 1.55, covalentRadius: 2.21, vdwRadius: 2.83, color: new Color(0x007D00)},
+    "Ac": {number: 89, name: "Actinium", mass: 227, radius: 1.50, covalentRadius: 2.15, vdwRadius: 2.47, color: new Color(0x70ABFA)},
+    "Th": {number: 90, name: "Thorium", mass: 232.04, radius: 1.44, covalentRadius: 2.06, vdwRadius: 2.45, color: new Color(0x00BAFF)},
+    "Pa": {number: 91, name: "Protactinium", mass: 231.04, radius: 1.40, covalentRadius: 2.00, vdwRadius: 2.43, color: new Color(0x00A1FF)},
+    "U": {number: 92, name: "Uranium", mass: 238.03, radius: 1.37, covalentRadius: 1.96, vdwRadius: 2.41, color: new Color(0x008FFF)},
+    "Np": {number: 93, name: "Neptunium", mass: 237, radius: 1.33, covalentRadius: 1.90, vdwRadius: 2.39, color: new Color(0x0080FF)},
+    "Pu": {number: 94, name: "Plutonium", mass: 244, radius: 1.31, covalentRadius: 1.87, vdwRadius: 2.43, color: new Color(0x006BFF)},
+    "Am": {number: 95, name: "Americium", mass: 243, radius: 1.26, covalentRadius: 1.80, vdwRadius: 2.44, color: new Color(0x545CF2)},
+    "Cm": {number: 96, name: "Curium", mass: 247, radius: 1.18, covalentRadius: 1.69, vdwRadius: 2.45, color: new Color(0x785CE3)},
+    "Bk": {number: 97, name: "Berkelium", mass: 247, radius: 1.18, covalentRadius: 1.68, vdwRadius: 2.44, color: new Color(0x8A4FE3)},
+    "Cf": {number: 98, name: "Californium", mass: 251, radius: 1.18, covalentRadius: 1.68, vdwRadius: 2.45, color: new Color(0xA136D4)},
+    "Es": {number: 99, name: "Einsteinium", mass: 252, radius: 1.15, covalentRadius: 1.65, vdwRadius: 2.45, color: new Color(0xB31FD4)},
+    "Fm": {number: 100, name: "Fermium", mass: 257, radius: 1.17, covalentRadius: 1.67, vdwRadius: 2.45, color: new Color(0xB31FBA)},
+    "Md": {number: 101, name: "Mendelevium", mass: 258, radius: 1.21, covalentRadius: 1.73, vdwRadius: 2.46, color: new Color(0xB30DA6)},
+    "No": {number: 102, name: "Nobelium", mass: 259, radius: 1.23, covalentRadius: 1.76, vdwRadius: 2.46, color: new Color(0xBD0D87)},
+    "Lr": {number: 103, name: "Lawrencium", mass: 266, radius: 1.13, covalentRadius: 1.61, vdwRadius: 2.46, color: new Color(0xC70066)},
+    "Rf": {number: 104, name: "Rutherfordium", mass: 267, radius: 1.10, covalentRadius: 1.57, vdwRadius: 2.00, color: new Color(0xCC0059)},
+    "Db": {number: 105, name: "Dubnium", mass: 268, radius: 1.04, covalentRadius: 1.49, vdwRadius: 2.00, color: new Color(0xD1004F)},
+    "Sg": {number: 106, name: "Seaborgium", mass: 269, radius: 1.00, covalentRadius: 1.43, vdwRadius: 2.00, color: new Color(0xD90045)},
+    "Bh": {number: 107, name: "Bohrium", mass: 270, radius: 0.99, covalentRadius: 1.41, vdwRadius: 2.00, color: new Color(0xE00038)},
+    "Hs": {number: 108, name: "Hassium", mass: 277, radius: 0.94, covalentRadius: 1.34, vdwRadius: 2.00, color: new Color(0xE6002E)},
+    "Mt": {number: 109, name: "Meitnerium", mass: 278, radius: 0.90, covalentRadius: 1.29, vdwRadius: 2.00, color: new Color(0xEB0026)},
+    "Ds": {number: 110, name: "Darmstadtium", mass: 281, radius: 0.90, covalentRadius: 1.28, vdwRadius: 2.00, color: new Color(0xEB0026)},
+    "Rg": {number: 111, name: "Roentgenium", mass: 282, radius: 0.85, covalentRadius: 1.21, vdwRadius: 2.00, color: new Color(0xEB0026)},
+    "Cn": {number: 112, name: "Copernicium", mass: 285, radius: 0.85, covalentRadius: 1.22, vdwRadius: 2.00, color: new Color(0xEB0026)},
+    "Nh": {number: 113, name: "Nihonium", mass: 286, radius: 0.95, covalentRadius: 1.36, vdwRadius: 2.00, color: new Color(0xEB0026)},
+    "Fl": {number: 114, name: "Flerovium", mass: 289, radius: 1.00, covalentRadius: 1.43, vdwRadius: 2.00, color: new Color(0xEB0026)},
+    "Mc": {number: 115, name: "Moscovium", mass: 290, radius: 1.13, covalentRadius: 1.62, vdwRadius: 2.00, color: new Color(0xEB0026)},
+    "Lv": {number: 116, name: "Livermorium", mass: 293, radius: 1.22, covalentRadius: 1.75, vdwRadius: 2.00, color: new Color(0xEB0026)},
+    "Ts": {number: 117, name: "Tennessine", mass: 294, radius: 1.15, covalentRadius: 1.65, vdwRadius: 2.00, color: new Color(0xEB0026)},
+    "Og": {number: 118, name: "Oganesson", mass: 294, radius: 1.10, covalentRadius: 1.57, vdwRadius: 2.00, color: new Color(0xEB0026)},
 };
 export const defaultAtomRadius = 0.5;
 export const defaultAtomColor = new Color(1, 1, 1);
+export const defaultCovalentRadius = 0.75;
+export const defaultVdwRadius = 2.0;
 
-export const bondRadius = 0.125;
\ No newline at end of file
+// Used for atoms that are not elements (such as dummy atoms "X")
+const defaultAtomConstants = {
+    number: 0,
+    name: "Unknown",
+    mass: 0,
+    radius: defaultAtomRadius,
+    covalentRadius: defaultCovalentRadius,
+    vdwRadius: defaultVdwRadius,
+    color: defaultAtomColor
+};
+
+/**
+ * Find the element symbol of an atom label. The lookup is case insensitive
+ * and ignores anything after the element symbol, so that labels like
+ * "C1", "FE2" or "o12a" are understood.
+ * @param {string} label Atom label, as used in the input file
+ * @returns {string} The element symbol (such as "Fe"), or undefined if
+ * the label does not start with an element symbol
+ */
+export function elementSymbol(label) {
+    const letters = String(label).trim().match(/^[A-Za-z]+/);
+    if (letters === null) {
+        return undefined;
+    }
+    const l = letters[0];
+    // Try two-letter symbols first, then one-letter ones
+    if (l.length > 1) {
+        const symbol = l[0].toUpperCase() + l[1].toLowerCase();
+        if (symbol in atomConstants) {
+            return symbol;
+        }
+    }
+    const symbol = l[0].toUpperCase();
+    if (symbol in atomConstants) {
+        return symbol;
+    }
+    return undefined;
+}
+
+/**
+ * Get the constants of the element of an atom label
+ * @param {string} label Atom label (see elementSymbol)
+ * @returns {{}} The element constants, or defaults for unknown elements
+ */
+export function getAtomConstants(label) {
+    const symbol = elementSymbol(label);
+    if (symbol === undefined) {
+        return defaultAtomConstants;
+    }
+    return atomConstants[symbol];
+}
+
+/**
+ * Get the element symbol from an atomic number
+ * @param {number} number Atomic number
+ * @returns {string} Element symbol, or "X" for unknown numbers
+ */
+export function symbolFromNumber(number) {
+    for (const symbol in atomConstants) {
+        if (atomConstants[symbol].number === number) {
+            return symbol;
+        }
+    }
+    return "X";
+}
+
+// Conversion factor from atomic units (bohr) to ångström
+export const bohrToAngstrom = 0.529177210903;
+
+export const bondRadius = 0.125;
+// Distance between the cylinders of double and triple bonds
+export const multipleBondSpacing = 0.22;
+// Radius of both atoms and bonds in the licorice style
+export const licoriceRadius = 0.15;
+// Radius of atoms without bonds in the wireframe style
+export const wireframeAtomRadius = 0.1;
+
+// Added to the sum of covalent radii when deciding if two atoms are bonded
+export const bondTolerance = 0.4;
+// Atoms closer than this are considered overlapping rather than bonded
+export const minBondDistance = 0.4;
@@ -0,0 +1,506 @@
+import {Vector3, Matrix3, Quaternion} from "three";
+import {Section} from "./section.js";
+import {perceiveBonds, mergeBonds} from "./bondPerception.js";
+import {cellVectors} from "./utils.js";
+
+/**
+ * Create a unit cell, as stored in Section.cell
+ * @param {THREE.Vector3[]} vectors The three cell vectors
+ * @param {THREE.Vector3} origin
+ * @returns {{origin: THREE.Vector3, vectors: THREE.Vector3[], color: THREE.Color,
+ * transparency: number, attributes: Map<string, string>}}
+ */
+function createCell(vectors, origin=new Vector3()) {
+    return {
+        origin: origin,
+        vectors: vectors,
+        color: undefined,
+        transparency: undefined,
+        attributes: new Map()
+    };
+}
+
+/**
+ * Convert fractional coordinates to a Cartesian position
+ * @param {{origin: THREE.Vector3, vectors: THREE.Vector3[]}} cell
+ * @param {number[]} f Fractional coordinates
+ * @returns {THREE.Vector3}
+ */
+function fractionalToCartesian(cell, f) {
+    const [a, b, c] = cell.vectors;
+    return cell.origin.clone()
+        .addScaledVector(a, f[0])
+        .addScaledVector(b, f[1])
+        .addScaledVector(c, f[2]);
+}
+
+/**
+ * Parse a number that might be written as a fraction (such as 1/2)
+ * @param {string} text
+ * @returns {number}
+ */
+function parseFraction(text) {
+    const [numerator, denominator] = text.split("/");
+    return denominator === undefined ? parseFloat(numerator) :
+        parseFloat(numerator) / parseFloat(denominator);
+}
+
+/**
+ * Parse a symmetry operation in the x,y,z notation of CIF files
+ * (such as "-x+1/2, y, -z+1/2")
+ * @param {string} text
+ * @returns {{rotation: number[][], translation: number[]}} The rows of the
+ * rotation matrix and the translation, in fractional coordinates, or
+ * undefined if the operation is invalid
+ */
+function parseSymmetryOperation(text) {
+    const parts = text.replace(/\s/g, "").toLowerCase().split(",");
+    if (parts.length !== 3) {
+        return undefined;
+    }
+    const rotation = [];
+    const translation = [];
+    for (const part of parts) {
+        const row = [0, 0, 0];
+        let t = 0;
+        for (const term of part.match(/[+-]?[^+-]+/g) ?? []) {
+            const sign = term.startsWith("-") ? -1 : 1;
+            const body = term.replace(/^[+-]/, "");
+            const axis = "xyz".indexOf(body[body.length - 1]);
+            if (axis >= 0) {
+                const factor = body.slice(0, -1).replace(/\*$/, "");
+                row[axis] += sign * (factor === "" ? 1 : parseFraction(factor));
+            } else {
+                t += sign * parseFraction(body);
+            }
+        }
+        if (row.some(isNaN) || isNaN(t)) {
+            return undefined;
+        }
+        rotation.push(row);
+        translation.push(t);
+    }
+    return {rotation: rotation, translation: translation};
+}
+
+/**
+ * Apply a symmetry operation to fractional coordinates, and wrap the
+ * result into the unit cell
+ * @param {{rotation: number[][], translation: number[]}} operation
+ * @param {number[]} f Fractional coordinates
+ * @returns {number[]}
+ */
+function applySymmetryOperation(operation, f) {
+    return operation.rotation.map((row, i) => {
+        const v = row[0] * f[0] + row[1] * f[1] + row[2] * f[2] + operation.translation[i];
+        const wrapped = v - Math.floor(v);
+        // Keep positions on the cell faces at 0 rather than 1
+        return wrapped > 1 - 1e-6 ? 0 : wrapped;
+    });
+}
+
+/**
+ * Find the positions of the symmetry equivalents of a site in the unit
+ * cell, without duplicates (sites on symmetry elements map onto themselves)
+ * @param {{origin: THREE.Vector3, vectors: THREE.Vector3[]}} cell
+ * @param {{rotation: number[][], translation: number[]}[]} operations
+ * @param {number[]} f Fractional coordinates of the site
+ * @param {number} tolerance Distance below which positions are the same (Å)
+ * @returns {number[][]} Fractional coordinates of the equivalent positions
+ */
+function equivalentPositions(cell, operations, f, tolerance=0.01) {
+    const [a, b, c] = cell.vectors;
+    const distance = new Vector3();
+    const positions = [];
+    for (const operation of operations) {
+        const p = applySymmetryOperation(operation, f);
+        const duplicate = positions.some(q => {
+            // Nearest periodic image of the difference
+            const d = p.map((v, i) => v - q[i] - Math.round(v - q[i]));
+            distance.set(0, 0, 0).addScaledVector(a, d[0]).addScaledVector(b, d[1]).addScaledVector(c, d[2]);
+            return distance.length() < tolerance;
+        });
+        if (!duplicate) {
+            positions.push(p);
+        }
+    }
+    return positions;
+}
+
+/**
+ * Build a supercell by repeating a section along its cell vectors. Bonds
+ * are perceived again (unless the section has automatic bonds turned off)
+ * so that atoms are also bonded across the boundaries of the repeated
+ * cells, and explicitly set bonds are repeated.
+ * @param {Section} section Section with a unit cell
+ * @param {number[]} repeats Number of cells along each cell vector
+ * @returns {Section} New section, with the enlarged cell
+ */
+function buildSupercell(section, repeats) {
+    const cell = section.cell;
+    const [na, nb, nc] = repeats.map(n=>Math.max(1, Math.round(n)));
+    const supercell = new Section([], [], section.comment);
+    supercell.attributes = new Map(section.attributes);
+    supercell.automaticBonds = section.automaticBonds;
+    supercell.cell = createCell(
+        cell.vectors.map((v, i) => v.clone().multiplyScalar([na, nb, nc][i])),
+        cell.origin.clone()
+    );
+    supercell.cell.color = cell.color;
+    supercell.cell.transparency = cell.transparency;
+    supercell.cell.attributes = new Map(cell.attributes);
+
+    const explicit = [];
+    for (let i=0; i<na; i++) {
+        for (let j=0; j<nb; j++) {
+            for (let k=0; k<nc; k++) {
+                const offset = new Vector3()
+                    .addScaledVector(cell.vectors[0], i)
+                    .addScaledVector(cell.vectors[1], j)
+                    .addScaledVector(cell.vectors[2], k);
+                const copies = new Map(section.atoms.map(a => [a, supercell.addAtom(
+                    a.symbol, a.position.clone().add(offset), new Map(a.attributes)
+                )]));
+                for (const b of section.bonds) {
+                    if (!b.automatic || !section.automaticBonds) {
+                        explicit.push({
+                            atom1: copies.get(b.atom1),
+                            atom2: copies.get(b.atom2),
+                            order: b.order,
+                            automatic: b.automatic
+                        });
+                    }
+                }
+            }
+        }
+    }
+    supercell.bonds = supercell.automaticBonds ?
+        mergeBonds(perceiveBonds(supercell.atoms), explicit) : explicit;
+    return supercell;
+}
+
+/**
+ * Sites of a face-centred cubic lattice
+ * @param {number} sublattice Index of the element of the sites
+ * @param {number[]} shift Offset of the sites, in fractional coordinates
+ * @returns {{sublattice: number, position: number[]}[]}
+ */
+function fccSites(sublattice, shift=[0, 0, 0]) {
+    return [[0, 0, 0], [0, 0.5, 0.5], [0.5, 0, 0.5], [0.5, 0.5, 0]].map(p => ({
+        sublattice: sublattice,
+        position: p.map((v, i) => (v + shift[i]) % 1)
+    }));
+}
+
+/**
+ * Crystal structures that can be built by name, each with its default
+ * lattice constants (Å), the elements of its sublattices, the shape of its
+ * conventional cell and its basis sites (in fractional coordinates)
+ */
+const crystalPresets = {
+    simpleCubic: {
+        a: 3.359, elements: ["Po"], system: "cubic",
+        sites: [{sublattice: 0, position: [0, 0, 0]}]
+    },
+    bcc: {
+        a: 2.8665, elements: ["Fe"], system: "cubic",
+        sites: [{sublattice: 0, position: [0, 0, 0]}, {sublattice: 0, position: [0.5, 0.5, 0.5]}]
+    },
+    fcc: {
+        a: 3.615, elements: ["Cu"], system: "cubic",
+        sites: fccSites(0)
+    },
+    hcp: {
+        a: 3.209, c: 5.211, elements: ["Mg"], system: "hexagonal",
+        sites: [
+            {sublattice: 0, position: [1/3, 2/3, 1/4]},
+            {sublattice: 0, position: [2/3, 1/3, 3/4]}
+        ]
+    },
+    diamond: {
+        a: 3.567, elements: ["C"], system: "cubic",
+        sites: [...fccSites(0), ...fccSites(0, [0.75, 0.75, 0.75])]
+    },
+    zincblende: {
+        a: 5.409, elements: ["Zn", "S"], system: "cubic",
+        sites: [...fccSites(0), ...fccSites(1, [0.25, 0.25, 0.25])]
+    },
+    rockSalt: {
+        a: 5.640, elements: ["Na", "Cl"], system: "cubic",
+        sites: [...fccSites(0), ...fccSites(1, [0.5, 0, 0])]
+    },
+    wurtzite: {
+        a: 3.250, c: 5.207, elements: ["Zn", "O"], system: "hexagonal",
+        sites: [
+            {sublattice: 0, position: [1/3, 2/3, 0]},
+            {sublattice: 0, position: [2/3, 1/3, 1/2]},
+            {sublattice: 1, position: [1/3, 2/3, 3/8]},
+            {sublattice: 1, position: [2/3, 1/3, 7/8]}
+        ]
+    },
+    // A single sheet, with c as the distance between periodic images
+    graphene: {
+        a: 2.46, c: 10, elements: ["C"], system: "hexagonal",
+        sites: [
+            {sublattice: 0, position: [1/3, 2/3, 1/2]},
+            {sublattice: 0, position: [2/3, 1/3, 1/2]}
+        ]
+    },
+    graphite: {
+        a: 2.464, c: 6.711, elements: ["C"], system: "hexagonal",
+        sites: [
+            {sublattice: 0, position: [0, 0, 1/4]},
+            {sublattice: 0, position: [0, 0, 3/4]},
+            {sublattice: 0, position: [1/3, 2/3, 1/4]},
+            {sublattice: 0, position: [2/3, 1/3, 3/4]}
+        ]
+    }
+};
+
+/**
+ * Find the cell vectors and basis of a crystal
+ * @param {{}} options See buildCrystal
+ * @returns {{vectors: THREE.Vector3[], sites: {symbol: string, position: number[]}[]}}
+ */
+function crystalLattice(options) {
+    const lattice = options.lattice ?? "diamond";
+    let vectors;
+    let sites = options.basis;
+    if (typeof lattice === "string") {
+        const preset = crystalPresets[lattice];
+        if (preset === undefined) {
+            throw new Error(`Unknown lattice "${lattice}", should be one of ${Object.keys(crystalPresets).join(", ")}`);
+        }
+        const a = options.a ?? preset.a;
+        // Keep the c/a ratio when only a is changed
+        const c = options.c ?? (preset.c === undefined ? a : preset.c * a / preset.a);
+        vectors = preset.system === "hexagonal" ?
+            cellVectors(a, a, c, 90, 90, 120) : cellVectors(a, a, a);
+        const elements = options.elements ?? [];
+        if (sites === undefined) {
+            sites = preset.sites.map(site => ({
+                symbol: elements[site.sublattice] ?? preset.elements[site.sublattice],
+                position: site.position
+            }));
+        }
+    } else if (Array.isArray(lattice)) {
+        vectors = lattice.map(v=>v.clone());
+    } else {
+        vectors = cellVectors(lattice.a, lattice.b ?? lattice.a, lattice.c ?? lattice.a,
+            lattice.alpha, lattice.beta, lattice.gamma);
+    }
+    if (sites === undefined) {
+        throw new Error("A basis is needed for lattices that are not presets");
+    }
+    return {vectors: vectors, sites: sites};
+}
+
+/**
+ * Find the extended greatest common divisor of two integers
+ * @param {number} a
+ * @param {number} b
+ * @returns {number[]} x and y such that ax + by = gcd(a, b)
+ */
+function extendedGcd(a, b) {
+    if (b === 0) {
+        return [1, 0];
+    }
+    const r = a - b * Math.floor(a / b);
+    if (r === 0) {
+        return [0, 1];
+    }
+    const [x, y] = extendedGcd(b, r);
+    return [y, x - y * Math.floor(a / b)];
+}
+
+function gcd(a, b) {
+    return b === 0 ? Math.abs(a) : gcd(b, a % b);
+}
+
+/**
+ * Find a cell with two vectors in a lattice plane and the third one
+ * stacking the planes, with the same volume as the original cell
+ * @param {THREE.Vector3[]} vectors Cell vectors
+ * @param {number[]} miller Miller indices of the plane
+ * @returns {number[][]} The new cell vectors, as integer combinations
+ * of the original ones
+ */
+function surfaceBasis(vectors, miller) {
+    const divisor = miller.reduce((d, v) => gcd(d, v), 0);
+    const [h, k, l] = miller.map(v=>v / divisor);
+    const zeros = [h, k, l].filter(v=>v === 0).length;
+    if (zeros === 2) {
+        if (h !== 0) {
+            return [[0, 1, 0], [0, 0, 1], [1, 0, 0]];
+        }
+        if (k !== 0) {
+            return [[0, 0, 1], [1, 0, 0], [0, 1, 0]];
+        }
+        return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    }
+    let [p, q] = extendedGcd(k, l);
+    const [a1, a2, a3] = vectors;
+    const combine = (c1, v1, c2, v2) => v1.clone().multiplyScalar(c1).addScaledVector(v2, c2);
+    // Choose the in-plane vectors to be as orthogonal as possible
+    const u = combine(k, a1, -h, a2);
+    const w = combine(l, a1, -h, a3);
+    const v = combine(l, a2, -k, a3);
+    const k1 = combine(p, u, q, w).dot(v);
+    const k2 = combine(l, u, -k, w).dot(v);
+    if (Math.abs(k2) > 1e-10) {
+        const i = -Math.round(k1 / k2);
+        [p, q] = [p + i * l, q - i * k];
+    }
+    const [x, y] = extendedGcd(p * k + q * l, h);
+    const d = gcd(l, k);
+    return [
+        [p * k + q * l, -p * h, -q * h],
+        [0, l / d, -k / d],
+        [y, x * p, x * q]
+    ];
+}
+
+/**
+ * Solve for the fractional coordinates in a cell made of integer
+ * combinations of the original cell vectors
+ * @param {number[][]} basis Rows of integer combinations
+ * @param {number[]} f Fractional coordinates in the original cell
+ * @returns {number[]} Fractional coordinates in the new cell
+ */
+function changeBasis(basis, f) {
+    // f = f' B, so f' = f B^-1
+    const m = new Matrix3().set(...basis.flat()).transpose().invert();
+    return new Vector3(...f).applyMatrix3(m).toArray();
+}
+
+/**
+ * Cut a slab parallel to a lattice plane, with vacuum above and below.
+ * The slab is rotated so that the plane is the xy plane.
+ * @param {THREE.Vector3[]} vectors Cell vectors
+ * @param {{symbol: string, position: number[]}[]} sites Basis sites
+ * @param {{miller: number[], layers: number, vacuum: number}} slab
+ * @returns {{vectors: THREE.Vector3[], sites: {symbol: string, position: number[]}[]}}
+ * The cell of one layer of the slab, with its perpendicular third vector
+ * spanning all layers and the vacuum, and the sites of all layers
+ */
+function cutSlab(vectors, sites, slab) {
+    const miller = slab.miller.map(v=>Math.round(v));
+    if (miller.every(v=>v === 0)) {
+        throw new Error("Miller indices can't all be zero");
+    }
+    const layers = Math.max(1, Math.round(slab.layers ?? 3));
+    const vacuum = slab.vacuum ?? 10;
+    const basis = surfaceBasis(vectors, miller);
+    let [v1, v2, v3] = basis.map(row => new Vector3()
+        .addScaledVector(vectors[0], row[0])
+        .addScaledVector(vectors[1], row[1])
+        .addScaledVector(vectors[2], row[2]));
+
+    // Keep the cell right-handed, so that the normal points along v3
+    if (v1.clone().cross(v2).dot(v3) < 0) {
+        basis[1] = basis[1].map(v=>-v);
+        v2 = v2.clone().negate();
+    }
+    const wrap = f => f.map(v => {
+        const w = v - Math.floor(v + 1e-8);
+        return Math.abs(w) < 1e-8 ? 0 : w;
+    });
+    const layerSites = sites.map(site => ({
+        symbol: site.symbol,
+        position: wrap(changeBasis(basis, site.position))
+    }));
+
+    const normal = v1.clone().cross(v2).normalize();
+    const spacing = v3.dot(normal);
+    const height = layers * spacing + vacuum;
+    const stacked = new Vector3(0, 0, 0).addScaledVector(normal, height);
+    const slabVectors = [v1, v2, stacked];
+    // Fractional coordinates in the slab cell, with the slab centred
+    const inverse = new Matrix3().set(
+        ...slabVectors.flatMap(v=>v.toArray())
+    ).transpose().invert();
+    const slabSites = [];
+    for (let n=0; n<layers; n++) {
+        for (const site of layerSites) {
+            const p = new Vector3()
+                .addScaledVector(v1, site.position[0])
+                .addScaledVector(v2, site.position[1])
+                .addScaledVector(v3, site.position[2] + n)
+                .addScaledVector(normal, vacuum / 2);
+            const f = p.applyMatrix3(inverse).toArray();
+            slabSites.push({
+                symbol: site.symbol,
+                position: [...wrap(f.slice(0, 2)), f[2]]
+            });
+        }
+    }
+
+    // Rotate so that the normal is along z, and v1 along x
+    const q = new Quaternion().setFromUnitVectors(normal, new Vector3(0, 0, 1));
+    const rotated = slabVectors.map(v=>v.clone().applyQuaternion(q));
+    const angle = Math.atan2(rotated[0].y, rotated[0].x);
+    const qz = new Quaternion().setFromAxisAngle(new Vector3(0, 0, 1), -angle);
+    rotated.forEach(v=>v.applyQuaternion(qz));
+    return {vectors: rotated, sites: slabSites};
+}
+
+/**
+ * Build a crystal from a lattice and a basis of sites
+ * @param {{}} options
+ * @param {string | {a: number, b: number, c: number, alpha: number,
+ * beta: number, gamma: number} | THREE.Vector3[]} options.lattice Name of
+ * a preset (one of the keys of crystalPresets), the cell parameters (Å
+ * and degrees) or the cell vectors
+ * @param {number} options.a Lattice constant of a preset (Å)
+ * @param {number} options.c Second lattice constant of a hexagonal preset (Å)
+ * @param {string[]} options.elements Elements of the sublattices of a
+ * preset (such as ["Ga", "As"] for zincblende)
+ * @param {{symbol: string, position: number[]}[]} options.basis Element
+ * and fractional coordinates of each site, replacing those of a preset
+ * @param {number | number[]} options.repeats Number of cells along each
+ * cell vector (the third one is ignored for slabs)
+ * @param {{miller: number[], layers: number, vacuum: number}} options.slab
+ * If set, cut a slab parallel to the plane with these Miller indices,
+ * with a number of layers and vacuum (Å) separating the periodic images
+ * @returns {Section} New section, with the unit cell of the whole crystal
+ */
+function buildCrystal(options={}) {
+    let {vectors, sites} = crystalLattice(options);
+    let repeats = options.repeats ?? 1;
+    repeats = (Array.isArray(repeats) ? repeats : [repeats, repeats, repeats])
+        .map(n=>Math.max(1, Math.round(n)));
+    let name = typeof options.lattice === "string" ? options.lattice : "crystal";
+    if (options.slab !== undefined) {
+        ({vectors, sites} = cutSlab(vectors, sites, options.slab));
+        repeats[2] = 1;
+        name += ` (${options.slab.miller.join(" ")}) slab`;
+    }
+
+    const section = new Section([], [], name);
+    const cell = createCell(vectors);
+    for (let i=0; i<repeats[0]; i++) {
+        for (let j=0; j<repeats[1]; j++) {
+            for (let k=0; k<repeats[2]; k++) {
+                for (const site of sites) {
+                    const f = site.position;
+                    section.addAtom(
+                        site.symbol,
+                        fractionalToCartesian(cell, [f[0] + i, f[1] + j, f[2] + k])
+                    );
+                }
+            }
+        }
+    }
+    section.cell = createCell(vectors.map((v, i) => v.clone().multiplyScalar(repeats[i])));
+    return section;
+}
+
+export {
+    crystalPresets,
+    buildCrystal,
+    createCell,
+    fractionalToCartesian,
+    parseSymmetryOperation,
+    equivalentPositions,
+    buildSupercell
+};
@@ -0,0 +1,141 @@
+import {Vector3} from "three";
+import {Section} from "./section.js";
+import {symbolFromNumber, bohrToAngstrom} from "./constants.js";
+import {perceiveBonds} from "./bondPerception.js";
+
+/**
+ * Parse a Gaussian cube file. The atoms become a new section and the
+ * volumetric data is stored in its volumes (one per orbital, if the file
+ * contains several).
+ * @param {string} text Content of the cube file
+ * @param {string} name Name to give the volume, if not an orbital
+ * @param {function(number, string, string)} report Called with the index
+ * of the line, the severity and a message for each problem found
+ * @returns {Section} The section, or undefined if the header or atoms
+ * could not be read. Volumes are left out if their values are not valid.
+ */
+function parseCube(text, name="cube", report=() => {}) {
+    const lines = text.split(/\r?\n/);
+    const columns = i => lines[i].trim().split(/[ \t]+/g).map(v=>parseFloat(v));
+    // Check that a line starts with enough numbers
+    // Last line with content, for problems at the end of the file
+    let lastLine = lines.length - 1;
+    while (lastLine > 0 && lines[lastLine].trim() === "") {
+        lastLine--;
+    }
+    const numbers = (i, count, description) => {
+        if (i > lastLine) {
+            report(lastLine, "error", `File ends before the ${description}`);
+            return undefined;
+        }
+        const values = columns(i);
+        if (values.length < count || values.slice(0, count).some(isNaN)) {
+            report(i, "error", `Invalid ${description}, expected ${count} numbers`);
+            return undefined;
+        }
+        return values;
+    };
+
+    const header = numbers(2, 4, "atom count and origin");
+    if (header === undefined) {
+        return undefined;
+    }
+    const comment = lines[1].trim() || lines[0].trim();
+    let [nAtoms, ox, oy, oz, nValues] = header;
+
+    // A negative atom count means that orbital indices follow the atoms
+    const hasOrbitals = nAtoms < 0;
+    nAtoms = Math.abs(nAtoms);
+
+    // A positive number of voxels means that lengths are given in bohr
+    const dims = [];
+    const axes = [];
+    let scale = 1;
+    for (let i=0; i<3; i++) {
+        const axis = numbers(3 + i, 4, `grid axis ${i + 1}`);
+        if (axis === undefined) {
+            return undefined;
+        }
+        const [n, x, y, z] = axis;
+        if (!Number.isInteger(n) || n === 0) {
+            report(3 + i, "error", `Invalid number of points "${n}" along grid axis ${i + 1}`);
+            return undefined;
+        }
+        if (i === 0) {
+            scale = n > 0 ? bohrToAngstrom : 1;
+        }
+        dims.push(Math.abs(n));
+        axes.push(new Vector3(x, y, z).multiplyScalar(scale));
+    }
+    const origin = new Vector3(ox, oy, oz).multiplyScalar(scale);
+
+    const section = new Section([], [], comment);
+    for (let i=0; i<nAtoms; i++) {
+        const atom = numbers(6 + i, 5, `atom ${i + 1}`);
+        if (atom === undefined) {
+            return undefined;
+        }
+        const [z, , x, y, zPos] = atom;
+        section.addAtom(
+            symbolFromNumber(z),
+            new Vector3(x, y, zPos).multiplyScalar(scale)
+        );
+    }
+    section.bonds = perceiveBonds(section.atoms);
+
+    // Remaining values, with possible orbital indices first
+    const dataLine = 6 + nAtoms;
+    const values = [];
+    for (let i=dataLine; i<lines.length; i++) {
+        for (const v of lines[i].trim().split(/[ \t]+/g)) {
+            if (v === "") {
+                continue;
+            }
+            const value = parseFloat(v);
+            if (isNaN(value)) {
+                report(i, "error", `Invalid value "${v}", the grid is left out`);
+                return section;
+            }
+            values.push(value);
+        }
+    }
+    let names = [name];
+    if (hasOrbitals) {
+        const nOrbitals = values.shift();
+        if (!(nOrbitals > 0) || !Number.isInteger(nOrbitals)) {
+            report(dataLine, "error", "Invalid number of orbitals, the grid is left out");
+            return section;
+        }
+        names = values.splice(0, nOrbitals).map(i=>`MO ${i}`);
+    } else if (nValues > 1) {
+        names = [...Array(nValues).keys()].map(i=>`${name} ${i+1}`);
+    }
+
+    // Values of all volumes are interleaved for each point
+    const nPoints = dims[0] * dims[1] * dims[2];
+    const expected = nPoints * names.length;
+    if (values.length < expected) {
+        report(lastLine, "error", `Expected ${expected} grid values, but found ${values.length}, the grid is left out`);
+        return section;
+    }
+    if (values.length > expected) {
+        report(lastLine, "warning", `Ignored ${values.length - expected} values after the grid`);
+    }
+    names.forEach((volumeName, v) => {
+        const data = new Float32Array(nPoints);
+        for (let i=0; i<nPoints; i++) {
+            data[i] = values[i * names.length + v];
+        }
+        section.volumes.push({
+            name: volumeName,
+            origin: origin,
+            axes: axes,
+            dims: dims,
+            data: data
+        });
+    });
+
+    return section;
+}
+
+export {parseCube};
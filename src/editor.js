@@ -0,0 +1,182 @@
+import * as THREE from "three";
+import {TransformControls} from "three/addons/controls/TransformControls.js";
+
+/**
+ * Handles interactive editing: placing atoms by clicking, and moving or
+ * rotating the selected atoms with a gizmo.
+ */
+class Editor {
+    /**
+     * @param {Api} api
+     */
+    constructor(api) {
+        this.api = api;
+        // Element of new atoms
+        this.element = "C";
+        // Bond order of new bonds
+        this.bondOrder = 1;
+        // In place mode, clicking adds a new atom
+        this.placing = false;
+        // Gizmo mode ("translate" or "rotate"), or undefined if hidden
+        this.gizmoMode = undefined;
+
+        this.api.selection.listeners.push(() => this.updateGizmo());
+    }
+
+    /**
+     * Toggle place mode, where clicking on empty space adds an atom of
+     * the current element and clicking on an atom changes its element
+     * @param {boolean} enabled
+     */
+    setPlacing(enabled=!this.placing) {
+        this.placing = enabled;
+    }
+
+    /**
+     * Handle a click on the canvas
+     * @param {PointerEvent} event
+     * @param {{}} item The clicked atom or bond, if any
+     * @returns {boolean} True if the click was handled by the editor, and
+     * should not change the selection
+     */
+    click(event, item) {
+        if (!this.placing || item?.atom1 !== undefined) {
+            return false;
+        }
+        if (item !== undefined) {
+            this.api.setElement([item], this.element);
+            return true;
+        }
+        const section = [...this.api.selection.atoms][0]?.section ??
+            this.api.visibleSections()[0];
+        const atom = this.api.history.group("Place atom", () => {
+            const atom = this.api.addAtom(
+                this.element,
+                this.pointOnTargetPlane(event.clientX, event.clientY),
+                undefined,
+                section,
+                false
+            );
+            if (atom.section.automaticBonds) {
+                this.api.perceiveBonds(atom.section, {}, false);
+            }
+            return atom;
+        });
+        this.api.view.redrawAtomView([atom.section]);
+        this.api.view.redrawBondView([atom.section]);
+        this.api.selection.select([atom]);
+        return true;
+    }
+
+    /**
+     * Find the point under the mouse on the plane facing the camera
+     * through the camera target
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {THREE.Vector3}
+     */
+    pointOnTargetPlane(clientX, clientY) {
+        const rect = this.api.renderer.domElement.getBoundingClientRect();
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        ), this.api.camera);
+        const normal = this.api.camera.getWorldDirection(new THREE.Vector3());
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+            normal, this.api.controls.target
+        );
+        const point = new THREE.Vector3();
+        if (raycaster.ray.intersectPlane(plane, point) === null) {
+            point.copy(this.api.controls.target);
+        }
+        return point;
+    }
+
+    /**
+     * Show a gizmo to move or rotate the selected atoms
+     * @param {string} mode "translate" or "rotate", or undefined to hide
+     * the gizmo
+     */
+    setGizmoMode(mode) {
+        this.gizmoMode = mode;
+        if (mode !== undefined && this.gizmo === undefined) {
+            this.createGizmo();
+        }
+        this.updateGizmo();
+    }
+
+    createGizmo() {
+        this.pivot = new THREE.Object3D();
+        this.pivot.name = "Gizmo pivot";
+        this.api.scene.add(this.pivot);
+
+        this.gizmo = new TransformControls(this.api.camera, this.api.renderer.domElement);
+        this.gizmo.getHelper().name = "Gizmo";
+        this.api.scene.add(this.gizmo.getHelper());
+
+        this.gizmo.addEventListener("change", () => this.api.render());
+        this.gizmo.addEventListener("dragging-changed", event => {
+            this.api.controls.enabled = !event.value;
+            // Undo the whole drag in one step
+            if (event.value) {
+                this.api.history.beginGroup(
+                    this.gizmoMode === "rotate" ? "Rotate atoms" : "Move atoms"
+                );
+            } else {
+                this.api.history.endGroup();
+            }
+        });
+
+        // Move the atoms as much as the pivot has moved since last time
+        this.gizmo.addEventListener("objectChange", () => {
+            const translation = this.pivot.position.clone().sub(this.lastPosition);
+            const rotation = this.pivot.quaternion.clone().multiply(
+                this.lastQuaternion.clone().invert()
+            );
+            this.api.transformAtoms(
+                [...this.api.selection.atoms],
+                translation,
+                rotation,
+                this.pivot.position
+            );
+            this.lastPosition.copy(this.pivot.position);
+            this.lastQuaternion.copy(this.pivot.quaternion);
+        });
+    }
+
+    /**
+     * Attach the gizmo to the centre of the selected atoms, or hide it
+     * if there is nothing selected
+     */
+    updateGizmo() {
+        if (this.gizmo === undefined) {
+            return;
+        }
+        const atoms = [...this.api.selection.atoms];
+        if (this.gizmoMode === undefined || atoms.length === 0) {
+            this.gizmo.detach();
+            return;
+        }
+        this.pivot.position.set(0, 0, 0);
+        atoms.forEach(a=>this.pivot.position.add(a.position));
+        this.pivot.position.divideScalar(atoms.length);
+        this.pivot.quaternion.identity();
+        this.lastPosition = this.pivot.position.clone();
+        this.lastQuaternion = this.pivot.quaternion.clone();
+
+        this.gizmo.setMode(this.gizmoMode);
+        this.gizmo.attach(this.pivot);
+    }
+
+    /**
+     * Check if the mouse is over (or dragging) the gizmo, in which case
+     * clicks should not change the selection
+     * @returns {boolean}
+     */
+    gizmoActive() {
+        return this.gizmo?.object !== undefined && this.gizmo.axis !== null;
+    }
+}
+
+export {Editor};
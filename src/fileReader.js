@@ -1,49 +1,167 @@
 
-import {Vector3} from "three";
+import {Vector3, Color} from "three";
 import {Section} from "./section.js";
+import {perceiveBonds, mergeBonds} from "./bondPerception.js";
+import {parseCube} from "./cubeReader.js";
+import {parseMolden} from "./moldenReader.js";
+import {parseXYZ} from "./xyzReader.js";
+import {parsePDB} from "./pdbReader.js";
+import {parseCIF} from "./cifReader.js";
+import {parseSDF, parseMol2} from "./molReader.js";
+import {bohrToAngstrom} from "./constants.js";
+import {notify, parseColor} from "./utils.js";
 
 /**
- * Loads data from files.
+ * Loads data from files. Problems found in the files are shown as
+ * notifications, with the name of the file and the line.
  * @param {FileList} file
  * @returns List of sections
  */
 async function loadData(files) {
     const sections = [];
+    const diagnostics = [];
     for (const file of files) {
         const text = await file.text();
+        const extension = file.name.split(".").pop().toLowerCase();
+        switch (extension) {
+        case "cube":
+        case "cub": {
+            const section = parseCube(text, file.name, fileReporter(file.name, diagnostics));
+            if (section !== undefined) {
+                sections.push(section);
+            }
+            break;
+        }
+        case "molden": {
+            const section = parseMolden(text, fileReporter(file.name, diagnostics));
+            if (section !== undefined) {
+                sections.push(section);
+            }
+            break;
+        }
+        case "xyz":
+        case "extxyz":
+            sections.push(...parseXYZ(text, fileReporter(file.name, diagnostics)));
+            break;
+        case "pdb":
+        case "ent":
+            sections.push(...parsePDB(text, fileReporter(file.name, diagnostics)));
+            break;
+        case "cif":
+        case "mmcif":
+            sections.push(...parseCIF(text, fileReporter(file.name, diagnostics)));
+            break;
+        case "mol":
+        case "sdf":
+        case "sd":
+            sections.push(...parseSDF(text, fileReporter(file.name, diagnostics)));
+            break;
+        case "mol2":
+            sections.push(...parseMol2(text, fileReporter(file.name, diagnostics)));
+            break;
+        default:
+            sections.push(...parseLuscus(text, file.name, diagnostics));
+        }
+    }
+    reportDiagnostics(diagnostics);
+    return sections;
+}
 
-        // Process lines to extract the items;
-        const lines = text.split(/[\r\n]+/);
+// Only the first few problems are notified, the rest go to the console
+const maxNotifiedDiagnostics = 5;
 
-        // Group lines by sections
-        let currentSection = [];
-        for (const line of lines) {
-            if (line.includes("<END>")) {
-                // New section
-                sections.push(currentSection);
-                currentSection = [];
-            } else {
-                currentSection.push(line);
-            }
+/**
+ * Show problems found while parsing
+ * @param {{file: string, line: number, severity: string, message: string}[]} diagnostics
+ */
+function reportDiagnostics(diagnostics) {
+    diagnostics.forEach((d, i) => {
+        const message = `${d.file}:${d.line}: ${d.message}`;
+        if (d.severity === "error") {
+            console.error(message);
+        } else {
+            console.warn(message);
+        }
+        if (i < maxNotifiedDiagnostics) {
+            notify(message, d.severity === "error" ? "alert" : "warning");
         }
+    });
+    if (diagnostics.length > maxNotifiedDiagnostics) {
+        notify(
+            `${diagnostics.length - maxNotifiedDiagnostics} more problems found, see the console`,
+            "warning"
+        );
+    }
+}
 
-        // Add final section (if there is anything after the <END> tag)
-        if (
-            currentSection.length === 0 ||
-            (currentSection.length === 1 && currentSection[0] === "")
-        ) {
-            continue;
+/**
+ * Create a function for parsers to report problems in a file with
+ * @param {string} fileName
+ * @param {{}[]} diagnostics List to add problems to, each with the file,
+ * line number (starting from 1), severity ("error" or "warning") and message
+ * @returns {function(number, string, string)} Function taking the index of
+ * the line, the severity and a message
+ */
+function fileReporter(fileName, diagnostics) {
+    return (i, severity, message) => diagnostics.push({
+        file: fileName,
+        line: i + 1,
+        severity: severity,
+        message: message
+    });
+}
+
+/**
+ * Parse the content of a Luscus (.lus) file. Malformed content is
+ * recovered from where possible, with a diagnostic for each problem.
+ * @param {string} text
+ * @param {string} fileName Name of the file, for diagnostics
+ * @param {{}[]} diagnostics List to add problems to, each with the file,
+ * line number (starting from 1), severity ("error" or "warning") and message
+ * @returns {Section[]} List of sections
+ */
+function parseLuscus(text, fileName="file.lus", diagnostics=[]) {
+    const lines = text.split(/\r?\n/);
+
+    // Group lines by sections, remembering where each section starts
+    const sections = [];
+    let currentSection = {start: 0, lines: []};
+    lines.forEach((line, i) => {
+        // Older versions wrote </END>
+        if (/<\/?END>/.test(line)) {
+            sections.push(currentSection);
+            currentSection = {start: i + 1, lines: []};
+        } else {
+            currentSection.lines.push(line);
         }
+    });
+
+    // Add final section (if there is anything after the <END> tag)
+    if (currentSection.lines.some(l=>l.trim() !== "")) {
         sections.push(currentSection);
     }
 
-    return sections.map(s=>parseSection(s));
+    const report = fileReporter(fileName, diagnostics);
+    return sections.map(({start, lines}) => parseSection(
+        lines,
+        (i, severity, message) => report(start + i, severity, message)
+    )).filter(s=>s !== undefined);
 }
 
-function parseSection(lines) {
+/**
+ * Parse the lines of one section, from the atom count to the <END> tag
+ * @param {string[]} lines
+ * @param {function(number, string, string)} report Called with the
+ * index of the line, the severity and a message for each problem found
+ * @returns {Section} The section, or undefined if it has no content
+ */
+function parseSection(lines, report) {
+    if (lines.every(l=>l.trim() === "")) {
+        report(0, "warning", "Ignored empty section");
+        return undefined;
+    }
 
-    const nAtoms = parseInt(lines[0]);
-    const comment = lines[1];
+    const comment = lines[1] ?? "";
 
     const atoms = [];
     const bonds = [];
@@ -52,39 +170,174 @@ function parseSection(lines) {
 
     let i = 2;
 
+    let nAtoms = parseInt(lines[0]);
+    if (isNaN(nAtoms)) {
+        // Use the atom lines there are
+        nAtoms = 0;
+        while (i + nAtoms < lines.length && isAtomLine(lines[i + nAtoms])) {
+            nAtoms++;
+        }
+        report(0, "error", `Invalid atom count "${lines[0].trim()}", found ${nAtoms} atoms`);
+    }
+
     for (let j=0; j<nAtoms; j++) {
-        const [atomSym, x, y, z] = splitColumns(lines[i+j]);
+        const line = lines[i+j];
+        if (line === undefined || line.trim() === "" || openingTag(line) !== undefined) {
+            report(i+j, "error", `Expected ${nAtoms} atoms, but found ${j}`);
+            break;
+        }
+        const [atomSym, ...coords] = splitColumns(line);
+        const position = [0, 1, 2].map(k=>parseFloat(coords[k]));
+        if (position.some(isNaN)) {
+            report(i+j, "warning", `Invalid coordinates of atom ${j+1}, replaced with 0`);
+        }
         const atom = {
             sectionIdx: j+1, // Keep 1-indexed convention?
             symbol: atomSym,
-            position: new Vector3(
-                parseFloat(x),
-                parseFloat(y),
-                parseFloat(z)
-            ),
+            position: new Vector3(...position.map(v=>isNaN(v) ? 0 : v)),
             attributes: new Map(),
             section: section
         };
         atoms.push(atom);
     }
 
-    i += nAtoms;
+    i += atoms.length;
+
+    // Grid values can be given in density blocks after the grid block
+    let grid;
+    let gridLine;
 
     // Loop through remaining blocks
-    for (let j=i; j<lines.length; j++) {
-        if (lines[j].includes("<BOND>")) {
-            const blockLines = extractBlock("</BOND>", lines, j);
-            bonds.push(...parseBonds(blockLines, atoms));
+    let j = i;
+    while (j < lines.length) {
+        const tag = openingTag(lines[j]);
+        if (tag === undefined) {
+            if (lines[j].trim() !== "") {
+                report(j, "warning", `Ignored unexpected line "${lines[j].trim()}"`);
+            }
+            j++;
+            continue;
         }
-        else if (lines[j].includes("<ATOM>")) {
-            const blockLines = extractBlock("</ATOM>", lines, j);
-            parseAtoms(blockLines, atoms);
+
+        const {end, closed} = findBlockEnd(tag, lines, j);
+        if (!closed) {
+            report(j, "error", `<${tag}> block is not closed`);
+        }
+        const blockLines = lines.slice(j + 1, end);
+        const start = j + 1;
+        const blockReport = (k, severity, message) => report(start + k, severity, message);
+
+        if (tag === "BOND") {
+            const bondBlock = parseBonds(blockLines, atoms, blockReport);
+            section.automaticBonds = bondBlock.automatic;
+            bonds.push(...bondBlock.bonds);
         }
+        else if (tag === "ATOM") {
+            parseAtoms(blockLines, atoms, blockReport);
+        }
+        else if (tag === "VIBRATION") {
+            const vibrations = parseVibrations(blockLines, blockReport);
+            for (const v of vibrations) {
+                // Displacements are expected to line up with the atoms
+                if (v.displacements.length !== atoms.length) {
+                    report(j, "warning", `Vibration with frequency ${v.frequency} has ${v.displacements.length} displacements, but there are ${atoms.length} atoms`);
+                    v.displacements = atoms.map((_, k) => v.displacements[k] ?? new Vector3());
+                }
+            }
+            section.vibrations.push(...vibrations);
+        }
+        else if (tag === "GRID" || tag === "DENSITY") {
+            if (tag === "GRID") {
+                grid = parseGrid(blockLines);
+                gridLine = j;
+                section.volumes.push(...grid.volumes);
+            } else if (grid !== undefined) {
+                grid.fill(blockLines);
+            } else {
+                report(j, "warning", "<DENSITY> block without a preceding <GRID> block");
+            }
+            // Grids are not written from the parsed volumes, so keep the
+            // blocks as they are
+            section.extraBlocks.push({tag: tag, lines: blockLines});
+        }
+        else if (tag === "CELL") {
+            const primitive = parsePrimitive(blockLines, "cell");
+            if (primitive.coords.length < primitivePoints.cell) {
+                report(j, "warning", `<CELL> block needs ${primitivePoints.cell} points, but has ${primitive.coords.length}`);
+            }
+            section.cell = cellFromPrimitive(primitive);
+        }
+        else if (primitiveTypes.includes(tag.toLowerCase())) {
+            const type = tag.toLowerCase();
+            const primitive = parsePrimitive(blockLines, type);
+            if (primitive.coords.length < primitivePoints[type]) {
+                report(j, "warning", `<${tag}> block needs ${primitivePoints[type]} points, but has ${primitive.coords.length}`);
+            }
+            section.primitives.push(primitive);
+        }
+        else {
+            // Keep unknown blocks, so that they are saved again
+            section.extraBlocks.push({tag: tag, lines: blockLines});
+        }
+
+        j = closed ? end + 1 : end;
+    }
+
+    if (grid !== undefined && grid.filled() < grid.volumes.length) {
+        report(gridLine, "warning", `Values missing for ${grid.volumes.length - grid.filled()} of ${grid.volumes.length} grids`);
+    }
+
+    // Sections without a bond block, or with AUTOMATIC = 1, get their
+    // bonds from the atom positions. Explicitly listed bonds take precedence.
+    if (section.automaticBonds) {
+        section.bonds = mergeBonds(perceiveBonds(atoms), bonds);
     }
 
     return section;
 }
 
+/**
+ * Check if a line looks like an atom: a label followed by three coordinates
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isAtomLine(line) {
+    const cols = splitColumns(line);
+    return cols.length >= 4 && cols.slice(1, 4).every(v=>!isNaN(parseFloat(v)));
+}
+
+/**
+ * Get the name of the block a line opens, such as "BOND" for " <BOND>"
+ * @param {string} line
+ * @returns {string} The tag name, or undefined if the line is not an
+ * opening tag
+ */
+function openingTag(line) {
+    return line.match(/^\s*<([A-Za-z_]+)>\s*$/)?.[1].toUpperCase();
+}
+
+/**
+ * Find the end of a block. If the closing tag is missing, the block ends
+ * at the next opening tag (or the end of the section).
+ * @param {string} tag Name of the block
+ * @param {string[]} lines
+ * @param {number} i Index of the opening tag
+ * @returns {{end: number, closed: boolean}} Index of the closing tag (or of
+ * the line after the block if it is not closed)
+ */
+function findBlockEnd(tag, lines, i) {
+    const endTag = `</${tag}>`;
+    for (let j=i+1; j<lines.length; j++) {
+        if (lines[j].toUpperCase().includes(endTag)) {
+            return {end: j, closed: true};
+        }
+        if (openingTag(lines[j]) !== undefined) {
+            return {end: j, closed: false};
+        }
+    }
+    return {end: lines.length, closed: false};
+}
+
 // Bond order:
 // 0	No bond, atoms are not connected
 // 1	single bond
@@ -94,23 +347,45 @@ function parseSection(lines) {
 // 5	bond order 1.5
 // 6	line between atoms
 
-function parseBonds(lines, atoms) {
+/**
+ * Parse the lines of a bond block
+ * @param {string[]} lines Lines between the <BOND> tags
+ * @param {{}[]} atoms Atoms of the section
+ * @param {function(number, string, string)} report Called for each problem
+ * @returns {{bonds: {}[], automatic: boolean}} The explicitly listed bonds,
+ * and the value of the AUTOMATIC flag (true if not given)
+ */
+function parseBonds(lines, atoms, report) {
     const bonds = [];
     let automatic = true;
-    if (lines[0].includes("AUTOMATIC")) {
-        automatic = !lines[0].split("=")[1].includes("0");
-        lines = lines.slice(1);
-    }
-    for (const line of lines) {
+    lines.forEach((line, k) => {
+        if (line.trim() === "") {
+            return;
+        }
+        if (line.includes("AUTOMATIC")) {
+            automatic = !(line.split("=")[1] ?? "").includes("0");
+            return;
+        }
         const [i1, i2, order] = splitColumns(line).map(v=>parseInt(v));
+        const atom1 = atoms[i1-1];
+        const atom2 = atoms[i2-1];
+        if (atom1 === undefined || atom2 === undefined || atom1 === atom2) {
+            report(k, "warning", `Ignored bond between atoms ${i1} and ${i2} (there are ${atoms.length} atoms)`);
+            return;
+        }
+        if (isNaN(order)) {
+            report(k, "warning", `Missing bond order between atoms ${i1} and ${i2}, using a single bond`);
+        } else if (order < 0 || order > 6) {
+            report(k, "warning", `Unknown bond order ${order} between atoms ${i1} and ${i2}`);
+        }
         bonds.push({
-            atom1: atoms[i1-1],
-            atom2: atoms[i2-1],
-            order: order,
-            automatic: automatic
+            atom1: atom1,
+            atom2: atom2,
+            order: isNaN(order) ? 1 : order,
+            automatic: false
         });
-    }
-    return bonds;
+    });
+    return {bonds, automatic};
 }
 
 // Split on spaces or tabs
@@ -118,26 +393,270 @@ function splitColumns(line) {
     return line.trim().split(/[ \t]+/g);
 }
 
-function extractBlock(endTag, lines, i) {
-    for (let j=i+1; j<lines.length; j++) {
-        if (lines[j].includes(endTag)) {
-            return lines.slice(i+1,j);
+/**
+ * Parse the lines of a vibration block, with a header of key-value pairs
+ * followed by one displacement vector per atom:
+ *  FREQ = 1634.5
+ *  IR_INT = 71.2
+ *  RAMAN_INT = 0.0
+ *   0.0000   0.0000  -0.0700
+ *   ...
+ * A new FREQ line after the displacements starts a new normal mode.
+ * @param {string[]} lines Lines between the <VIBRATION> tags
+ * @param {function(number, string, string)} report Called for each problem
+ * @returns {{}[]} List of normal modes
+ */
+function parseVibrations(lines, report) {
+    const vibrations = [];
+    let vibration;
+    const newVibration = () => {
+        vibration = {
+            frequency: 0,
+            irIntensity: undefined,
+            ramanIntensity: undefined,
+            displacements: [],
+            attributes: new Map()
+        };
+        vibrations.push(vibration);
+    };
+
+    lines.forEach((line, k) => {
+        if (line.trim() === "") {
+            return;
         }
+        if (line.includes("=")) {
+            const [key, val] = line.split("=").map(v=>v.trim());
+            if (
+                vibration === undefined ||
+                (key === "FREQ" && vibration.displacements.length > 0)
+            ) {
+                newVibration();
+            }
+            switch (key) {
+            case "FREQ": vibration.frequency = parseFloat(val); break;
+            case "IR_INT": vibration.irIntensity = parseFloat(val); break;
+            case "RAMAN_INT": vibration.ramanIntensity = parseFloat(val); break;
+            default: vibration.attributes.set(key, val);
+            }
+        } else {
+            if (vibration === undefined) {
+                newVibration();
+            }
+            const d = splitColumns(line).slice(0, 3).map(v=>parseFloat(v));
+            if (d.length < 3 || d.some(isNaN)) {
+                report(k, "warning", `Invalid displacement "${line.trim()}", using zero`);
+            }
+            vibration.displacements.push(new Vector3(...d.map(v=>isNaN(v) ? 0 : v)));
+        }
+    });
+    return vibrations;
+}
+
+/**
+ * Parse the lines of a grid block, as written by the MOLCAS grid_it
+ * module. The header gives the grid geometry (in bohr) and the name of
+ * each grid:
+ *  N_of_Points= 27000
+ *  ORIGIN= -5.0 -5.0 -5.0
+ *  AXIS_1= 10.0 0.0 0.0
+ *  AXIS_2= 0.0 10.0 0.0
+ *  AXIS_3= 0.0 0.0 10.0
+ *  Net= 29 29 29
+ *  GridName= 1 1 -0.5678 (2.0000) 1a
+ * The values of each grid can then follow, either within the block or in
+ * a separate <DENSITY> block per grid, with the last axis varying fastest.
+ * @param {string[]} lines Lines between the <GRID> tags
+ * @returns {{volumes: {}[], fill: function(string[]), filled: function}} The
+ * volumes of the grid, a function to add values to the next unfilled volume
+ * and a function giving the number of filled volumes
+ */
+function parseGrid(lines) {
+    const header = new Map();
+    const names = [];
+    const dataLines = [];
+    for (const line of lines) {
+        const eq = line.indexOf("=");
+        if (eq >= 0) {
+            const key = line.slice(0, eq).trim();
+            const val = line.slice(eq + 1).trim();
+            if (key === "GridName") {
+                names.push(val);
+            } else {
+                header.set(key, val);
+            }
+        } else if (line.trim() !== "") {
+            dataLines.push(line);
+        }
+    }
+
+    const vector = key => new Vector3(
+        ...splitColumns(header.get(key) ?? "0 0 0").map(v=>parseFloat(v))
+    ).multiplyScalar(bohrToAngstrom);
+
+    // Net is the number of intervals along each axis, but
+    // check against the number of points in case it is not
+    let dims = splitColumns(header.get("Net") ?? "1 1 1").map(v=>parseInt(v));
+    const nPoints = parseInt(header.get("N_of_Points"));
+    if (dims.reduce((a, b) => a * b) !== nPoints) {
+        dims = dims.map(n=>n+1);
     }
+    const origin = vector("ORIGIN");
+    const axes = ["AXIS_1", "AXIS_2", "AXIS_3"].map(
+        (key, i) => vector(key).divideScalar(Math.max(dims[i] - 1, 1))
+    );
+
+    if (names.length === 0) {
+        names.push("Grid");
+    }
+    const volumes = names.map(name => ({
+        name: name,
+        origin: origin,
+        axes: axes,
+        dims: dims,
+        data: new Float32Array(dims[0] * dims[1] * dims[2])
+    }));
+
+    // Values are added to each volume in turn
+    let nFilled = 0;
+    let nValues = 0;
+    const fill = lines => {
+        for (const line of lines) {
+            for (const v of splitColumns(line)) {
+                if (v === "" || nFilled >= volumes.length) {
+                    continue;
+                }
+                const volume = volumes[nFilled];
+                volume.data[nValues++] = parseFloat(v);
+                if (nValues === volume.data.length) {
+                    nFilled++;
+                    nValues = 0;
+                }
+            }
+        }
+    };
+    fill(dataLines);
+
+    return {volumes, fill, filled: () => nFilled};
 }
 
-function parseAtoms(lines, atoms) {
-    for (let i=0; i<lines.length; i++) {
+const primitiveTypes = ["dipole", "vector", "triangle", "sphere", "surface", "textbox"];
+
+// Number of points needed to draw each type of object
+const primitivePoints = {
+    dipole: 1, vector: 2, triangle: 3, sphere: 1, surface: 3, textbox: 0, cell: 4
+};
+
+/**
+ * Parse the lines of a graphical object block (<DIPOLE>, <VECTOR>,
+ * <TRIANGLE>, <SPHERE>, <SURFACE>, <TEXTBOX> or <CELL>), made of
+ * key-value pairs with one COORD line per point:
+ *  COLOR = 0.0 0.5 1.0
+ *  TRANSP = 0.5
+ *  RADIUS = 0.1
+ *  COORD = 0.0 0.0 0.0
+ *  COORD = 1.0 0.0 0.0
+ * Lines with only numbers are also read as points, and other lines
+ * without a key as text (for text boxes).
+ * @param {string[]} lines Lines between the tags
+ * @param {string} type Type of object, such as "vector"
+ * @returns {{}} The object, with its points, color, transparency
+ * (between 0 and 1), and any other keys in its attributes
+ */
+function parsePrimitive(lines, type) {
+    const primitive = {
+        type: type,
+        coords: [],
+        color: undefined,
+        transparency: undefined,
+        text: undefined,
+        attributes: new Map()
+    };
+    const vector = val => new Vector3(
+        ...splitColumns(val).slice(0, 3).map(v=>parseFloat(v))
+    );
+    const addText = text => {
+        primitive.text = primitive.text === undefined ?
+            text : `${primitive.text}\n${text}`;
+    };
+    for (const line of lines) {
+        if (line.trim() === "") {
+            continue;
+        }
+        const eq = line.indexOf("=");
+        if (eq < 0) {
+            const cols = splitColumns(line);
+            if (cols.every(v=>!isNaN(parseFloat(v)))) {
+                primitive.coords.push(vector(line));
+            } else {
+                addText(line.trim());
+            }
+            continue;
+        }
+        const key = line.slice(0, eq).trim().toUpperCase();
+        const val = line.slice(eq + 1).trim();
+        switch (key) {
+        case "COORD": primitive.coords.push(vector(val)); break;
+        case "COLOR": {
+            const rgb = splitColumns(val).map(v=>parseFloat(v));
+            primitive.color = rgb.length === 3 && rgb.every(v=>!isNaN(v)) ?
+                new Color(...rgb) : parseColor(val, undefined);
+            break;
+        }
+        case "TRANSP": primitive.transparency = parseFloat(val); break;
+        case "TEXT": addText(val); break;
+        default: primitive.attributes.set(key, val);
+        }
+    }
+    return primitive;
+}
+
+/**
+ * Get the unit cell from a parsed <CELL> block, where the first point is
+ * the origin of the cell and the next three are the corners along each
+ * cell vector.
+ * @param {{}} primitive
+ * @returns {{origin: Vector3, vectors: Vector3[]}}
+ */
+function cellFromPrimitive(primitive) {
+    const [origin = new Vector3(), ...corners] = primitive.coords;
+    return {
+        origin: origin,
+        vectors: corners.slice(0, 3).map(c=>c.clone().sub(origin)),
+        color: primitive.color,
+        transparency: primitive.transparency,
+        attributes: primitive.attributes
+    };
+}
+
+/**
+ * Parse the lines of an atom block, with key=value attributes for each
+ * atom on its own line
+ * @param {string[]} lines Lines between the <ATOM> tags
+ * @param {{}[]} atoms Atoms of the section
+ * @param {function(number, string, string)} report Called for each problem
+ */
+function parseAtoms(lines, atoms, report) {
+    if (lines.length > atoms.length && lines.slice(atoms.length).some(l=>l.trim() !== "")) {
+        report(atoms.length, "warning", `<ATOM> block has more lines than the ${atoms.length} atoms`);
+    }
+    for (let i=0; i<Math.min(lines.length, atoms.length); i++) {
         // Make sure there is no whitespace surrounding equal signs
-        const line = lines[i].replace(/[ \t]+=[ \t]/g, "=");
+        const line = lines[i].replace(/[ \t]*=[ \t]*/g, "=");
+        if (line.trim() === "") {
+            continue;
+        }
 
         // Assign additional attributes to atoms
         const cols = splitColumns(line);
         for (const column of cols) {
-            const [key, val] = column.split("=");
-            atoms[i].attributes.set(key.trim(), val);
+            const eq = column.indexOf("=");
+            if (eq < 0) {
+                report(i, "warning", `Ignored attribute "${column}" without a value`);
+                continue;
+            }
+            atoms[i].attributes.set(column.slice(0, eq), column.slice(eq + 1));
         }
     }
 }
 
-export {loadData};
\ No newline at end of file
+export {loadData, parseLuscus};
\ No newline at end of file
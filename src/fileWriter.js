@@ -1,4 +1,5 @@
 import {deinstantiate} from "./utils.js";
+import {elementSymbol} from "./constants.js";
 import {GLTFExporter} from "three/addons/exporters/GLTFExporter.js";
 
 function toXYZColumn(atom, positionComponent) {
@@ -7,7 +8,38 @@ function toXYZColumn(atom, positionComponent) {
     return sign + v.toFixed(9);
 }
 
-function saveLuscusFile(sections, name="file") {
+/**
+ * Write a graphical object (such as a vector or a text box) as a block
+ * @param {string[]} lines Lines to add the block to
+ * @param {{}} primitive
+ */
+function writePrimitive(lines, primitive) {
+    const tag = primitive.type.toUpperCase();
+    lines.push(` <${tag}>`);
+    if (primitive.color !== undefined) {
+        lines.push(` COLOR = ${primitive.color.toArray().map(c=>c.toFixed(4)).join(" ")}`);
+    }
+    if (primitive.transparency !== undefined) {
+        lines.push(` TRANSP = ${primitive.transparency}`);
+    }
+    for (const [key, value] of primitive.attributes) {
+        lines.push(` ${key} = ${value}`);
+    }
+    if (primitive.text !== undefined) {
+        primitive.text.split("\n").forEach(t=>lines.push(` TEXT = ${t}`));
+    }
+    for (const c of primitive.coords) {
+        lines.push(` COORD = ${c.toArray().map(v=>v.toFixed(6)).join("  ")}`);
+    }
+    lines.push(` </${tag}>`);
+}
+
+/**
+ * Write sections in the Luscus format
+ * @param {Section[]} sections
+ * @returns {string} Contents of the file
+ */
+function luscusString(sections) {
     const lines = [];
     for (const section of sections) {
         lines.push(`  ${section.atoms.length}`);
@@ -31,13 +63,15 @@ function saveLuscusFile(sections, name="file") {
             }
             lines.push(" </ATOM>");
         }
-        if (section.bonds.length > 0) {
+        // With AUTOMATIC = 1, perceived bonds are found again when loading,
+        // so only the explicitly set ones need to be listed
+        const explicitBonds = section.automaticBonds ?
+            section.bonds.filter(b=>!b.automatic) : section.bonds;
+        if (explicitBonds.length > 0 || !section.automaticBonds) {
             lines.push(" <BOND>");
+            lines.push(` AUTOMATIC = ${section.automaticBonds ? 1:0}`);
 
-            // Should this be saved per bond or per bond block?
-            lines.push(` AUTOMATIC = ${section.bonds[0].automatic ? 1:0}`);
-
-            for (const b of section.bonds) {
+            for (const b of explicitBonds) {
                 lines.push(
                     " " +[
                         b.atom1.sectionIdx,
@@ -48,9 +82,437 @@ function saveLuscusFile(sections, name="file") {
             }
             lines.push(" </BOND>");
         }
-        lines.push(" </END>");
+        for (const v of section.vibrations) {
+            lines.push(" <VIBRATION>");
+            lines.push(` FREQ = ${v.frequency}`);
+            if (v.irIntensity !== undefined) {
+                lines.push(` IR_INT = ${v.irIntensity}`);
+            }
+            if (v.ramanIntensity !== undefined) {
+                lines.push(` RAMAN_INT = ${v.ramanIntensity}`);
+            }
+            for (const [key, value] of v.attributes) {
+                lines.push(` ${key} = ${value}`);
+            }
+            for (const d of v.displacements) {
+                lines.push(`  ${[d.x, d.y, d.z].map(c=>c.toFixed(6)).join("  ")}`);
+            }
+            lines.push(" </VIBRATION>");
+        }
+        for (const p of section.primitives) {
+            writePrimitive(lines, p);
+        }
+        if (section.cell !== undefined) {
+            const {origin, vectors} = section.cell;
+            writePrimitive(lines, {
+                ...section.cell,
+                type: "cell",
+                coords: [origin, ...vectors.map(v=>v.clone().add(origin))]
+            });
+        }
+        for (const block of section.extraBlocks) {
+            lines.push(` <${block.tag}>`, ...block.lines, ` </${block.tag}>`);
+        }
+        lines.push("<END>");
+    }
+    return lines.join("\n");
+}
+
+function saveLuscusFile(sections, name="file") {
+    saveString(luscusString(sections), name+".lus");
+}
+
+/**
+ * Write sections in the XYZ format, with one frame per section. Labelled
+ * atoms (such as "C1") are written as their element. In extended XYZ, the
+ * comment line holds the unit cell, the atom columns, the section
+ * attributes and any plain comment (as the comment key), and the atom
+ * attributes and labels are written as columns.
+ * @param {Section[]} sections
+ * @param {boolean} extended Write extended XYZ
+ * @returns {string} Contents of the file
+ */
+function xyzString(sections, extended=false) {
+    const lines = [];
+    for (const section of sections) {
+        const columns = extended ? attributeColumns(section.atoms) : [];
+        // Labels are kept in their own column, unless an attribute has its name
+        const labelled = extended && !columns.some(c=>c.name === "label") &&
+            section.atoms.some(a=>a.symbol !== elementSymbol(a.symbol));
+        if (labelled) {
+            columns.unshift({name: "label", type: "S", count: 1});
+        }
+        lines.push(`${section.atoms.length}`);
+        lines.push(extended ? extendedXYZComment(section, columns) : section.comment);
+        for (const atom of section.atoms) {
+            const line = [
+                (elementSymbol(atom.symbol) ?? atom.symbol).padEnd(3),
+                toXYZColumn(atom, "x"),
+                toXYZColumn(atom, "y"),
+                toXYZColumn(atom, "z")
+            ];
+            for (const c of columns) {
+                const value = labelled && c.name === "label" ?
+                    atom.symbol : atom.attributes.get(c.name);
+                line.push(value === undefined ?
+                    Array(c.count).fill(c.type === "S" ? "_" : "0").join(" ") :
+                    value.split(",").join(" ")
+                );
+            }
+            lines.push(line.join("  "));
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Save sections as an XYZ file, see xyzString()
+ * @param {Section[]} sections
+ * @param {string} name Filename, without extension
+ * @param {boolean} extended Write extended XYZ
+ */
+function saveXYZFile(sections, name="file", extended=false) {
+    saveString(xyzString(sections, extended), name + (extended ? ".extxyz" : ".xyz"));
+}
+
+/**
+ * Find the atom attributes to write as extended XYZ columns, with the
+ * number of values in each and their type (R for real numbers, I for
+ * integers and S for strings)
+ * @param {{}[]} atoms
+ * @returns {{name: string, type: string, count: number}[]}
+ */
+function attributeColumns(atoms) {
+    const columns = new Map();
+    for (const atom of atoms) {
+        for (const [key, value] of atom.attributes) {
+            const values = value.split(",");
+            // Columns can't have spaces, or a varying number of values
+            if (values.some(v=>v === "" || /\s/.test(v))) {
+                continue;
+            }
+            const type = values.every(v=>/^[-+]?\d+$/.test(v)) ? "I" :
+                values.every(v=>!isNaN(Number(v))) ? "R" : "S";
+            const column = columns.get(key);
+            if (column === undefined) {
+                columns.set(key, {name: key, type: type, count: values.length});
+            } else if (column.count !== values.length) {
+                column.invalid = true;
+            } else if (column.type !== type) {
+                column.type = column.type === "S" || type === "S" ? "S" : "R";
+            }
+        }
+    }
+    return [...columns.values()].filter(c=>!c.invalid);
+}
+
+/**
+ * Create the comment line of an extended XYZ frame
+ * @param {Section} section
+ * @param {{name: string, type: string, count: number}[]} columns Atom
+ * attribute columns
+ * @returns {string}
+ */
+function extendedXYZComment(section, columns) {
+    const quote = v => /\s/.test(v) ? `"${v}"` : v;
+    const pairs = [];
+    if (section.cell !== undefined && section.cell.vectors.length === 3) {
+        const values = section.cell.vectors.flatMap(v=>v.toArray());
+        pairs.push(`Lattice="${values.map(v=>v.toFixed(8)).join(" ")}"`);
+    }
+    pairs.push("Properties=" + [
+        "species:S:1", "pos:R:3",
+        ...columns.map(c=>`${c.name}:${c.type}:${c.count}`)
+    ].join(":"));
+    // Comments that aren't already extended XYZ (which are read into the
+    // attributes) are kept as a key, without double quotes inside
+    const comment = section.comment.split("\n")[0].trim();
+    if (comment !== "" && !/\b(Lattice|Properties)=/.test(comment) && !section.attributes.has("comment")) {
+        pairs.push(`comment="${comment.replace(/"/g, "'")}"`);
+    }
+    for (const [key, value] of section.attributes) {
+        pairs.push(`${key}=${quote(value)}`);
+    }
+    return pairs.join(" ");
+}
+
+/**
+ * Save sections as a PDB file, with one model per section. The atom
+ * names, residues, chains and B-factors are taken from the attributes
+ * read from PDB files. Bonds that were not perceived are written as
+ * CONECT records of the first model, repeated for double and triple bonds.
+ * @param {Section[]} sections
+ * @param {string} name Filename, without extension
+ */
+function savePDBFile(sections, name="file") {
+    const lines = [];
+    const title = sections[0]?.comment.trim() ?? "";
+    if (title !== "") {
+        lines.push(`TITLE     ${title}`);
+    }
+    const cell = sections[0]?.cell;
+    if (cell !== undefined && cell.vectors.length === 3) {
+        const [a, b, c] = cell.vectors;
+        const angle = (u, v) => u.angleTo(v) * 180 / Math.PI;
+        lines.push("CRYST1" +
+            [a, b, c].map(v=>v.length().toFixed(3).padStart(9)).join("") +
+            [angle(b, c), angle(a, c), angle(a, b)].map(v=>v.toFixed(2).padStart(7)).join("") +
+            " P 1           1");
+    }
+
+    sections.forEach((section, i) => {
+        if (sections.length > 1) {
+            lines.push(`MODEL     ${String(i + 1).padStart(4)}`);
+        }
+        section.atoms.forEach((atom, j) => lines.push(pdbAtomLine(atom, j + 1)));
+        if (sections.length > 1) {
+            lines.push("ENDMDL");
+        }
+    });
+
+    if (sections.length > 0) {
+        const section = sections[0];
+        const serials = new Map(section.atoms.map((a, j) => [a, j + 1]));
+        const bonded = new Map();
+        for (const bond of section.bonds) {
+            if (bond.order === 0 || (section.automaticBonds && bond.automatic)) {
+                continue;
+            }
+            const count = bond.order === 2 || bond.order === 3 ? bond.order : 1;
+            for (const [a1, a2] of [[bond.atom1, bond.atom2], [bond.atom2, bond.atom1]]) {
+                const serial = serials.get(a1);
+                if (!bonded.has(serial)) {
+                    bonded.set(serial, []);
+                }
+                bonded.get(serial).push(...Array(count).fill(serials.get(a2)));
+            }
+        }
+        for (const serial of [...bonded.keys()].sort((a, b) => a - b)) {
+            const partners = bonded.get(serial);
+            // At most four bonded atoms per record
+            for (let k=0; k<partners.length; k+=4) {
+                lines.push("CONECT" + [serial, ...partners.slice(k, k + 4)]
+                    .map(n=>String(n).padStart(5)).join(""));
+            }
+        }
+    }
+    lines.push("END");
+    saveString(lines.join("\n") + "\n", name + ".pdb");
+}
+
+/**
+ * Format an atom as a PDB ATOM or HETATM record
+ * @param {{}} atom
+ * @param {number} serial Atom serial number
+ * @returns {string}
+ */
+function pdbAtomLine(atom, serial) {
+    const attributes = atom.attributes;
+    const record = attributes.get("record") ?? "HETATM";
+    // Atoms can be labelled, such as "C1", so write their element
+    const element = elementSymbol(atom.symbol) ?? "X";
+    // Names are aligned so that one-letter elements start in the second column
+    let atomName = attributes.get("name") ?? atom.symbol;
+    if (atomName.length < 4 && element.length === 1) {
+        atomName = " " + atomName;
+    }
+    const resid = attributes.get("resid") ?? "1";
+    const resSeq = parseInt(resid);
+    const insertion = resid.replace(/^\s*-?\d+/, "").slice(0, 1);
+    const bfactor = parseFloat(attributes.get("bfactor") ?? "0");
+    return [
+        record.padEnd(6),
+        String(serial % 100000).padStart(5),
+        " ",
+        atomName.slice(0, 4).padEnd(4),
+        " ",
+        (attributes.get("residue") ?? "UNL").slice(0, 3).padStart(3),
+        " ",
+        (attributes.get("chain") ?? "A").slice(0, 1),
+        String(isNaN(resSeq) ? 1 : resSeq).padStart(4),
+        insertion.padEnd(1),
+        "   ",
+        ...atom.position.toArray().map(v=>v.toFixed(3).padStart(8)),
+        "1.00".padStart(6),
+        (isNaN(bfactor) ? 0 : bfactor).toFixed(2).padStart(6),
+        " ".repeat(10),
+        element.toUpperCase().padStart(2)
+    ].join("");
+}
+
+// Luscus bond orders as MDL bond types (partial bonds as "any")
+const mdlBondTypes = {1: 1, 2: 2, 3: 3, 4: 8, 5: 4, 6: 1};
+
+// Luscus bond orders as Tripos Mol2 bond types
+const mol2BondTypes = {1: "1", 2: "2", 3: "3", 4: "un", 5: "ar", 6: "du"};
+
+/**
+ * Get the bonds to write to a file with explicit connectivity (that is,
+ * all bonds except those with order 0)
+ * @param {Section} section
+ * @returns {{}[]}
+ */
+function connectedBonds(section) {
+    return section.bonds.filter(b=>b.order !== 0);
+}
+
+/**
+ * Save sections as an SD file, with one MOL record per section and the
+ * section attributes as data fields. Sections with more than 999 atoms
+ * or bonds are written in the V3000 format.
+ * @param {Section[]} sections
+ * @param {string} name Filename, without extension
+ */
+function saveSDFFile(sections, name="file") {
+    const lines = [];
+    const now = new Date();
+    const date = [now.getMonth() + 1, now.getDate(), now.getFullYear() % 100,
+        now.getHours(), now.getMinutes()].map(v=>String(v).padStart(2, "0")).join("");
+    for (const section of sections) {
+        const bonds = connectedBonds(section);
+        lines.push(section.comment.split("\n")[0]);
+        lines.push(`  Luscus  ${date}3D`);
+        lines.push("");
+        if (section.atoms.length > 999 || bonds.length > 999) {
+            writeV3000(lines, section, bonds);
+        } else {
+            writeV2000(lines, section, bonds);
+        }
+        for (const [key, value] of section.attributes) {
+            lines.push(`> <${key}>`, ...value.split("\n"), "");
+        }
+        lines.push("$$$$");
+    }
+    saveString(lines.join("\n") + "\n", name + ".sdf");
+}
+
+/**
+ * Get the element of an atom to write in a MOL record, since atoms can be
+ * labelled (such as "C1")
+ * @param {{}} atom
+ * @returns {string} Element symbol, or "*" (any atom) if the label is not
+ * an element
+ */
+function mdlSymbol(atom) {
+    return elementSymbol(atom.symbol) ?? "*";
+}
+
+/**
+ * Write the atom, bond and charge blocks of a V2000 MOL record
+ * @param {string[]} lines Lines to add the blocks to
+ * @param {Section} section
+ * @param {{}[]} bonds Bonds to write
+ */
+function writeV2000(lines, section, bonds) {
+    const pad = (v, n) => String(v).padStart(n);
+    lines.push(pad(section.atoms.length, 3) + pad(bonds.length, 3) +
+        "  0  0  0  0  0  0  0  0999 V2000");
+    for (const atom of section.atoms) {
+        lines.push(
+            atom.position.toArray().map(v=>pad(v.toFixed(4), 10)).join("") +
+            " " + mdlSymbol(atom).padEnd(3) + " 0" + "  0".repeat(11)
+        );
+    }
+    for (const b of bonds) {
+        lines.push(pad(b.atom1.sectionIdx, 3) + pad(b.atom2.sectionIdx, 3) +
+            pad(mdlBondTypes[b.order] ?? 1, 3) + "  0  0  0  0");
+    }
+    const charged = section.atoms.filter(a=>parseInt(a.attributes.get("formal_charge")));
+    // At most eight charges per line
+    for (let k=0; k<charged.length; k+=8) {
+        const group = charged.slice(k, k + 8);
+        lines.push("M  CHG" + pad(group.length, 3) + group.map(a =>
+            pad(a.sectionIdx, 4) + pad(parseInt(a.attributes.get("formal_charge")), 4)
+        ).join(""));
+    }
+    lines.push("M  END");
+}
+
+/**
+ * Write the atom and bond blocks of a V3000 MOL record
+ * @param {string[]} lines Lines to add the blocks to
+ * @param {Section} section
+ * @param {{}[]} bonds Bonds to write
+ */
+function writeV3000(lines, section, bonds) {
+    lines.push("  0  0  0     0  0            999 V3000");
+    const v30 = text => lines.push(`M  V30 ${text}`);
+    v30("BEGIN CTAB");
+    v30(`COUNTS ${section.atoms.length} ${bonds.length} 0 0 0`);
+    v30("BEGIN ATOM");
+    for (const atom of section.atoms) {
+        const charge = parseInt(atom.attributes.get("formal_charge"));
+        v30([
+            atom.sectionIdx, mdlSymbol(atom),
+            ...atom.position.toArray().map(v=>v.toFixed(4)), 0,
+            ...(charge ? [`CHG=${charge}`] : [])
+        ].join(" "));
+    }
+    v30("END ATOM");
+    v30("BEGIN BOND");
+    bonds.forEach((b, i) => v30(
+        [i + 1, mdlBondTypes[b.order] ?? 1, b.atom1.sectionIdx, b.atom2.sectionIdx].join(" ")
+    ));
+    v30("END BOND");
+    v30("END CTAB");
+    lines.push("M  END");
+}
+
+/**
+ * Save sections as a Tripos Mol2 file, with one molecule per section.
+ * Atom names, SYBYL atom types, substructures and partial charges are
+ * taken from the atom attributes where set.
+ * @param {Section[]} sections
+ * @param {string} name Filename, without extension
+ */
+function saveMol2File(sections, name="file") {
+    const lines = [];
+    for (const section of sections) {
+        const bonds = connectedBonds(section);
+        const charges = section.atoms.some(a=>a.attributes.has("charge"));
+        lines.push("@<TRIPOS>MOLECULE");
+        lines.push(section.comment.split("\n")[0].trim() || "*****");
+        lines.push(`${section.atoms.length} ${bonds.length} 1 0 0`);
+        lines.push("SMALL");
+        lines.push(charges ? "USER_CHARGES" : "NO_CHARGES");
+        lines.push("");
+        lines.push("@<TRIPOS>ATOM");
+        for (const atom of section.atoms) {
+            const a = atom.attributes;
+            const charge = parseFloat(a.get("charge"));
+            // Labelled atoms (such as "C1") keep their label as the name,
+            // and get their element as the type ("Du" for dummy atoms)
+            const element = elementSymbol(atom.symbol);
+            const label = atom.symbol === element ?
+                `${atom.symbol}${atom.sectionIdx}` : atom.symbol;
+            lines.push([
+                String(atom.sectionIdx).padStart(7),
+                (a.get("name") ?? label).padEnd(8),
+                ...atom.position.toArray().map(v=>v.toFixed(4).padStart(10)),
+                (a.get("type") ?? element ?? "Du").padEnd(6),
+                (a.get("resid") ?? "1").padStart(4),
+                (a.get("residue") ?? "UNL1").padEnd(8),
+                (isNaN(charge) ? 0 : charge).toFixed(4).padStart(9)
+            ].join(" "));
+        }
+        lines.push("@<TRIPOS>BOND");
+        bonds.forEach((b, i) => lines.push([
+            String(i + 1).padStart(6),
+            String(b.atom1.sectionIdx).padStart(5),
+            String(b.atom2.sectionIdx).padStart(5),
+            " " + (mol2BondTypes[b.order] ?? "1")
+        ].join(" ")));
+        if (section.cell !== undefined && section.cell.vectors.length === 3) {
+            const [a, b, c] = section.cell.vectors;
+            const angle = (u, v) => (u.angleTo(v) * 180 / Math.PI).toFixed(4);
+            lines.push("@<TRIPOS>CRYSIN");
+            lines.push([
+                ...[a, b, c].map(v=>v.length().toFixed(4)),
+                angle(b, c), angle(a, c), angle(a, b), 1, 1
+            ].join(" "));
+        }
     }
-    saveString(lines.join("\n"), name+".lus");
+    saveString(lines.join("\n") + "\n", name + ".mol2");
 }
 
 function exportGLTF(scene, binary=false, name="scene") {
@@ -99,4 +561,14 @@ function saveArrayBuffer(buffer, filename) {
     save(new Blob([buffer], {type: "application/octet-stream"}), filename);
 }
 
-export {saveLuscusFile, exportGLTF};
\ No newline at end of file
+export {
+    luscusString,
+    saveLuscusFile,
+    xyzString,
+    saveXYZFile,
+    savePDBFile,
+    saveSDFFile,
+    saveMol2File,
+    exportGLTF,
+    saveString
+};
\ No newline at end of file
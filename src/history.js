@@ -0,0 +1,339 @@
+/**
+ * Undo/redo history of structure changes. Each change is recorded as a
+ * command with an undo and a redo function. Commands can be grouped, so
+ * that for example a whole drag of the move gizmo is undone in one step.
+ * The oldest commands are dropped when the history uses more memory than
+ * its budget.
+ */
+class History {
+    /**
+     * @param {Api} api
+     * @param {number} memoryBudget Approximate maximum memory used by the
+     * history, in bytes
+     * @param {number} maxSteps Maximum number of undo steps
+     */
+    constructor(api, memoryBudget=128 * 1024 * 1024, maxSteps=100) {
+        this.api = api;
+        this.memoryBudget = memoryBudget;
+        this.maxSteps = maxSteps;
+        this.undoStack = [];
+        this.redoStack = [];
+        // Open groups, innermost last
+        this.groups = [];
+        // Set while undoing or redoing, or while recording a change,
+        // so that nested changes are not recorded
+        this.busy = false;
+    }
+
+    /**
+     * Add a command to the history (or to the current group)
+     * @param {{name: string, undo: function, redo: function, size: number}} command
+     */
+    push(command) {
+        if (this.busy) {
+            return;
+        }
+        if (this.groups.length > 0) {
+            const commands = this.groups[this.groups.length - 1].commands;
+            const last = commands[commands.length - 1];
+            // Consecutive transformations of the same atoms (such as when
+            // dragging them) only need to remember the first and last positions
+            if (last?.merge?.(command)) {
+                return;
+            }
+            commands.push(command);
+            return;
+        }
+        this.undoStack.push(command);
+        this.redoStack = [];
+        this.trim();
+        this.updateButtons();
+    }
+
+    /**
+     * Start a group of commands, undone and redone as one step
+     * @param {string} name
+     */
+    beginGroup(name) {
+        this.groups.push({name: name, commands: []});
+    }
+
+    /**
+     * End the current group of commands
+     */
+    endGroup() {
+        const group = this.groups.pop();
+        if (group === undefined || group.commands.length === 0) {
+            return;
+        }
+        const commands = group.commands;
+        this.push(commands.length === 1 ? commands[0] : {
+            name: group.name,
+            undo: () => [...commands].reverse().forEach(c=>c.undo()),
+            redo: () => commands.forEach(c=>c.redo()),
+            size: commands.reduce((sum, c) => sum + c.size, 0)
+        });
+    }
+
+    /**
+     * Call a function, recording all changes it makes as one step
+     * @param {string} name
+     * @param {function} f
+     * @returns {*} The return value of the function
+     */
+    group(name, f) {
+        this.beginGroup(name);
+        try {
+            return f();
+        } finally {
+            this.endGroup();
+        }
+    }
+
+    /**
+     * Call a function that changes the atoms, bonds or vibrations of some
+     * sections (or adds or removes sections), recording the state of the
+     * sections before and after so that the change can be undone.
+     * @param {string} name
+     * @param {Section[]} sections Sections that might be changed (new
+     * sections are found automatically)
+     * @param {function} f Function making the change
+     * @returns {*} The return value of the function
+     */
+    record(name, sections, f) {
+        if (this.busy) {
+            return f();
+        }
+        const oldSections = new Set(this.api.sections);
+        const affected = new Set(sections.filter(s=>s !== undefined));
+        const before = this.snapshot(affected);
+        let result;
+        this.busy = true;
+        try {
+            result = f();
+        } finally {
+            this.busy = false;
+        }
+        this.api.sections.filter(s=>!oldSections.has(s)).forEach(s=>affected.add(s));
+        const after = this.snapshot(affected);
+
+        this.push({
+            name: name,
+            undo: () => this.restore(before),
+            redo: () => this.restore(after),
+            size: before.size + after.size
+        });
+        return result;
+    }
+
+    /**
+     * Call a function that moves atoms, recording their positions before
+     * and after so that the change can be undone.
+     * @param {string} name
+     * @param {{}[]} atoms Atoms that are moved
+     * @param {function} f Function moving the atoms
+     * @returns {*} The return value of the function
+     */
+    recordPositions(name, atoms, f) {
+        if (this.busy) {
+            return f();
+        }
+        const positions = () => {
+            const p = new Float64Array(3 * atoms.length);
+            atoms.forEach((a, i) => a.position.toArray(p, 3 * i));
+            return p;
+        };
+        const setPositions = p => {
+            atoms.forEach((a, i) => a.position.fromArray(p, 3 * i));
+            this.api.view.updateAtomPositions(atoms);
+            this.api.render();
+        };
+        const before = positions();
+        const result = f();
+        const command = {
+            name: name,
+            atoms: atoms,
+            after: positions(),
+            undo: () => setPositions(before),
+            redo: () => setPositions(command.after),
+            size: 2 * before.byteLength,
+            merge: other => {
+                if (
+                    other.atoms === undefined ||
+                    other.atoms.length !== atoms.length ||
+                    other.atoms.some((a, i) => a !== atoms[i])
+                ) {
+                    return false;
+                }
+                command.after = other.after;
+                return true;
+            }
+        };
+        this.push(command);
+        return result;
+    }
+
+    /**
+     * Save the state of some sections and of the list of sections
+     * @param {Set<Section>} sections
+     * @returns {{}} Snapshot, with an estimate of its size in bytes
+     */
+    snapshot(sections) {
+        let size = 8 * this.api.sections.length;
+        const states = [...sections].map(section => {
+            size += 64 * section.atoms.length + 48 * section.bonds.length +
+                8 * section.vibrations.length * section.atoms.length;
+            return {
+                section: section,
+                atoms: section.atoms.map(a=>({atom: a, symbol: a.symbol})),
+                bonds: section.bonds.map(b=>({
+                    bond: b, order: b.order, automatic: b.automatic
+                })),
+                automaticBonds: section.automaticBonds,
+                displacements: section.vibrations.map(v=>[...v.displacements])
+            };
+        });
+        return {
+            sections: [...this.api.sections],
+            states: states,
+            size: size
+        };
+    }
+
+    /**
+     * Restore sections to a saved state
+     * @param {{}} snapshot
+     */
+    restore(snapshot) {
+        // Animations refer to atoms by index, so stop them first
+        this.api.stopVibration();
+        this.api.hideDisplacementArrows();
+
+        this.api.sections.splice(0, this.api.sections.length, ...snapshot.sections);
+        for (const state of snapshot.states) {
+            const section = state.section;
+            section.atoms = state.atoms.map(({atom, symbol}) => {
+                atom.symbol = symbol;
+                atom.section = section;
+                return atom;
+            });
+            section.renumberAtoms();
+            section.bonds = state.bonds.map(({bond, order, automatic}) => {
+                bond.order = order;
+                bond.automatic = automatic;
+                return bond;
+            });
+            section.automaticBonds = state.automaticBonds;
+            section.vibrations.forEach((v, i) => {
+                v.displacements = [...state.displacements[i]];
+            });
+        }
+        this.refresh();
+    }
+
+    /**
+     * Update everything that depends on the structure after it has been
+     * restored
+     */
+    refresh() {
+        const api = this.api;
+        const sections = new Set(api.sections);
+        const exists = atom => sections.has(atom.section) &&
+            atom.section.atoms[atom.sectionIdx - 1] === atom;
+
+        for (const atom of api.selection.atoms) {
+            if (!exists(atom)) {
+                api.selection.atoms.delete(atom);
+            }
+        }
+        for (const bond of api.selection.bonds) {
+            if (!exists(bond.atom1) || !bond.atom1.section.bonds.includes(bond)) {
+                api.selection.bonds.delete(bond);
+            }
+        }
+        api.measurements.removeAtoms(
+            api.measurements.items.flatMap(m=>m.atoms).filter(a=>!exists(a))
+        );
+
+        api.currentFrame = Math.max(0, Math.min(api.currentFrame, api.sections.length - 1));
+        api.view.redrawAtomView();
+        api.view.redrawBondView();
+        api.view.redrawIsosurfaces();
+        api.updateTimeline();
+        api.updateMeasurementWindow();
+        api.selection.changed();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (command === undefined) {
+            return;
+        }
+        this.replay(() => command.undo());
+        this.api.editor.updateGizmo();
+        this.redoStack.push(command);
+        this.updateButtons();
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (command === undefined) {
+            return;
+        }
+        this.replay(() => command.redo());
+        this.api.editor.updateGizmo();
+        this.undoStack.push(command);
+        this.updateButtons();
+    }
+
+    replay(f) {
+        this.busy = true;
+        try {
+            f();
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Drop the oldest commands if the history is too large
+     */
+    trim() {
+        const size = () => [...this.undoStack, ...this.redoStack].reduce(
+            (sum, c) => sum + c.size, 0
+        );
+        while (
+            this.undoStack.length > this.maxSteps ||
+            (this.undoStack.length > 1 && size() > this.memoryBudget)
+        ) {
+            this.undoStack.shift();
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateButtons();
+    }
+
+    /**
+     * Enable or disable the undo and redo buttons, and show what they
+     * would undo or redo
+     */
+    updateButtons() {
+        for (const [id, stack, verb] of [
+            ["undoButton", this.undoStack, "Undo"],
+            ["redoButton", this.redoStack, "Redo"]
+        ]) {
+            const button = document.getElementById(id);
+            if (button === null) {
+                continue;
+            }
+            const command = stack[stack.length - 1];
+            button.disabled = command === undefined;
+            button.title = command === undefined ? verb : `${verb} ${command.name.toLowerCase()}`;
+        }
+    }
+}
+
+export {History};
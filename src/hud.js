@@ -0,0 +1,61 @@
+import * as THREE from "three";
+
+/**
+ * Heads-up display: a scene drawn on top of the structure with an
+ * orthographic camera, where one unit is one pixel and the origin is the
+ * top left corner of the canvas (with y pointing up, so objects should be
+ * placed at negative y). Used for text boxes and other overlays that
+ * should also be included in exported images and videos. Objects with
+ * an anchor in their user data ({right, bottom}, in pixels) are kept at
+ * that distance from the bottom right corner.
+ */
+class Hud {
+    /**
+     * @param {Api} api
+     */
+    constructor(api) {
+        this.api = api;
+        this.scene = new THREE.Scene();
+        this.scene.name = "HUD";
+        this.camera = new THREE.OrthographicCamera(0, 1, 0, -1, -10, 10);
+        // Multiplier of the canvas size (when scaled up for export),
+        // so that the overlay keeps its layout at any resolution
+        this.scale = 1;
+    }
+
+    /**
+     * Get the size of the overlay, in pixels of the unscaled canvas
+     * @returns {THREE.Vector2}
+     */
+    size() {
+        return this.api.renderer.getSize(new THREE.Vector2()).divideScalar(this.scale);
+    }
+
+    /**
+     * Draw the overlay on top of what has already been rendered
+     */
+    render() {
+        if (this.scene.children.length === 0) {
+            return;
+        }
+        const renderer = this.api.renderer;
+        const {x: width, y: height} = this.size();
+        this.camera.right = width;
+        this.camera.bottom = -height;
+        this.camera.updateProjectionMatrix();
+        for (const object of this.scene.children) {
+            const anchor = object.userData.anchor;
+            if (anchor !== undefined) {
+                object.position.set(width - anchor.right, anchor.bottom - height, 0);
+            }
+        }
+
+        const autoClear = renderer.autoClear;
+        renderer.autoClear = false;
+        renderer.clearDepth();
+        renderer.render(this.scene, this.camera);
+        renderer.autoClear = autoClear;
+    }
+}
+
+export {Hud};
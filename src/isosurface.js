@@ -0,0 +1,154 @@
+import * as THREE from "three";
+import {edgeTable, triTable} from "three/addons/objects/MarchingCubes.js";
+
+// Cube corners, in the order used by the marching cubes tables
+const corners = [
+    [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+    [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
+];
+
+// For each cube edge, the corner it starts at and the axis it follows
+const edges = [
+    [0, 0], [1, 1], [3, 0], [0, 1],
+    [4, 0], [5, 1], [7, 0], [4, 1],
+    [0, 2], [1, 2], [2, 2], [3, 2]
+];
+
+/**
+ * Extract an isosurface from a volume using marching cubes.
+ * Values of the volume are stored with the last axis varying fastest,
+ * as in Gaussian cube files.
+ * @param {{}} volume Volume with origin, axes (step vectors), dims and data
+ * @param {number} isovalue Value at which to extract the surface
+ * @param {number} sign Set to -1 to extract the surface where the
+ * volume equals -isovalue (such as the negative lobes of an orbital)
+ * @returns {THREE.BufferGeometry} Surface geometry, with normals pointing
+ * away from the enclosed values
+ */
+function extractIsosurface(volume, isovalue, sign=1) {
+    const [nx, ny, nz] = volume.dims;
+    const data = volume.data;
+    const value = (x, y, z) => sign * data[(x * ny + y) * nz + z];
+
+    // Transform from grid indices to world coordinates
+    const [a1, a2, a3] = volume.axes;
+    const toWorld = new THREE.Matrix4().makeBasis(a1, a2, a3).setPosition(volume.origin);
+    // Transform of gradients (inverse transpose of the basis)
+    const normalMatrix = new THREE.Matrix3().setFromMatrix4(toWorld).invert().transpose();
+
+    const positions = [];
+    const normals = [];
+    const indices = [];
+
+    // Vertices are shared between cubes, identified by the grid edge they are on
+    const edgeVertices = new Map();
+    const gradient = (x, y, z, g) => {
+        const c = (i, n) => Math.min(Math.max(i, 0), n - 1);
+        g.set(
+            value(c(x+1, nx), y, z) - value(c(x-1, nx), y, z),
+            value(x, c(y+1, ny), z) - value(x, c(y-1, ny), z),
+            value(x, y, c(z+1, nz)) - value(x, y, c(z-1, nz))
+        );
+        return g;
+    };
+    const g1 = new THREE.Vector3();
+    const g2 = new THREE.Vector3();
+    const p = new THREE.Vector3();
+
+    const vertexOnEdge = (x, y, z, axis) => {
+        const key = ((x * ny + y) * nz + z) * 3 + axis;
+        let index = edgeVertices.get(key);
+        if (index !== undefined) {
+            return index;
+        }
+        const step = [0, 0, 0];
+        step[axis] = 1;
+        const [x2, y2, z2] = [x + step[0], y + step[1], z + step[2]];
+        const v1 = value(x, y, z);
+        const v2 = value(x2, y2, z2);
+        const t = v1 === v2 ? 0.5 : (isovalue - v1) / (v2 - v1);
+
+        p.set(x + t * step[0], y + t * step[1], z + t * step[2]).applyMatrix4(toWorld);
+        positions.push(p.x, p.y, p.z);
+
+        // Normal points down the gradient, away from the higher values
+        gradient(x, y, z, g1);
+        gradient(x2, y2, z2, g2);
+        g1.lerp(g2, t).applyMatrix3(normalMatrix).negate().normalize();
+        normals.push(g1.x, g1.y, g1.z);
+
+        index = positions.length / 3 - 1;
+        edgeVertices.set(key, index);
+        return index;
+    };
+
+    const cubeVertices = new Array(12);
+    const vA = new THREE.Vector3();
+    const vB = new THREE.Vector3();
+    const vC = new THREE.Vector3();
+    const n = new THREE.Vector3();
+
+    for (let x=0; x<nx-1; x++) {
+        for (let y=0; y<ny-1; y++) {
+            for (let z=0; z<nz-1; z++) {
+                let cubeIndex = 0;
+                for (let i=0; i<8; i++) {
+                    const [cx, cy, cz] = corners[i];
+                    if (value(x + cx, y + cy, z + cz) < isovalue) {
+                        cubeIndex |= 1 << i;
+                    }
+                }
+                const bits = edgeTable[cubeIndex];
+                if (bits === 0) {
+                    continue;
+                }
+                for (let e=0; e<12; e++) {
+                    if (bits & (1 << e)) {
+                        const [corner, axis] = edges[e];
+                        const [cx, cy, cz] = corners[corner];
+                        cubeVertices[e] = vertexOnEdge(x + cx, y + cy, z + cz, axis);
+                    }
+                }
+                const offset = cubeIndex << 4;
+                for (let i=0; triTable[offset + i] !== -1; i+=3) {
+                    const a = cubeVertices[triTable[offset + i]];
+                    const b = cubeVertices[triTable[offset + i + 1]];
+                    const c = cubeVertices[triTable[offset + i + 2]];
+                    // Make sure the winding agrees with the normals
+                    vA.fromArray(positions, 3 * a);
+                    vB.fromArray(positions, 3 * b).sub(vA);
+                    vC.fromArray(positions, 3 * c).sub(vA);
+                    n.fromArray(normals, 3 * a);
+                    if (vB.cross(vC).dot(n) < 0) {
+                        indices.push(a, c, b);
+                    } else {
+                        indices.push(a, b, c);
+                    }
+                }
+            }
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute("normal", new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setIndex(indices);
+    return geometry;
+}
+
+/**
+ * Get the minimum and maximum values of a volume
+ * @param {{}} volume
+ * @returns {[number, number]}
+ */
+function volumeRange(volume) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of volume.data) {
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+    }
+    return [min, max];
+}
+
+export {extractIsosurface, volumeRange};
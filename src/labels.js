@@ -0,0 +1,89 @@
+import * as THREE from "three";
+
+/**
+ * Create a sprite showing a text, which keeps the same size on screen
+ * regardless of its distance from the camera and is drawn on top of
+ * the atoms.
+ * @param {string} text Text to show (may have several lines)
+ * @param {{}} options
+ * @param {string} options.color Text color (CSS)
+ * @param {string} options.background Background color (CSS), or undefined
+ * for a transparent background
+ * @param {number} options.fontSize Font size used when drawing the text (px)
+ * @param {number} options.height Height of each line of the sprite, relative
+ * to the height of the screen
+ * @returns {THREE.Sprite}
+ */
+function createTextSprite(text, options = {}) {
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        sizeAttenuation: false,
+        depthTest: false,
+        depthWrite: false,
+        transparent: true
+    }));
+    sprite.renderOrder = 1;
+    sprite.userData.options = {
+        color: "#000000",
+        background: "#ffffffcc",
+        fontSize: 32,
+        height: 0.04,
+        ...options
+    };
+    setSpriteText(sprite, text);
+    return sprite;
+}
+
+/**
+ * Change the text of a sprite created with createTextSprite()
+ * @param {THREE.Sprite} sprite
+ * @param {string} text
+ */
+function setSpriteText(sprite, text) {
+    if (sprite.userData.text === text) {
+        return;
+    }
+    sprite.userData.text = text;
+    const {color, background, fontSize, height} = sprite.userData.options;
+
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+    const font = `${fontSize}px sans-serif`;
+    context.font = font;
+    const padding = fontSize / 4;
+    const lines = text.split("\n");
+    const lineHeight = fontSize + 2 * padding;
+    canvas.width = Math.ceil(
+        Math.max(...lines.map(l=>context.measureText(l).width)) + 2 * padding
+    );
+    canvas.height = Math.ceil(lineHeight * lines.length);
+
+    // Changing the canvas size resets the context
+    context.font = font;
+    if (background !== undefined) {
+        context.fillStyle = background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.fillStyle = color;
+    context.textBaseline = "middle";
+    lines.forEach((l, i) => context.fillText(l, padding, lineHeight * (i + 0.5)));
+
+    const material = sprite.material;
+    material.map?.dispose();
+    material.map = new THREE.CanvasTexture(canvas);
+    material.map.colorSpace = THREE.SRGBColorSpace;
+    material.needsUpdate = true;
+
+    const spriteHeight = height * canvas.height / lineHeight;
+    sprite.scale.set(spriteHeight * canvas.width / canvas.height, spriteHeight, 1);
+}
+
+/**
+ * Free the resources used by a text sprite
+ * @param {THREE.Sprite} sprite
+ */
+function disposeTextSprite(sprite) {
+    sprite.material.map?.dispose();
+    sprite.material.dispose();
+}
+
+export {createTextSprite, setSpriteText, disposeTextSprite};
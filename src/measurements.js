@@ -0,0 +1,179 @@
+import * as THREE from "three";
+import {createTextSprite, setSpriteText, disposeTextSprite} from "./labels.js";
+import {atomName} from "./selection.js";
+
+const measurementTypes = {
+    2: {type: "distance", unit: "Å"},
+    3: {type: "angle", unit: "°"},
+    4: {type: "dihedral", unit: "°"}
+};
+
+/**
+ * Measure the distance between two atoms, the angle between three atoms
+ * (at the second atom) or the dihedral angle between four atoms
+ * (around the bond between the second and third atom).
+ * @param {{}[]} atoms Two, three or four atoms
+ * @returns {{type: string, value: number, unit: string}} The measurement,
+ * with distances in Å and angles in degrees
+ */
+function measure(atoms) {
+    const p = atoms.map(a=>a.position);
+    let value;
+    switch (atoms.length) {
+    case 2:
+        value = p[0].distanceTo(p[1]);
+        break;
+    case 3:
+        value = THREE.MathUtils.radToDeg(
+            p[0].clone().sub(p[1]).angleTo(p[2].clone().sub(p[1]))
+        );
+        break;
+    case 4: {
+        const b1 = p[1].clone().sub(p[0]);
+        const b2 = p[2].clone().sub(p[1]);
+        const b3 = p[3].clone().sub(p[2]);
+        const n1 = b1.clone().cross(b2);
+        const n2 = b2.clone().cross(b3);
+        // Positive for clockwise rotation, looking from the second atom
+        const y = b2.clone().normalize().dot(n1.clone().cross(n2));
+        value = THREE.MathUtils.radToDeg(Math.atan2(y, n1.dot(n2)));
+        break;
+    }
+    default:
+        throw new Error(`Can only measure 2, 3 or 4 atoms, not ${atoms.length}`);
+    }
+    return {...measurementTypes[atoms.length], value: value};
+}
+
+/**
+ * Format a measurement for display
+ * @param {{type: string, value: number, unit: string}} measurement
+ * @returns {string}
+ */
+function formatMeasurement(measurement) {
+    if (measurement.type === "distance") {
+        return `${measurement.value.toFixed(3)} ${measurement.unit}`;
+    }
+    return `${measurement.value.toFixed(1)}${measurement.unit}`;
+}
+
+/**
+ * A list of measurements, each drawn in the scene as a dashed line
+ * between its atoms and a label with its value.
+ */
+class Measurements {
+    /**
+     * @param {Api} api
+     */
+    constructor(api) {
+        this.api = api;
+        this.items = [];
+        this.group = new THREE.Group();
+        this.group.name = "Measurements";
+        this.lineMaterial = new THREE.LineDashedMaterial({
+            color: 0x333333,
+            dashSize: 0.1,
+            gapSize: 0.06,
+            depthTest: false
+        });
+        this.api.scene.add(this.group);
+    }
+
+    /**
+     * Add a measurement
+     * @param {{}[]} atoms Two, three or four atoms
+     * @returns {{}} The measurement
+     */
+    add(atoms) {
+        const item = {
+            atoms: [...atoms],
+            ...measure(atoms),
+            line: new THREE.Line(new THREE.BufferGeometry(), this.lineMaterial),
+            label: createTextSprite("")
+        };
+        item.line.renderOrder = 1;
+        this.group.add(item.line, item.label);
+        this.items.push(item);
+        this.update();
+        return item;
+    }
+
+    /**
+     * Remove a measurement
+     * @param {{}} item The measurement to remove
+     */
+    remove(item) {
+        const i = this.items.indexOf(item);
+        if (i < 0) {
+            return;
+        }
+        this.items.splice(i, 1);
+        this.group.remove(item.line, item.label);
+        item.line.geometry.dispose();
+        disposeTextSprite(item.label);
+    }
+
+    /**
+     * Remove all measurements involving any of the given atoms
+     * @param {{}[]} atoms
+     */
+    removeAtoms(atoms) {
+        const atomSet = new Set(atoms);
+        this.items.filter(
+            m=>m.atoms.some(a=>atomSet.has(a))
+        ).forEach(m=>this.remove(m));
+    }
+
+    clear() {
+        [...this.items].forEach(m=>this.remove(m));
+    }
+
+    /**
+     * Recalculate the measurements and move their lines and labels to
+     * follow the atoms. Measurements of atoms in sections that are not
+     * visible are hidden.
+     */
+    update() {
+        const visible = new Set(this.api.visibleSections());
+        for (const item of this.items) {
+            Object.assign(item, measure(item.atoms));
+            const shown = item.atoms.every(a=>visible.has(a.section));
+            item.line.visible = shown;
+            item.label.visible = shown;
+            if (!shown) {
+                continue;
+            }
+            const points = item.atoms.map(a=>a.position);
+            item.line.geometry.setFromPoints(points);
+            item.line.computeLineDistances();
+
+            // Put the label in the middle of the measured distance, angle
+            // or torsion bond
+            const middle = points.length === 3 ?
+                points[1].clone().lerp(points[0].clone().lerp(points[2], 0.5), 0.5) :
+                points[points.length / 2 - 1].clone().lerp(points[points.length / 2], 0.5);
+            item.label.position.copy(middle);
+            setSpriteText(item.label, formatMeasurement(item));
+        }
+    }
+
+    /**
+     * Get all measurements as comma-separated values
+     * @returns {string}
+     */
+    toCSV() {
+        const lines = ["type,section,atoms,value,unit"];
+        for (const m of this.items) {
+            lines.push([
+                m.type,
+                this.api.sections.indexOf(m.atoms[0].section),
+                m.atoms.map(atomName).join(" "),
+                m.value,
+                m.unit
+            ].join(","));
+        }
+        return lines.join("\n");
+    }
+}
+
+export {measure, formatMeasurement, Measurements};
@@ -0,0 +1,349 @@
+import {Vector3} from "three";
+import {Section} from "./section.js";
+import {elementSymbol} from "./constants.js";
+import {cellVectors} from "./utils.js";
+import {createCell} from "./crystal.js";
+
+// MDL bond types, as Luscus bond orders (aromatic bonds are order 1.5,
+// and query bond types other than "any" are drawn as single bonds)
+const mdlBondOrders = {1: 1, 2: 2, 3: 3, 4: 5, 5: 1, 6: 1, 7: 1, 8: 4};
+
+// Tripos Mol2 bond types, as Luscus bond orders
+const mol2BondOrders = {
+    "1": 1, "2": 2, "3": 3, "ar": 5, "am": 1, "un": 4, "du": 6, "nc": 0
+};
+
+// Formal charges of the MDL atom block charge codes (4 is a radical)
+const mdlCharges = {1: 3, 2: 2, 3: 1, 5: -1, 6: -2, 7: -3};
+
+/**
+ * Create a bond between two atoms, if both exist
+ * @param {Map<number, {}>} atoms Atoms by their index in the file
+ * @param {number} i1
+ * @param {number} i2
+ * @param {number} order Luscus bond order
+ * @param {number} line Index of the line, for diagnostics
+ * @param {function(number, string, string)} report
+ * @returns {{}} The bond, or undefined
+ */
+function createBond(atoms, i1, i2, order, line, report) {
+    const atom1 = atoms.get(i1);
+    const atom2 = atoms.get(i2);
+    if (atom1 === undefined || atom2 === undefined || atom1 === atom2) {
+        report(line, "warning", `Ignored bond between atoms ${i1} and ${i2}`);
+        return undefined;
+    }
+    return {atom1: atom1, atom2: atom2, order: order, automatic: false};
+}
+
+/**
+ * Parse an MDL MOL or SD file (in the V2000 or V3000 format). Each record
+ * becomes a section with the bonds of the file, and the SD data fields
+ * become section attributes. Formal charges are stored in the
+ * "formal_charge" atom attribute.
+ * @param {string} text Content of the file
+ * @param {function(number, string, string)} report Called with the index
+ * of the line, the severity and a message for each problem found
+ * @returns {Section[]} List of sections
+ */
+function parseSDF(text, report=() => {}) {
+    const lines = text.split(/\r?\n/);
+    const sections = [];
+    let i = 0;
+    while (i < lines.length) {
+        let end = i;
+        while (end < lines.length && !lines[end].startsWith("$$$$")) {
+            end++;
+        }
+        const record = lines.slice(i, end);
+        // Ignore trailing blank lines
+        if (record.some(l=>l.trim() !== "")) {
+            const section = parseMolRecord(record, i, report);
+            if (section !== undefined) {
+                sections.push(section);
+            }
+        }
+        i = end + 1;
+    }
+    return sections;
+}
+
+/**
+ * Parse one MOL record, with its SD data fields
+ * @param {string[]} lines Lines of the record, without the $$$$ line
+ * @param {number} offset Index of the first line in the file
+ * @param {function(number, string, string)} report
+ * @returns {Section} The section, or undefined if the record is invalid
+ */
+function parseMolRecord(lines, offset, report) {
+    const recordReport = (k, severity, message) => report(offset + k, severity, message);
+    const counts = lines[3] ?? "";
+    const section = new Section([], [], lines[0].trim());
+    section.automaticBonds = false;
+
+    let k;
+    if (counts.includes("V3000")) {
+        k = parseV3000(lines, section, recordReport);
+    } else {
+        const nAtoms = parseInt(counts.slice(0, 3));
+        const nBonds = parseInt(counts.slice(3, 6));
+        if (isNaN(nAtoms) || isNaN(nBonds)) {
+            recordReport(3, "error", "Invalid counts line, record ignored");
+            return undefined;
+        }
+        k = parseV2000(lines, nAtoms, nBonds, section, recordReport);
+    }
+
+    // SD data fields, each a "> <name>" line followed by the value lines
+    for (; k<lines.length; k++) {
+        if (!lines[k].startsWith(">")) {
+            continue;
+        }
+        const name = lines[k].match(/<([^>]*)>/)?.[1] ?? `field${section.attributes.size + 1}`;
+        const value = [];
+        for (k++; k<lines.length && lines[k].trim() !== ""; k++) {
+            value.push(lines[k]);
+        }
+        section.attributes.set(name, value.join("\n"));
+    }
+    return section;
+}
+
+/**
+ * Read the atom, bond and property blocks of a V2000 MOL record
+ * @param {string[]} lines
+ * @param {number} nAtoms
+ * @param {number} nBonds
+ * @param {Section} section
+ * @param {function(number, string, string)} report
+ * @returns {number} Index of the "M  END" line ending the properties block
+ */
+function parseV2000(lines, nAtoms, nBonds, section, report) {
+    const atoms = new Map();
+    let k = 4;
+    for (let n=1; n<=nAtoms; n++, k++) {
+        const line = lines[k];
+        if (line === undefined) {
+            report(k, "error", `Expected ${nAtoms} atoms, but found ${n - 1}`);
+            return k;
+        }
+        const position = new Vector3(
+            parseFloat(line.slice(0, 10)),
+            parseFloat(line.slice(10, 20)),
+            parseFloat(line.slice(20, 30))
+        );
+        if (isNaN(position.x + position.y + position.z)) {
+            report(k, "warning", "Invalid coordinates, replaced with 0");
+            position.set(...position.toArray().map(v=>isNaN(v) ? 0 : v));
+        }
+        const attributes = new Map();
+        const charge = mdlCharges[parseInt(line.slice(36, 39))];
+        if (charge !== undefined) {
+            attributes.set("formal_charge", `${charge}`);
+        }
+        atoms.set(n, section.addAtom(line.slice(31, 34).trim() || "X", position, attributes));
+    }
+    for (let n=0; n<nBonds; n++, k++) {
+        const line = lines[k];
+        if (line === undefined) {
+            report(k, "error", `Expected ${nBonds} bonds, but found ${n}`);
+            return k;
+        }
+        const type = parseInt(line.slice(6, 9));
+        if (!(type in mdlBondOrders)) {
+            report(k, "warning", `Unknown bond type ${line.slice(6, 9).trim()}, using a single bond`);
+        }
+        const bond = createBond(
+            atoms, parseInt(line.slice(0, 3)), parseInt(line.slice(3, 6)),
+            mdlBondOrders[type] ?? 1, k, report
+        );
+        if (bond !== undefined) {
+            section.bonds.push(bond);
+        }
+    }
+
+    // Charges in the properties block replace those of the atom block
+    let chargesReset = false;
+    for (; k<lines.length && !lines[k].startsWith("M  END"); k++) {
+        if (!lines[k].startsWith("M  CHG")) {
+            continue;
+        }
+        if (!chargesReset) {
+            section.atoms.forEach(a=>a.attributes.delete("formal_charge"));
+            chargesReset = true;
+        }
+        const values = lines[k].slice(6).trim().split(/\s+/).map(v=>parseInt(v));
+        for (let p=1; p+1<values.length; p+=2) {
+            const atom = atoms.get(values[p]);
+            if (atom !== undefined && values[p + 1] !== 0) {
+                atom.attributes.set("formal_charge", `${values[p + 1]}`);
+            }
+        }
+    }
+    return k;
+}
+
+/**
+ * Read the atom and bond blocks of a V3000 MOL record
+ * @param {string[]} lines
+ * @param {Section} section
+ * @param {function(number, string, string)} report
+ * @returns {number} Index of the line after the "M  END" line
+ */
+function parseV3000(lines, section, report) {
+    // Join the lines continued with a trailing "-"
+    const statements = [];
+    let k = 4;
+    for (; k<lines.length && !lines[k].startsWith("M  END"); k++) {
+        if (!lines[k].startsWith("M  V30 ")) {
+            continue;
+        }
+        const text = lines[k].slice(7);
+        const last = statements[statements.length - 1];
+        if (last?.continued) {
+            last.text += text;
+        } else {
+            statements.push({text: text, line: k});
+        }
+        const current = statements[statements.length - 1];
+        current.continued = current.text.endsWith("-");
+        if (current.continued) {
+            current.text = current.text.slice(0, -1);
+        }
+    }
+
+    const atoms = new Map();
+    let block;
+    for (const {text, line} of statements) {
+        const fields = text.trim().split(/\s+/);
+        if (fields[0] === "BEGIN" || fields[0] === "END") {
+            block = fields[0] === "BEGIN" ? fields[1] : undefined;
+        } else if (block === "ATOM") {
+            const position = new Vector3(...fields.slice(2, 5).map(v=>parseFloat(v)));
+            if (isNaN(position.x + position.y + position.z)) {
+                report(line, "warning", "Invalid coordinates, replaced with 0");
+                position.set(...position.toArray().map(v=>isNaN(v) ? 0 : v));
+            }
+            const attributes = new Map();
+            const charge = fields.find(f=>f.startsWith("CHG="));
+            if (charge !== undefined) {
+                attributes.set("formal_charge", charge.slice(4));
+            }
+            atoms.set(parseInt(fields[0]), section.addAtom(fields[1], position, attributes));
+        } else if (block === "BOND") {
+            const type = parseInt(fields[1]);
+            if (!(type in mdlBondOrders)) {
+                report(line, "warning", `Unknown bond type ${fields[1]}, using a single bond`);
+            }
+            const bond = createBond(
+                atoms, parseInt(fields[2]), parseInt(fields[3]),
+                mdlBondOrders[type] ?? 1, line, report
+            );
+            if (bond !== undefined) {
+                section.bonds.push(bond);
+            }
+        }
+    }
+    if (atoms.size === 0) {
+        report(3, "warning", "No atoms found");
+    }
+    return k + 1;
+}
+
+/**
+ * Parse a Tripos Mol2 file. Each molecule becomes a section with the
+ * bonds of the file. Atoms get the atom name, SYBYL atom type,
+ * substructure (as residue and resid) and partial charge as attributes,
+ * and a CRYSIN record becomes the unit cell.
+ * @param {string} text Content of the file
+ * @param {function(number, string, string)} report Called with the index
+ * of the line, the severity and a message for each problem found
+ * @returns {Section[]} List of sections
+ */
+function parseMol2(text, report=() => {}) {
+    const lines = text.split(/\r?\n/);
+    const sections = [];
+    let section;
+    let atoms;
+    let record;
+    let recordLine = 0;
+    lines.forEach((line, i) => {
+        const trimmed = line.trim();
+        if (trimmed.startsWith("@<TRIPOS>")) {
+            record = trimmed.slice(9).toUpperCase();
+            recordLine = i;
+            if (record === "MOLECULE") {
+                section = new Section([], [], "");
+                section.automaticBonds = false;
+                atoms = new Map();
+                sections.push(section);
+            } else if (section === undefined) {
+                report(i, "error", `${record} record before the first MOLECULE record ignored`);
+                record = undefined;
+            }
+            return;
+        }
+        if (trimmed === "" || trimmed.startsWith("#")) {
+            return;
+        }
+        const fields = trimmed.split(/\s+/);
+        switch (record) {
+        case "MOLECULE":
+            // The first line of the record is the name of the molecule
+            if (i === recordLine + 1) {
+                section.comment = trimmed;
+            }
+            break;
+        case "ATOM": {
+            const position = new Vector3(...fields.slice(2, 5).map(v=>parseFloat(v)));
+            if (fields.length < 6 || isNaN(position.x + position.y + position.z)) {
+                report(i, "error", "Invalid atom line, atom ignored");
+                break;
+            }
+            const [id, name, , , , type, subst, substName, charge] = fields;
+            // The element is the first part of the atom type (such as C.ar)
+            const typeSymbol = type.split(".")[0];
+            const symbol = elementSymbol(typeSymbol) === typeSymbol ?
+                typeSymbol : elementSymbol(name) ?? "X";
+            const attributes = new Map([
+                ["name", name],
+                ["type", type],
+                ["resid", subst],
+                ["residue", substName],
+                ["charge", charge]
+            ].filter(([, v]) => v !== undefined));
+            atoms.set(parseInt(id), section.addAtom(symbol, position, attributes));
+            break;
+        }
+        case "BOND": {
+            const type = fields[3]?.toLowerCase();
+            if (!(type in mol2BondOrders)) {
+                report(i, "warning", `Unknown bond type ${fields[3]}, using a single bond`);
+            }
+            const bond = createBond(
+                atoms, parseInt(fields[1]), parseInt(fields[2]),
+                mol2BondOrders[type] ?? 1, i, report
+            );
+            if (bond !== undefined) {
+                section.bonds.push(bond);
+            }
+            break;
+        }
+        case "CRYSIN": {
+            const p = fields.slice(0, 6).map(v=>parseFloat(v));
+            if (p.length === 6 && p.every(v=>!isNaN(v))) {
+                section.cell = createCell(cellVectors(...p));
+            } else {
+                report(i, "warning", "Invalid CRYSIN record");
+            }
+            break;
+        }
+        }
+    });
+    if (sections.length === 0) {
+        report(0, "error", "No MOLECULE record found");
+    }
+    return sections;
+}
+
+export {parseSDF, parseMol2};
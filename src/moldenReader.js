@@ -0,0 +1,250 @@
+import {Vector3} from "three";
+import {Section} from "./section.js";
+import {
+    bohrToAngstrom,
+    elementSymbol,
+    symbolFromNumber
+} from "./constants.js";
+import {perceiveBonds} from "./bondPerception.js";
+import {shellSize} from "./orbitals.js";
+
+const shellTypes = {s: 0, p: 1, d: 2, f: 3, g: 4};
+
+/**
+ * Parse a Molden file, with geometry, Gaussian basis set and molecular
+ * orbitals (and vibrations, if there are any).
+ * @param {string} text Content of the Molden file
+ * @param {function(number, string, string)} report Called with the index
+ * of the line, the severity and a message for each problem found
+ * @returns {Section} Section with atoms, basis and orbitals, or undefined
+ * if there are no atoms
+ */
+function parseMolden(text, report=() => {}) {
+    const blocks = splitBlocks(text);
+    const section = new Section([], [], blocks.get("title")?.lines.join(" ").trim() ?? "");
+
+    // Geometry
+    if (blocks.has("atoms")) {
+        const {args, lines} = blocks.get("atoms");
+        const scale = args.toLowerCase().includes("au") ? bohrToAngstrom : 1;
+        for (const line of lines) {
+            const [label, , z, x, y, zPos] = splitColumns(line);
+            section.addAtom(
+                elementSymbol(label) ?? symbolFromNumber(parseInt(z)),
+                new Vector3(
+                    parseFloat(x), parseFloat(y), parseFloat(zPos)
+                ).multiplyScalar(scale)
+            );
+        }
+    } else if (blocks.has("fr-coord")) {
+        // Files with only vibrations have the geometry here (in bohr)
+        for (const line of blocks.get("fr-coord").lines) {
+            const [label, x, y, z] = splitColumns(line);
+            section.addAtom(
+                elementSymbol(label) ?? "X",
+                new Vector3(
+                    parseFloat(x), parseFloat(y), parseFloat(z)
+                ).multiplyScalar(bohrToAngstrom)
+            );
+        }
+    }
+    if (section.atoms.length === 0) {
+        report(blocks.get("atoms")?.line ?? 0, "error", "No atoms found");
+        return undefined;
+    }
+    section.bonds = perceiveBonds(section.atoms);
+
+    if (blocks.has("sto")) {
+        report(blocks.get("sto").line, "error", "Slater type orbitals are not supported, orbitals are left out");
+        blocks.delete("mo");
+    }
+
+    // Which shells are spherical rather than cartesian
+    const spherical = {
+        d: blocks.has("5d") || blocks.has("5d7f") || blocks.has("5d10f"),
+        f: blocks.has("5d") || blocks.has("5d7f") || blocks.has("7f"),
+        g: blocks.has("9g")
+    };
+
+    if (blocks.has("gto")) {
+        section.basis = parseGTO(blocks.get("gto").lines, section.atoms, spherical);
+    }
+    if (blocks.has("mo")) {
+        const nBasis = section.basis.reduce((n, s) => n + shellSize(s), 0);
+        section.orbitals = parseMO(blocks.get("mo").lines, nBasis);
+    }
+
+    if (blocks.has("freq") && blocks.has("fr-norm-coord")) {
+        section.vibrations = parseMoldenVibrations(
+            blocks.get("freq").lines,
+            blocks.get("fr-norm-coord").lines,
+            blocks.get("int")?.lines
+        );
+    }
+
+    // Files can have only vibrations instead of orbitals
+    if (section.orbitals.length === 0 && section.vibrations.length === 0 && !blocks.has("sto")) {
+        report(blocks.get("mo")?.line ?? 0, "error", "No orbitals found");
+    }
+
+    return section;
+}
+
+// Split on spaces or tabs
+function splitColumns(line) {
+    return line.trim().split(/[ \t]+/g);
+}
+
+/**
+ * Split a Molden file into its [Blocks]
+ * @param {string} text
+ * @returns {Map<string, {args: string, lines: string[], line: number}>} Map
+ * from lowercase block names to the text after the name, the block lines
+ * and the index of the line with the name
+ */
+function splitBlocks(text) {
+    const blocks = new Map();
+    let current;
+    text.split(/\r?\n/).forEach((line, i) => {
+        const header = line.match(/^\s*\[([^\]]+)\](.*)$/);
+        if (header !== null) {
+            current = {args: header[2].trim(), lines: [], line: i};
+            blocks.set(header[1].trim().toLowerCase(), current);
+        } else if (current !== undefined && line.trim() !== "") {
+            current.lines.push(line);
+        }
+    });
+    return blocks;
+}
+
+/**
+ * Parse the basis set of a [GTO] block
+ * @param {string[]} lines
+ * @param {{}[]} atoms Atoms, to get the shell centres from
+ * @param {{d: boolean, f: boolean, g: boolean}} spherical
+ * @returns {{}[]} List of shells, with centres in bohr
+ */
+function parseGTO(lines, atoms, spherical) {
+    const shells = [];
+    let centre;
+    let i = 0;
+    while (i < lines.length) {
+        const cols = splitColumns(lines[i]);
+        const type = cols[0].toLowerCase();
+        if (!(type in shellTypes) && type !== "sp") {
+            // Atom sequence number, starting a new centre
+            const atom = atoms[parseInt(cols[0]) - 1];
+            centre = atom.position.toArray().map(v=>v / bohrToAngstrom);
+            i++;
+            continue;
+        }
+        const nPrimitives = parseInt(cols[1]);
+        const primitives = lines.slice(i + 1, i + 1 + nPrimitives).map(
+            // Fortran style exponents are common
+            l=>splitColumns(l).map(v=>parseFloat(v.replace(/[dD]/, "e")))
+        );
+        i += 1 + nPrimitives;
+
+        const exponents = primitives.map(p=>p[0]);
+        if (type === "sp") {
+            // Treated as an s shell followed by a p shell
+            shells.push({
+                centre, l: 0, spherical: false, exponents,
+                coefficients: primitives.map(p=>p[1])
+            });
+            shells.push({
+                centre, l: 1, spherical: false, exponents,
+                coefficients: primitives.map(p=>p[2])
+            });
+        } else {
+            shells.push({
+                centre,
+                l: shellTypes[type],
+                spherical: spherical[type] ?? false,
+                exponents,
+                coefficients: primitives.map(p=>p[1])
+            });
+        }
+    }
+    return shells;
+}
+
+/**
+ * Parse the orbitals of an [MO] block
+ * @param {string[]} lines
+ * @param {number} nBasis Number of basis functions
+ * @returns {{}[]} List of orbitals, with symmetry, energy (hartree),
+ * spin, occupation and MO coefficients
+ */
+function parseMO(lines, nBasis) {
+    const orbitals = [];
+    let orbital;
+    for (const line of lines) {
+        if (line.includes("=")) {
+            const [key, val] = line.split("=").map(v=>v.trim());
+            if (orbital === undefined || orbital.hasCoefficients) {
+                orbital = {
+                    symmetry: "",
+                    energy: 0,
+                    spin: "Alpha",
+                    occupation: 0,
+                    coefficients: new Float64Array(nBasis),
+                    hasCoefficients: false
+                };
+                orbitals.push(orbital);
+            }
+            switch (key.toLowerCase()) {
+            case "sym": orbital.symmetry = val; break;
+            case "ene": orbital.energy = parseFloat(val); break;
+            case "spin": orbital.spin = val; break;
+            case "occup": orbital.occupation = parseFloat(val); break;
+            }
+        } else if (orbital !== undefined) {
+            const [index, coefficient] = splitColumns(line);
+            orbital.coefficients[parseInt(index) - 1] = parseFloat(
+                coefficient.replace(/[dD]/, "e")
+            );
+            orbital.hasCoefficients = true;
+        }
+    }
+    orbitals.forEach(o=>delete o.hasCoefficients);
+    return orbitals;
+}
+
+/**
+ * Parse the vibrations of the [FREQ], [FR-NORM-COORD] and [INT] blocks
+ * @param {string[]} freqLines
+ * @param {string[]} normCoordLines
+ * @param {string[]} intLines (optional)
+ * @returns {{}[]} List of normal modes, as in the Luscus vibration block
+ */
+function parseMoldenVibrations(freqLines, normCoordLines, intLines) {
+    const vibrations = freqLines.map(l=>({
+        frequency: parseFloat(l),
+        irIntensity: undefined,
+        ramanIntensity: undefined,
+        displacements: [],
+        attributes: new Map()
+    }));
+    let vibration;
+    for (const line of normCoordLines) {
+        if (line.toLowerCase().includes("vibration")) {
+            vibration = vibrations[parseInt(splitColumns(line)[1]) - 1];
+        } else if (vibration !== undefined) {
+            const [x, y, z] = splitColumns(line).map(v=>parseFloat(v));
+            vibration.displacements.push(
+                new Vector3(x, y, z).multiplyScalar(bohrToAngstrom)
+            );
+        }
+    }
+    if (intLines !== undefined) {
+        intLines.forEach((l, i) => {
+            if (vibrations[i] !== undefined) {
+                vibrations[i].irIntensity = parseFloat(l);
+            }
+        });
+    }
+    return vibrations;
+}
+
+export {parseMolden};
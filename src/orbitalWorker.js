@@ -0,0 +1,17 @@
+import {evaluateGrid} from "./orbitals.js";
+
+// Evaluates orbitals or densities on a grid, off the main thread.
+// Expects a message with shells, orbitals, occupations (undefined for a
+// single orbital), origin, axes and dims (see evaluateGrid).
+self.onmessage = event => {
+    const {shells, orbitals, occupations, origin, axes, dims} = event.data;
+    try {
+        const data = evaluateGrid(
+            shells, orbitals, occupations, origin, axes, dims,
+            progress => self.postMessage({progress})
+        );
+        self.postMessage({data}, [data.buffer]);
+    } catch (error) {
+        self.postMessage({error: error.message});
+    }
+};
@@ -0,0 +1,238 @@
+// Evaluation of Gaussian basis functions and molecular orbitals.
+// This module is also loaded by the orbital web worker, so it should not
+// import anything (workers do not get the import map of the page).
+
+// Exponents of the cartesian components of each shell, in Molden order
+const cartesianComponents = [
+    [[0, 0, 0]],
+    [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+    [
+        [2, 0, 0], [0, 2, 0], [0, 0, 2],
+        [1, 1, 0], [1, 0, 1], [0, 1, 1]
+    ],
+    [
+        [3, 0, 0], [0, 3, 0], [0, 0, 3], [1, 2, 0], [2, 1, 0],
+        [2, 0, 1], [1, 0, 2], [0, 1, 2], [0, 2, 1], [1, 1, 1]
+    ],
+    [
+        [4, 0, 0], [0, 4, 0], [0, 0, 4], [3, 1, 0], [3, 0, 1],
+        [1, 3, 0], [0, 3, 1], [1, 0, 3], [0, 1, 3], [2, 2, 0],
+        [2, 0, 2], [0, 2, 2], [2, 1, 1], [1, 2, 1], [1, 1, 2]
+    ]
+];
+
+const s3 = Math.sqrt(3);
+const s5 = Math.sqrt(5);
+const s10 = Math.sqrt(10);
+const s15 = Math.sqrt(15);
+const s35 = Math.sqrt(35);
+const s70 = Math.sqrt(70);
+
+// Real solid harmonics (Racah normalised) of the spherical shells,
+// in Molden order (m = 0, +1, -1, +2, -2, ...)
+const sphericalComponents = [
+    undefined,
+    undefined,
+    [
+        (x, y, z, r2) => (3*z*z - r2) / 2,
+        (x, y, z) => s3 * x * z,
+        (x, y, z) => s3 * y * z,
+        (x, y) => s3 / 2 * (x*x - y*y),
+        (x, y) => s3 * x * y
+    ],
+    [
+        (x, y, z, r2) => z * (5*z*z - 3*r2) / 2,
+        (x, y, z, r2) => Math.sqrt(3/8) * x * (5*z*z - r2),
+        (x, y, z, r2) => Math.sqrt(3/8) * y * (5*z*z - r2),
+        (x, y, z) => s15 / 2 * z * (x*x - y*y),
+        (x, y, z) => s15 * x * y * z,
+        (x, y) => Math.sqrt(5/8) * x * (x*x - 3*y*y),
+        (x, y) => Math.sqrt(5/8) * y * (3*x*x - y*y)
+    ],
+    [
+        (x, y, z, r2) => (35*z**4 - 30*z*z*r2 + 3*r2*r2) / 8,
+        (x, y, z, r2) => s10 / 4 * x * z * (7*z*z - 3*r2),
+        (x, y, z, r2) => s10 / 4 * y * z * (7*z*z - 3*r2),
+        (x, y, z, r2) => s5 / 4 * (x*x - y*y) * (7*z*z - r2),
+        (x, y, z, r2) => s5 / 2 * x * y * (7*z*z - r2),
+        (x, y, z) => s70 / 4 * x * z * (x*x - 3*y*y),
+        (x, y, z) => s70 / 4 * y * z * (3*x*x - y*y),
+        (x, y) => s35 / 8 * (x**4 - 6*x*x*y*y + y**4),
+        (x, y) => s35 / 2 * x * y * (x*x - y*y)
+    ]
+];
+
+function doubleFactorial(n) {
+    let f = 1;
+    for (let i=n; i>1; i-=2) {
+        f *= i;
+    }
+    return f;
+}
+
+/**
+ * Number of basis functions in a shell
+ * @param {{l: number, spherical: boolean}} shell
+ * @returns {number}
+ */
+function shellSize(shell) {
+    return shell.spherical ? 2 * shell.l + 1 : (shell.l + 1) * (shell.l + 2) / 2;
+}
+
+/**
+ * Calculate the normalised contraction coefficients of a shell, including
+ * the primitive normalisation (but not the angular factors of cartesian
+ * components, which are applied when evaluating).
+ * @param {{l: number, spherical: boolean, exponents: number[], coefficients: number[]}} shell
+ * @returns {Float64Array} One coefficient per primitive
+ */
+function normalisedCoefficients(shell) {
+    const l = shell.l;
+    const a = shell.exponents;
+    const d = shell.coefficients;
+
+    // Normalisation of each primitive (for the x^l component if cartesian)
+    const primitiveNorm = a.map(alpha => {
+        if (shell.spherical) {
+            return Math.sqrt(
+                (2*l + 1) / (4 * Math.PI) * 2**(l + 2) * (2*alpha)**(l + 1) *
+                Math.sqrt(2*alpha / Math.PI) / doubleFactorial(2*l + 1)
+            );
+        }
+        return (2*alpha / Math.PI)**0.75 * (4*alpha)**(l / 2) /
+            Math.sqrt(doubleFactorial(2*l - 1));
+    });
+
+    // Normalise the contraction, using the overlap of normalised primitives
+    let norm = 0;
+    for (let i=0; i<a.length; i++) {
+        for (let j=0; j<a.length; j++) {
+            const overlap = (2 * Math.sqrt(a[i] * a[j]) / (a[i] + a[j]))**(l + 1.5);
+            norm += d[i] * d[j] * overlap;
+        }
+    }
+    norm = 1 / Math.sqrt(norm);
+
+    const coefficients = new Float64Array(a.length);
+    for (let i=0; i<a.length; i++) {
+        coefficients[i] = norm * d[i] * primitiveNorm[i];
+        if (!shell.spherical) {
+            // Moved to the angular factors of each component
+            coefficients[i] *= Math.sqrt(doubleFactorial(2*l - 1));
+        }
+    }
+    return coefficients;
+}
+
+/**
+ * Prepare a basis set for evaluation
+ * @param {{}[]} shells List of shells, each with a centre (in bohr),
+ * angular momentum l, spherical flag, exponents and contraction coefficients
+ * @returns {{}[]} Shells with precomputed normalisation
+ */
+function prepareBasis(shells) {
+    return shells.map(shell => {
+        if (shell.l > 4) {
+            throw new Error("Only shells up to g are supported");
+        }
+        const components = shell.spherical ?
+            sphericalComponents[shell.l] ?? cartesianComponents[shell.l].map(
+                // s and p shells are the same in both representations
+                ([i, j, k]) => (x, y, z) => x**i * y**j * z**k
+            ) :
+            cartesianComponents[shell.l].map(([i, j, k]) => {
+                const f = 1 / Math.sqrt(
+                    doubleFactorial(2*i - 1) * doubleFactorial(2*j - 1) * doubleFactorial(2*k - 1)
+                );
+                return (x, y, z) => f * x**i * y**j * z**k;
+            });
+        return {
+            centre: shell.centre,
+            exponents: Float64Array.from(shell.exponents),
+            coefficients: normalisedCoefficients(shell),
+            // Skip the shell where all primitives have decayed
+            cutoffSq: 40 / Math.min(...shell.exponents),
+            components: components
+        };
+    });
+}
+
+/**
+ * Evaluate all basis functions at a point
+ * @param {{}[]} basis Prepared basis (see prepareBasis)
+ * @param {number} x Position in bohr
+ * @param {number} y
+ * @param {number} z
+ * @param {Float64Array} values Array to write the values into
+ */
+function evaluateBasis(basis, x, y, z, values) {
+    let n = 0;
+    for (const shell of basis) {
+        const dx = x - shell.centre[0];
+        const dy = y - shell.centre[1];
+        const dz = z - shell.centre[2];
+        const r2 = dx*dx + dy*dy + dz*dz;
+        const components = shell.components;
+        if (r2 > shell.cutoffSq) {
+            for (let c=0; c<components.length; c++) {
+                values[n++] = 0;
+            }
+            continue;
+        }
+        let radial = 0;
+        for (let p=0; p<shell.exponents.length; p++) {
+            radial += shell.coefficients[p] * Math.exp(-shell.exponents[p] * r2);
+        }
+        for (let c=0; c<components.length; c++) {
+            values[n++] = radial * components[c](dx, dy, dz, r2);
+        }
+    }
+}
+
+/**
+ * Evaluate orbitals on a grid, either a single orbital or the density of
+ * a set of occupied orbitals.
+ * @param {{}[]} shells Basis set shells
+ * @param {Float64Array[]} orbitals MO coefficients of the orbitals
+ * @param {number[]} occupations Occupation of each orbital, or undefined
+ * to evaluate the (single) orbital itself rather than the density
+ * @param {number[]} origin Grid origin (bohr)
+ * @param {number[][]} axes Grid step vectors (bohr)
+ * @param {number[]} dims Number of points along each axis
+ * @param {function(number)} onProgress Called with the progress (0 to 1)
+ * @returns {Float32Array} Values, with the last axis varying fastest
+ */
+function evaluateGrid(shells, orbitals, occupations, origin, axes, dims, onProgress) {
+    const basis = prepareBasis(shells);
+    const nBasis = shells.reduce((n, s) => n + shellSize(s), 0);
+    const values = new Float64Array(nBasis);
+    const [nx, ny, nz] = dims;
+    const data = new Float32Array(nx * ny * nz);
+    let index = 0;
+    for (let i=0; i<nx; i++) {
+        for (let j=0; j<ny; j++) {
+            for (let k=0; k<nz; k++) {
+                const x = origin[0] + i*axes[0][0] + j*axes[1][0] + k*axes[2][0];
+                const y = origin[1] + i*axes[0][1] + j*axes[1][1] + k*axes[2][1];
+                const z = origin[2] + i*axes[0][2] + j*axes[1][2] + k*axes[2][2];
+                evaluateBasis(basis, x, y, z, values);
+                let v = 0;
+                for (let o=0; o<orbitals.length; o++) {
+                    const c = orbitals[o];
+                    let psi = 0;
+                    for (let b=0; b<nBasis; b++) {
+                        psi += c[b] * values[b];
+                    }
+                    v += occupations === undefined ? psi : occupations[o] * psi * psi;
+                }
+                data[index++] = v;
+            }
+        }
+        if (onProgress !== undefined) {
+            onProgress((i + 1) / nx);
+        }
+    }
+    return data;
+}
+
+export {shellSize, prepareBasis, evaluateBasis, evaluateGrid};
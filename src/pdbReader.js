@@ -0,0 +1,173 @@
+import {Vector3} from "three";
+import {Section} from "./section.js";
+import {elementSymbol} from "./constants.js";
+import {perceiveBonds, mergeBonds} from "./bondPerception.js";
+import {cellVectors} from "./utils.js";
+import {createCell} from "./crystal.js";
+
+/**
+ * Parse a PDB file. Each model becomes a section, with the residue name
+ * and number, chain, atom name and B-factor of each atom stored in its
+ * attributes. Bonds listed in CONECT records are kept in every model
+ * (with repeated entries giving the bond order), and the other bonds are
+ * perceived.
+ * @param {string} text Content of the PDB file
+ * @param {function(number, string, string)} report Called with the index
+ * of the line, the severity and a message for each problem found
+ * @returns {Section[]} List of sections
+ */
+function parsePDB(text, report=() => {}) {
+    const lines = text.split(/\r?\n/);
+    const sections = [];
+    // Atoms of each model by serial number, for CONECT records
+    const serials = new Map();
+    const conect = new Map();
+    let title = "";
+    let cell;
+    let section;
+
+    const newSection = () => {
+        section = new Section([], [], title);
+        section.cell = cell;
+        sections.push(section);
+        serials.set(section, new Map());
+    };
+
+    lines.forEach((line, i) => {
+        const record = line.slice(0, 6).trim();
+        switch (record) {
+        case "HEADER":
+        case "TITLE":
+            title = `${title} ${line.slice(10).trim()}`.trim();
+            break;
+        case "CRYST1": {
+            const p = [6, 15, 24, 33, 40, 47].map(
+                (start, k) => parseFloat(line.slice(start, start + (k < 3 ? 9 : 7)))
+            );
+            // Structures without a crystal cell have a 1 Å cubic one
+            if (p.every(v=>!isNaN(v)) && !(p[0] === 1 && p[1] === 1 && p[2] === 1)) {
+                cell = createCell(cellVectors(...p));
+            }
+            break;
+        }
+        case "MODEL":
+            newSection();
+            break;
+        case "ENDMDL":
+            section = undefined;
+            break;
+        case "ATOM":
+        case "HETATM": {
+            if (section === undefined) {
+                newSection();
+            }
+            const position = new Vector3(
+                parseFloat(line.slice(30, 38)),
+                parseFloat(line.slice(38, 46)),
+                parseFloat(line.slice(46, 54))
+            );
+            if (isNaN(position.x + position.y + position.z)) {
+                report(i, "error", "Invalid coordinates, atom ignored");
+                break;
+            }
+            // Without an element column, the element is given by the
+            // first two characters of the atom name
+            const name = line.slice(12, 16).trim();
+            const element = line.slice(76, 78).trim() ||
+                line.slice(12, 14).trim().replace(/[^A-Za-z]/g, "");
+            const symbol = elementSymbol(element);
+            if (symbol === undefined) {
+                report(i, "warning", `Unknown element "${element}"`);
+            }
+            const attributes = new Map([
+                ["name", name],
+                ["residue", line.slice(17, 20).trim()],
+                ["resid", line.slice(22, 27).trim()],
+                ["chain", line.slice(21, 22).trim()],
+                ["bfactor", line.slice(60, 66).trim()],
+                ["record", record]
+            ]);
+            // Don't keep empty columns
+            for (const [key, value] of attributes) {
+                if (value === "") {
+                    attributes.delete(key);
+                }
+            }
+            const atom = section.addAtom(symbol ?? "X", position, attributes);
+            const serial = parseInt(line.slice(6, 11));
+            if (!isNaN(serial)) {
+                serials.get(section).set(serial, atom);
+            }
+            break;
+        }
+        case "CONECT": {
+            const from = parseInt(line.slice(6, 11));
+            for (let start=11; start<31; start+=5) {
+                const to = parseInt(line.slice(start, start + 5));
+                if (isNaN(to)) {
+                    continue;
+                }
+                const key = `${from} ${to}`;
+                conect.set(key, (conect.get(key) ?? 0) + 1);
+            }
+            break;
+        }
+        }
+    });
+
+    if (sections.length === 0) {
+        report(0, "error", "No atoms found");
+    }
+
+    // CONECT records apply to every model
+    const unknown = new Set();
+    for (const s of sections) {
+        const bonds = conectBonds(conect, serials.get(s), key => {
+            if (!unknown.has(key)) {
+                unknown.add(key);
+                const [from, to] = key.split(" ");
+                report(0, "warning", `CONECT record between unknown atoms ${from} and ${to}`);
+            }
+        });
+        s.bonds = mergeBonds(perceiveBonds(s.atoms), bonds);
+    }
+    return sections;
+}
+
+/**
+ * Get the bonds of a model listed in CONECT records. Bonds are typically
+ * listed from both atoms, so the larger count gives the bond order.
+ * @param {Map<string, number>} conect Number of times each bond is listed,
+ * by the serial numbers of its atoms ("from to")
+ * @param {Map<number, {}>} serials Atoms of the model by serial number
+ * @param {function(string)} unknown Called with the key of bonds between
+ * atoms that are not in the model
+ * @returns {{}[]} List of bonds
+ */
+function conectBonds(conect, serials, unknown) {
+    const bonds = new Map();
+    for (const [key, count] of conect) {
+        const [from, to] = key.split(" ").map(v=>parseInt(v));
+        const atom1 = serials.get(from);
+        const atom2 = serials.get(to);
+        if (atom1 === undefined || atom2 === undefined) {
+            unknown(key);
+            continue;
+        }
+        const pairKey = from < to ? key : `${to} ${from}`;
+        const bond = bonds.get(pairKey);
+        if (bond === undefined) {
+            bonds.set(pairKey, {
+                atom1: atom1,
+                atom2: atom2,
+                order: Math.min(count, 3),
+                automatic: false
+            });
+        } else {
+            bond.order = Math.max(bond.order, Math.min(count, 3));
+        }
+    }
+    return [...bonds.values()];
+}
+
+export {parsePDB};
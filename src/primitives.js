@@ -0,0 +1,278 @@
+import * as THREE from "three";
+import {createTextSprite, disposeTextSprite} from "./labels.js";
+
+// Colors of objects that don't set one
+const defaultColors = {
+    dipole: new THREE.Color(0xE03030),
+    vector: new THREE.Color(0x303030),
+    triangle: new THREE.Color(0x1E90FF),
+    sphere: new THREE.Color(0x1E90FF),
+    surface: new THREE.Color(0x1E90FF),
+    cell: new THREE.Color(0x000000),
+    textbox: new THREE.Color(0x000000)
+};
+
+// Transparency of objects that don't set one
+const defaultTransparency = {
+    triangle: 0.5,
+    sphere: 0.5,
+    surface: 0.5
+};
+
+/**
+ * Create a material for a graphical object
+ * @param {{}} primitive
+ * @returns {THREE.MeshStandardMaterial}
+ */
+function primitiveMaterial(primitive) {
+    const opacity = 1 - (primitive.transparency ?? defaultTransparency[primitive.type] ?? 0);
+    return new THREE.MeshStandardMaterial({
+        color: primitive.color ?? defaultColors[primitive.type],
+        opacity: opacity,
+        transparent: opacity < 1,
+        depthWrite: opacity >= 1,
+        side: THREE.DoubleSide
+    });
+}
+
+/**
+ * Get a numeric attribute of a graphical object
+ * @param {{}} primitive
+ * @param {string} key
+ * @param {number} fallback Returned if the attribute is not set
+ * @returns {number}
+ */
+function numberAttribute(primitive, key, fallback) {
+    const value = parseFloat(primitive.attributes.get(key));
+    return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Create an arrow from a cylinder and a cone
+ * @param {THREE.Vector3} start
+ * @param {THREE.Vector3} end
+ * @param {number} radius Radius of the shaft
+ * @param {number} sharpness Length of the head, relative to its radius
+ * @param {THREE.Material} material
+ * @returns {THREE.Group}
+ */
+function createArrow(start, end, radius, sharpness, material) {
+    const arrow = new THREE.Group();
+    const length = start.distanceTo(end);
+    if (length === 0) {
+        return arrow;
+    }
+    const headRadius = 2 * radius;
+    const headLength = Math.min(headRadius * sharpness, length);
+    const shaftLength = length - headLength;
+
+    const shaft = new THREE.Mesh(
+        new THREE.CylinderGeometry(radius, radius, shaftLength, 16),
+        material
+    );
+    shaft.position.y = shaftLength / 2;
+    const head = new THREE.Mesh(
+        new THREE.ConeGeometry(headRadius, headLength, 16),
+        material
+    );
+    head.position.y = shaftLength + headLength / 2;
+    arrow.add(shaft, head);
+
+    arrow.position.copy(start);
+    arrow.quaternion.setFromUnitVectors(
+        new THREE.Vector3(0, 1, 0),
+        end.clone().sub(start).normalize()
+    );
+    return arrow;
+}
+
+/**
+ * Create the scene objects drawing a graphical object
+ * @param {{}} primitive
+ * @param {Section} section Section of the object (dipoles are drawn
+ * from the centre of its atoms)
+ * @returns {THREE.Object3D} The object, or undefined if it has too
+ * few points to be drawn
+ */
+function createPrimitive(primitive, section) {
+    const p = primitive.coords;
+    const material = primitiveMaterial(primitive);
+    const radius = numberAttribute(primitive, "RADIUS", 0.05);
+    const sharpness = numberAttribute(primitive, "SHARPNESS", 2);
+    const scale = numberAttribute(primitive, "SCALE", 1);
+    switch (primitive.type) {
+    case "dipole": {
+        if (p.length < 1) {
+            return undefined;
+        }
+        // A single point is the dipole moment, drawn from the centre
+        // of the atoms, while two points give the start and end
+        let start = p[0];
+        let end = p[1];
+        if (p.length === 1) {
+            start = new THREE.Vector3();
+            section.atoms.forEach(a=>start.add(a.position));
+            start.divideScalar(Math.max(section.atoms.length, 1));
+            end = start.clone().add(p[0]);
+        }
+        end = start.clone().lerp(end, scale);
+        return createArrow(start, end, radius, sharpness, material);
+    }
+    case "vector": {
+        if (p.length < 2) {
+            return undefined;
+        }
+        const end = p[0].clone().lerp(p[1], scale);
+        return createArrow(p[0], end, radius, sharpness, material);
+    }
+    case "triangle": {
+        if (p.length < 3) {
+            return undefined;
+        }
+        const geometry = new THREE.BufferGeometry().setFromPoints(p.slice(0, 3));
+        geometry.computeVertexNormals();
+        return new THREE.Mesh(geometry, material);
+    }
+    case "surface": {
+        // Parallelogram spanned from the first point to the two others
+        if (p.length < 3) {
+            return undefined;
+        }
+        const corner = p[1].clone().add(p[2]).sub(p[0]);
+        const geometry = new THREE.BufferGeometry().setFromPoints(
+            [p[0], p[1], corner, p[0], corner, p[2]]
+        );
+        geometry.computeVertexNormals();
+        return new THREE.Mesh(geometry, material);
+    }
+    case "sphere": {
+        if (p.length < 1) {
+            return undefined;
+        }
+        const sphere = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 16), material);
+        sphere.position.copy(p[0]);
+        sphere.scale.setScalar(numberAttribute(primitive, "RADIUS", 1));
+        return sphere;
+    }
+    default:
+        return undefined;
+    }
+}
+
+/**
+ * Create a wireframe box showing a unit cell
+ * @param {{origin: THREE.Vector3, vectors: THREE.Vector3[]}} cell
+ * @returns {THREE.LineSegments} The box, or undefined if the cell does
+ * not have three vectors
+ */
+function createCellBox(cell) {
+    if (cell.vectors.length < 3) {
+        return undefined;
+    }
+    const [a, b, c] = cell.vectors;
+    const o = cell.origin;
+    const corners = [0, 1].flatMap(i=>[0, 1].flatMap(j=>[0, 1].map(k=>
+        o.clone().addScaledVector(a, i).addScaledVector(b, j).addScaledVector(c, k)
+    )));
+    // Corners are indexed by 4i+2j+k, so edges join indices differing in one bit
+    const points = [];
+    for (let n=0; n<8; n++) {
+        for (const bit of [1, 2, 4]) {
+            if ((n & bit) === 0) {
+                points.push(corners[n], corners[n | bit]);
+            }
+        }
+    }
+    const opacity = 1 - (cell.transparency ?? 0);
+    return new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({
+            color: cell.color ?? defaultColors.cell,
+            opacity: opacity,
+            transparent: opacity < 1
+        })
+    );
+}
+
+/**
+ * Create a text sprite for a text box, placed on the HUD
+ * @param {{}} primitive
+ * @returns {THREE.Sprite}
+ */
+function createTextBox(primitive) {
+    const sprite = createTextSprite(primitive.text ?? "", {
+        color: `#${(primitive.color ?? defaultColors.textbox).getHexString()}`,
+        background: undefined,
+        fontSize: 2 * numberAttribute(primitive, "FONT", 16),
+        height: numberAttribute(primitive, "FONT", 16) * 1.5
+    });
+    // Position the top left corner, in pixels from the top left
+    // corner of the screen
+    const p = primitive.coords[0] ?? new THREE.Vector3(10, 10, 0);
+    sprite.center.set(0, 1);
+    sprite.position.set(p.x, -p.y, 0);
+    return sprite;
+}
+
+/**
+ * Draws the graphical objects of the visible sections: dipoles and
+ * vectors as arrows, translucent triangles, spheres and surfaces, unit
+ * cells as wireframe boxes and text boxes on the HUD.
+ */
+class Primitives {
+    /**
+     * @param {Api} api
+     */
+    constructor(api) {
+        this.api = api;
+        this.group = new THREE.Group();
+        this.group.name = "Primitives";
+        this.api.scene.add(this.group);
+        this.textBoxes = [];
+    }
+
+    /**
+     * Remove everything drawn and free the resources used
+     */
+    clear() {
+        this.group.traverse(o => {
+            o.geometry?.dispose();
+            o.material?.dispose();
+        });
+        this.group.clear();
+        this.textBoxes.forEach(s => {
+            this.api.hud.scene.remove(s);
+            disposeTextSprite(s);
+        });
+        this.textBoxes = [];
+    }
+
+    /**
+     * Draw the objects of the visible sections
+     */
+    redraw() {
+        this.clear();
+        for (const section of this.api.visibleSections()) {
+            for (const primitive of section.primitives) {
+                if (primitive.type === "textbox") {
+                    const sprite = createTextBox(primitive);
+                    this.textBoxes.push(sprite);
+                    this.api.hud.scene.add(sprite);
+                    continue;
+                }
+                const object = createPrimitive(primitive, section);
+                if (object !== undefined) {
+                    this.group.add(object);
+                }
+            }
+            if (section.cell !== undefined) {
+                const box = createCellBox(section.cell);
+                if (box !== undefined) {
+                    this.group.add(box);
+                }
+            }
+        }
+    }
+}
+
+export {Primitives};
@@ -0,0 +1,202 @@
+import * as THREE from "three";
+import {getAtomConstants, elementSymbol} from "./constants.js";
+
+// Conversion of a dipole moment from e·Å to debye
+const debyePerElectronAngstrom = 4.80320;
+
+/**
+ * Find the eigenvalues and eigenvectors of a symmetric 3×3 matrix, with
+ * the Jacobi eigenvalue algorithm
+ * @param {number[][]} matrix Symmetric matrix, as rows
+ * @returns {{values: number[], vectors: THREE.Vector3[]}} Eigenvalues in
+ * increasing order, with their (normalized) eigenvectors
+ */
+function symmetricEigen(matrix) {
+    const a = matrix.map(row=>[...row]);
+    // Columns are the eigenvectors
+    const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    for (let sweep=0; sweep<50; sweep++) {
+        const off = a[0][1] ** 2 + a[0][2] ** 2 + a[1][2] ** 2;
+        if (off < 1e-30 * (1 + a[0][0] ** 2 + a[1][1] ** 2 + a[2][2] ** 2)) {
+            break;
+        }
+        for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+            if (a[p][q] === 0) {
+                continue;
+            }
+            // Rotation zeroing a[p][q]
+            const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+            const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta ** 2 + 1));
+            const c = 1 / Math.sqrt(t ** 2 + 1);
+            const s = t * c;
+            for (let k=0; k<3; k++) {
+                const akp = a[k][p];
+                const akq = a[k][q];
+                a[k][p] = c * akp - s * akq;
+                a[k][q] = s * akp + c * akq;
+            }
+            for (let k=0; k<3; k++) {
+                const apk = a[p][k];
+                const aqk = a[q][k];
+                a[p][k] = c * apk - s * aqk;
+                a[q][k] = s * apk + c * aqk;
+            }
+            for (let k=0; k<3; k++) {
+                const vkp = v[k][p];
+                const vkq = v[k][q];
+                v[k][p] = c * vkp - s * vkq;
+                v[k][q] = s * vkp + c * vkq;
+            }
+        }
+    }
+    const order = [0, 1, 2].sort((i, j) => a[i][i] - a[j][j]);
+    return {
+        values: order.map(i=>a[i][i]),
+        vectors: order.map(i=>new THREE.Vector3(v[0][i], v[1][i], v[2][i]))
+    };
+}
+
+/**
+ * Get the chemical formula of a set of atoms, in the Hill order (carbon,
+ * then hydrogen, then the other elements alphabetically, or all elements
+ * alphabetically without carbon)
+ * @param {Map<string, number>} counts Number of atoms of each element
+ * @returns {string} Formula, such as "C2H6O"
+ */
+function hillFormula(counts) {
+    const symbols = [...counts.keys()].sort();
+    if (counts.has("C")) {
+        const rest = symbols.filter(s=>s !== "C" && s !== "H");
+        symbols.splice(0, symbols.length, "C", ...(counts.has("H") ? ["H"] : []), ...rest);
+    }
+    return symbols.map(s => counts.get(s) === 1 ? s : `${s}${counts.get(s)}`).join("");
+}
+
+/**
+ * Calculate the principal moments and axes of inertia of atoms
+ * @param {{}[]} atoms
+ * @param {THREE.Vector3} centre Centre of mass
+ * @returns {{values: number[], vectors: THREE.Vector3[]}} Moments (amu·Å²)
+ * in increasing order, with their axes
+ */
+function principalMoments(atoms, centre) {
+    const tensor = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const r = new THREE.Vector3();
+    for (const atom of atoms) {
+        const m = getAtomConstants(atom.symbol).mass;
+        r.subVectors(atom.position, centre);
+        const p = r.toArray();
+        const r2 = r.lengthSq();
+        for (let i=0; i<3; i++) {
+            for (let j=0; j<3; j++) {
+                tensor[i][j] += m * ((i === j ? r2 : 0) - p[i] * p[j]);
+            }
+        }
+    }
+    return symmetricEigen(tensor);
+}
+
+/**
+ * Calculate the properties of a set of atoms, as plain values (so that
+ * they can be saved as JSON). The dipole moment is only calculated if
+ * atoms have charges, and is relative to the centre of mass.
+ * @param {{}[]} atoms
+ * @param {string} chargeAttribute Atom attribute holding the charges
+ * @returns {{}} Properties: atomCount, formula, elementCounts, mass (amu),
+ * centreOfMass (Å), principalMoments (amu·Å²), principalAxes,
+ * boundingBox ({min, max, size} in Å), and if there are charges, charge
+ * (e) and dipole ({vector, magnitude} in debye)
+ */
+function computeProperties(atoms, chargeAttribute="charge") {
+    const counts = new Map();
+    let mass = 0;
+    const weighted = new THREE.Vector3();
+    const centroid = new THREE.Vector3();
+    const box = new THREE.Box3();
+    for (const atom of atoms) {
+        // Atoms can be labelled, such as "C1"
+        const element = elementSymbol(atom.symbol) ?? atom.symbol;
+        counts.set(element, (counts.get(element) ?? 0) + 1);
+        const m = getAtomConstants(atom.symbol).mass;
+        mass += m;
+        weighted.addScaledVector(atom.position, m);
+        centroid.add(atom.position);
+        box.expandByPoint(atom.position);
+    }
+    // Without masses (such as only dummy atoms), use the geometric centre
+    const centre = mass > 0 ? weighted.divideScalar(mass) :
+        centroid.divideScalar(Math.max(atoms.length, 1));
+    const inertia = principalMoments(atoms, centre);
+    const round = v => Number(v.toPrecision(10));
+
+    const properties = {
+        atomCount: atoms.length,
+        formula: hillFormula(counts),
+        elementCounts: Object.fromEntries([...counts].sort(([a], [b]) => a.localeCompare(b))),
+        mass: round(mass),
+        centreOfMass: centre.toArray().map(round),
+        principalMoments: inertia.values.map(round),
+        principalAxes: inertia.vectors.map(v=>v.toArray().map(round)),
+        boundingBox: atoms.length === 0 ? undefined : {
+            min: box.min.toArray().map(round),
+            max: box.max.toArray().map(round),
+            size: box.getSize(new THREE.Vector3()).toArray().map(round)
+        }
+    };
+
+    const charged = atoms.filter(a=>!isNaN(parseFloat(a.attributes.get(chargeAttribute))));
+    if (charged.length > 0) {
+        let charge = 0;
+        const dipole = new THREE.Vector3();
+        const r = new THREE.Vector3();
+        for (const atom of charged) {
+            const q = parseFloat(atom.attributes.get(chargeAttribute));
+            charge += q;
+            dipole.addScaledVector(r.subVectors(atom.position, centre), q);
+        }
+        dipole.multiplyScalar(debyePerElectronAngstrom);
+        properties.charge = round(charge);
+        properties.dipole = {
+            vector: dipole.toArray().map(round),
+            magnitude: round(dipole.length())
+        };
+    }
+    return properties;
+}
+
+/**
+ * Write properties as CSV, with one row per value (vectors are split
+ * into their components)
+ * @param {{}} properties As returned by computeProperties()
+ * @returns {string}
+ */
+function propertiesToCSV(properties) {
+    const units = {
+        mass: "amu",
+        centreOfMass: "Å",
+        principalMoments: "amu·Å²",
+        boundingBox: "Å",
+        charge: "e",
+        dipole: "D"
+    };
+    const lines = ["property,value,unit"];
+    const add = (name, value, unit) => {
+        if (value === undefined) {
+            return;
+        }
+        if (typeof value === "object") {
+            const entries = Array.isArray(value) ? value.map((v, i) => [i + 1, v]) :
+                Object.entries(value);
+            entries.forEach(([key, v]) => add(`${name}.${key}`, v, unit));
+        } else {
+            const text = `${value}`;
+            lines.push(`${name},${/[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text},${unit ?? ""}`);
+        }
+    };
+    for (const [name, value] of Object.entries(properties)) {
+        add(name, value, units[name]);
+    }
+    return lines.join("\n");
+}
+
+export {computeProperties, propertiesToCSV, principalMoments, symmetricEigen};
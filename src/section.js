@@ -3,7 +3,87 @@ class Section {
         this.atoms = atoms;
         this.bonds = bonds;
         this.comment = comment;
+        // Properties of the whole section (such as the energy, from
+        // extended XYZ files)
+        this.attributes = new Map();
+        // Corresponds to the AUTOMATIC flag of the bond block, if set
+        // bonds are perceived from the atom positions when loading
+        this.automaticBonds = true;
+        // Vibrational normal modes, each with a frequency, intensities
+        // and one displacement vector per atom
+        this.vibrations = [];
+        // Volumetric data (such as orbitals or densities), each with an
+        // origin, three axis step vectors, grid dimensions and values
+        this.volumes = [];
+        // Gaussian basis set shells and molecular orbitals (from Molden
+        // files), used to evaluate orbitals on a grid
+        this.basis = [];
+        this.orbitals = [];
+        // Graphical objects annotating the structure (dipoles, vectors,
+        // triangles, spheres, surfaces and text boxes)
+        this.primitives = [];
+        // Unit cell, with an origin and three cell vectors, if given
+        this.cell = undefined;
+        // Blocks kept as they were read (such as grids and unknown blocks),
+        // each with its tag and lines, so that they are saved again
+        this.extraBlocks = [];
+    }
+
+    /**
+     * Add a new atom to the end of the section
+     * @param {string} symbol Atom label
+     * @param {Vector3} position
+     * @param {Map} attributes Additional attributes, as in the <ATOM> block
+     * @returns {{}} The new atom
+     */
+    addAtom(symbol, position, attributes = new Map()) {
+        const atom = {
+            sectionIdx: this.atoms.length + 1, // Keep 1-indexed convention?
+            symbol: symbol,
+            position: position,
+            attributes: attributes,
+            section: this
+        };
+        this.atoms.push(atom);
+        return atom;
+    }
+
+    /**
+     * Remove atoms from the section, along with their bonds and their
+     * vibrational displacements. The remaining atoms are renumbered.
+     * @param {{}[]} atoms Atoms to remove
+     * @returns {{bonds: {}[], displacements: Vector3[][]}} The removed bonds,
+     * and the removed displacements of each vibration
+     */
+    removeAtoms(atoms) {
+        const removed = new Set(atoms);
+        const keep = this.atoms.map(a=>!removed.has(a));
+
+        const bonds = this.bonds.filter(
+            b=>removed.has(b.atom1) || removed.has(b.atom2)
+        );
+        this.bonds = this.bonds.filter(
+            b=>!removed.has(b.atom1) && !removed.has(b.atom2)
+        );
+        const displacements = this.vibrations.map(v => {
+            const d = v.displacements.filter((_, i) => !keep[i]);
+            v.displacements = v.displacements.filter((_, i) => keep[i] ?? true);
+            return d;
+        });
+
+        this.atoms = this.atoms.filter((_, i) => keep[i]);
+        this.renumberAtoms();
+
+        return {bonds: bonds, displacements: displacements};
+    }
+
+    /**
+     * Update the (1-indexed) sectionIdx of each atom to match its
+     * position in the list, as used in the <BOND> block
+     */
+    renumberAtoms() {
+        this.atoms.forEach((a, i) => a.sectionIdx = i + 1);
     }
 }
 
-export {Section};
\ No newline at end of file
+export {Section};
@@ -0,0 +1,431 @@
+import * as THREE from "three";
+import {measure, formatMeasurement} from "./measurements.js";
+import {elementSymbol} from "./constants.js";
+
+/**
+ * Keeps track of selected atoms and bonds, and handles picking them
+ * with the mouse:
+ * click to select, shift-click to add or remove from the selection,
+ * ctrl-drag to select within a box and alt-drag to select within a lasso
+ * (hold shift as well to add to the current selection).
+ * In measurement mode, clicking atoms adds them to the selection.
+ */
+class Selection {
+    /**
+     * @param {Api} api
+     */
+    constructor(api) {
+        this.api = api;
+        this.atoms = new Set();
+        this.bonds = new Set();
+        this.raycaster = new THREE.Raycaster();
+        // Listeners called with the selection whenever it changes
+        this.listeners = [];
+    }
+
+    /**
+     * Check if anything is selected
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.atoms.size === 0 && this.bonds.size === 0;
+    }
+
+    /**
+     * Select atoms and/or bonds
+     * @param {{}[]} items Atoms and bonds to select
+     * @param {boolean} add Add to the current selection instead of replacing it
+     */
+    select(items, add=false) {
+        if (!add) {
+            this.atoms.clear();
+            this.bonds.clear();
+        }
+        for (const item of items) {
+            if (isBond(item)) {
+                this.bonds.add(item);
+            } else {
+                this.atoms.add(item);
+            }
+        }
+        this.changed();
+    }
+
+    /**
+     * Remove atoms and/or bonds from the selection
+     * @param {{}[]} items
+     */
+    deselect(items) {
+        for (const item of items) {
+            this.atoms.delete(item);
+            this.bonds.delete(item);
+        }
+        this.changed();
+    }
+
+    /**
+     * Add an atom or bond to the selection if not selected, otherwise remove it
+     * @param {{}} item
+     */
+    toggle(item) {
+        if (this.atoms.has(item) || this.bonds.has(item)) {
+            this.deselect([item]);
+        } else {
+            this.select([item], true);
+        }
+    }
+
+    clear() {
+        this.select([]);
+    }
+
+    /**
+     * Select all visible atoms
+     */
+    selectAll() {
+        this.select(this.api.visibleSections().flatMap(s=>s.atoms));
+    }
+
+    /**
+     * Select all visible atoms of an element, including labelled atoms
+     * (such as "C1" for carbon)
+     * @param {string} symbol Element symbol (or atom label)
+     * @param {boolean} add Add to the current selection instead of replacing it
+     */
+    selectElement(symbol, add=false) {
+        // Labels that aren't elements, such as dummy atoms, are compared as they are
+        const element = s => elementSymbol(s) ?? s.trim().toLowerCase();
+        symbol = element(symbol);
+        this.select(
+            this.api.visibleSections().flatMap(s=>s.atoms).filter(
+                a=>element(a.symbol) === symbol
+            ),
+            add
+        );
+    }
+
+    /**
+     * Select all atoms of a section
+     * @param {Section} section Section to select, defaults to the
+     * sections of the currently selected atoms
+     * @param {boolean} add Add to the current selection instead of replacing it
+     */
+    selectSection(section, add=false) {
+        const sections = section !== undefined ? [section] :
+            new Set([...this.atoms].map(a=>a.section));
+        this.select([...sections].flatMap(s=>s.atoms), add);
+    }
+
+    /**
+     * Select all visible atoms with an attribute, such as the residue
+     * name or chain read from PDB files
+     * @param {string} key Name of the attribute
+     * @param {string} value Value of the attribute
+     * @param {boolean} add Add to the current selection instead of replacing it
+     */
+    selectByAttribute(key, value, add=false) {
+        value = value.trim();
+        this.select(
+            this.api.visibleSections().flatMap(s=>s.atoms).filter(
+                a=>a.attributes.get(key) === value
+            ),
+            add
+        );
+    }
+
+    /**
+     * Extend the selection to the atoms sharing the values of some
+     * attributes (and the section) with a selected atom
+     * @param {string[]} keys Names of the attributes
+     */
+    expandByAttributes(keys) {
+        const groupKey = a => keys.map(k=>a.attributes.get(k)).join("\u0000");
+        // Values of the attributes of the selected atoms, by section
+        const groups = new Map();
+        for (const atom of this.atoms) {
+            if (keys.every(k=>atom.attributes.has(k))) {
+                if (!groups.has(atom.section)) {
+                    groups.set(atom.section, new Set());
+                }
+                groups.get(atom.section).add(groupKey(atom));
+            }
+        }
+        this.select(
+            [...groups].flatMap(([section, keySet]) => section.atoms.filter(
+                a=>keys.every(k=>a.attributes.has(k)) && keySet.has(groupKey(a))
+            )),
+            true
+        );
+    }
+
+    /**
+     * Select the whole residues of the selected atoms
+     */
+    selectResidue() {
+        this.expandByAttributes(["chain", "resid"]);
+    }
+
+    /**
+     * Select the whole chains of the selected atoms
+     */
+    selectChain() {
+        this.expandByAttributes(["chain"]);
+    }
+
+    /**
+     * Find the atom or bond under a point on the screen
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{}} The closest atom or bond, or undefined
+     */
+    pick(clientX, clientY) {
+        const view = this.api.view;
+        const rect = this.api.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.api.camera);
+
+        const meshes = view.pickableMeshes();
+
+        // Instance matrices might have changed since the bounds were computed
+        meshes.forEach(m=>m.computeBoundingSphere());
+
+        const intersection = this.raycaster.intersectObjects(meshes, false)[0];
+        if (intersection === undefined) {
+            return undefined;
+        }
+        return view.instanceItem(intersection.object, intersection.instanceId);
+    }
+
+    /**
+     * Project the visible atoms onto the screen
+     * @returns {{atom: {}, x: number, y: number}[]} Atoms in front of the
+     * camera, with their client coordinates
+     */
+    projectAtoms() {
+        const rect = this.api.renderer.domElement.getBoundingClientRect();
+        const v = new THREE.Vector3();
+        const projected = [];
+        for (const atom of this.api.visibleSections().flatMap(s=>s.atoms)) {
+            v.copy(atom.position).project(this.api.camera);
+            if (v.z > 1) {
+                continue;
+            }
+            projected.push({
+                atom: atom,
+                x: rect.left + (v.x + 1) / 2 * rect.width,
+                y: rect.top + (1 - v.y) / 2 * rect.height
+            });
+        }
+        return projected;
+    }
+
+    /**
+     * Select atoms within a rectangle on the screen
+     * @param {number} x1 Client coordinates of one corner
+     * @param {number} y1
+     * @param {number} x2 Client coordinates of the opposite corner
+     * @param {number} y2
+     * @param {boolean} add Add to the current selection instead of replacing it
+     */
+    selectInRect(x1, y1, x2, y2, add=false) {
+        const [minX, maxX] = [Math.min(x1, x2), Math.max(x1, x2)];
+        const [minY, maxY] = [Math.min(y1, y2), Math.max(y1, y2)];
+        this.select(this.projectAtoms().filter(p =>
+            p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY
+        ).map(p=>p.atom), add);
+    }
+
+    /**
+     * Select atoms within a polygon (lasso) on the screen
+     * @param {{x: number, y: number}[]} polygon Client coordinates
+     * @param {boolean} add Add to the current selection instead of replacing it
+     */
+    selectInPolygon(polygon, add=false) {
+        this.select(this.projectAtoms().filter(
+            p=>insidePolygon(p, polygon)
+        ).map(p=>p.atom), add);
+    }
+
+    /**
+     * Called whenever the selection changes
+     */
+    changed() {
+        this.api.view.updateHighlight();
+        this.updateStatus();
+        this.listeners.forEach(f=>f(this));
+        this.api.render();
+    }
+
+    /**
+     * Show what is selected in the status bar
+     */
+    updateStatus() {
+        const status = document.getElementById("statusBar");
+        if (status === null) {
+            return;
+        }
+        status.style.display = this.isEmpty() ? "none" : "block";
+        status.innerText = this.describe();
+    }
+
+    /**
+     * Describe the selection in words
+     * @returns {string}
+     */
+    describe() {
+        const atoms = [...this.atoms];
+        const bonds = [...this.bonds];
+        const lines = [];
+        if (atoms.length === 1) {
+            const a = atoms[0];
+            const p = a.position.toArray().map(v=>v.toFixed(4)).join(", ");
+            lines.push(`${atomName(a)} at (${p})`);
+            for (const [key, value] of a.attributes) {
+                lines.push(`${key} = ${value}`);
+            }
+        } else if (atoms.length > 1) {
+            const counts = new Map();
+            atoms.forEach(a=>counts.set(a.symbol, (counts.get(a.symbol) ?? 0) + 1));
+            const summary = [...counts].map(([s, n]) => `${n} ${s}`).join(", ");
+            lines.push(`${atoms.length} atoms selected (${summary})`);
+            if (atoms.length <= 10) {
+                lines.push(atoms.map(atomName).join(" "));
+            }
+        }
+        if (atoms.length >= 2 && atoms.length <= 4) {
+            const m = measure(atoms);
+            lines.push(`${m.type[0].toUpperCase() + m.type.slice(1)}: ${formatMeasurement(m)}`);
+        }
+        if (bonds.length === 1) {
+            const b = bonds[0];
+            const length = b.atom1.position.distanceTo(b.atom2.position);
+            lines.push(`Bond ${atomName(b.atom1)}-${atomName(b.atom2)}, order ${b.order}, ${length.toFixed(4)} Å`);
+        } else if (bonds.length > 1) {
+            lines.push(`${bonds.length} bonds selected`);
+        }
+        return lines.join("\n");
+    }
+
+    /**
+     * Listen to pointer events on an element to select things
+     * @param {HTMLElement} element Element containing the canvas
+     */
+    listen(element) {
+        const dragThreshold = 4;
+        let start;
+        let mode;
+        let lasso = [];
+
+        const overlay = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        overlay.id = "selectionOverlay";
+        const shape = document.createElementNS("http://www.w3.org/2000/svg", "polygon");
+        overlay.appendChild(shape);
+        element.appendChild(overlay);
+
+        const drawShape = points => {
+            const rect = overlay.getBoundingClientRect();
+            shape.setAttribute("points", points.map(
+                p=>`${p.x - rect.left},${p.y - rect.top}`
+            ).join(" "));
+        };
+
+        // Use the capture phase so that the camera controls can be
+        // disabled before they get the event
+        element.addEventListener("pointerdown", event => {
+            if (event.button !== 0 || this.api.editor.gizmoActive()) {
+                start = undefined;
+                return;
+            }
+            start = {x: event.clientX, y: event.clientY};
+            mode = event.ctrlKey ? "box" : event.altKey ? "lasso" : "click";
+            if (mode !== "click") {
+                this.api.controls.enabled = false;
+                lasso = [start];
+                overlay.style.display = "block";
+                drawShape(lasso);
+            }
+        }, {capture: true});
+
+        element.addEventListener("pointermove", event => {
+            if (start === undefined || mode === "click") {
+                return;
+            }
+            const p = {x: event.clientX, y: event.clientY};
+            if (mode === "box") {
+                drawShape([start, {x: p.x, y: start.y}, p, {x: start.x, y: p.y}]);
+            } else {
+                lasso.push(p);
+                drawShape(lasso);
+            }
+        });
+
+        element.addEventListener("pointerup", event => {
+            if (start === undefined) {
+                return;
+            }
+            const moved = Math.hypot(
+                event.clientX - start.x, event.clientY - start.y
+            ) > dragThreshold;
+
+            if (mode === "click" && !moved) {
+                const item = this.pick(event.clientX, event.clientY);
+                if (this.api.editor.click(event, item)) {
+                    start = undefined;
+                    return;
+                }
+                // In measurement mode, clicked atoms are added one by one
+                if (event.shiftKey || (this.api.measurementMode && item !== undefined)) {
+                    if (item !== undefined) {
+                        this.toggle(item);
+                    }
+                } else {
+                    this.select(item === undefined ? [] : [item]);
+                }
+            } else if (mode === "box" && moved) {
+                this.selectInRect(
+                    start.x, start.y, event.clientX, event.clientY, event.shiftKey
+                );
+            } else if (mode === "lasso" && moved) {
+                this.selectInPolygon(lasso, event.shiftKey);
+            }
+
+            start = undefined;
+            overlay.style.display = "none";
+            this.api.controls.enabled = true;
+        });
+    }
+}
+
+function isBond(item) {
+    return item.atom1 !== undefined && item.atom2 !== undefined;
+}
+
+/**
+ * Name an atom by its label and index in the section, such as "C12"
+ * @param {{}} atom
+ * @returns {string}
+ */
+function atomName(atom) {
+    return `${atom.symbol}${atom.sectionIdx}`;
+}
+
+// Even-odd rule point in polygon test
+function insidePolygon(p, polygon) {
+    let inside = false;
+    for (let i=0, j=polygon.length-1; i<polygon.length; j=i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if (
+            (a.y > p.y) !== (b.y > p.y) &&
+            p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x
+        ) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+export {Selection, atomName};
@@ -0,0 +1,592 @@
+import * as THREE from "three";
+import {getAtomConstants, elementSymbol} from "./constants.js";
+import {principalMoments} from "./properties.js";
+import {createTextSprite} from "./labels.js";
+
+// Highest order of rotation axes looked for
+const maxAxisOrder = 8;
+
+// Directions closer than this are the same axis (cosine of the angle)
+const parallelCosine = Math.cos(THREE.MathUtils.degToRad(3));
+
+// Golden ratio, for the icosahedral groups
+const phi = (1 + Math.sqrt(5)) / 2;
+
+/**
+ * Rotation by 2π/n around an axis
+ * @param {THREE.Vector3} axis Unit vector
+ * @param {number} n
+ * @returns {THREE.Matrix3}
+ */
+function rotation(axis, n) {
+    return new THREE.Matrix3().setFromMatrix4(
+        new THREE.Matrix4().makeRotationAxis(axis, 2 * Math.PI / n)
+    );
+}
+
+/**
+ * Reflection through the plane with a normal
+ * @param {THREE.Vector3} normal Unit vector
+ * @returns {THREE.Matrix3}
+ */
+function reflection(normal) {
+    const [x, y, z] = normal.toArray();
+    return new THREE.Matrix3().set(
+        1 - 2 * x * x, -2 * x * y, -2 * x * z,
+        -2 * x * y, 1 - 2 * y * y, -2 * y * z,
+        -2 * x * z, -2 * y * z, 1 - 2 * z * z
+    );
+}
+
+/**
+ * Improper rotation by 2π/n around an axis (rotation followed by
+ * reflection through the plane perpendicular to the axis)
+ * @param {THREE.Vector3} axis Unit vector
+ * @param {number} n
+ * @returns {THREE.Matrix3}
+ */
+function improperRotation(axis, n) {
+    return reflection(axis).multiply(rotation(axis, n));
+}
+
+const inversion = new THREE.Matrix3().set(-1, 0, 0, 0, -1, 0, 0, 0, -1);
+
+/**
+ * Find, for each atom, the atom of the same element that a symmetry
+ * operation moves it onto
+ * @param {{symbol: string, position: THREE.Vector3}[]} atoms Atoms, with
+ * positions relative to the centre of mass
+ * @param {THREE.Matrix3} operation
+ * @param {number} tolerance Largest distance between an atom moved by the
+ * operation and the atom it is moved onto (Å)
+ * @returns {number[]} Index of the image of each atom, or undefined if
+ * the operation is not a symmetry of the atoms
+ */
+function imageAtoms(atoms, operation, tolerance) {
+    const images = [];
+    const p = new THREE.Vector3();
+    for (const atom of atoms) {
+        p.copy(atom.position).applyMatrix3(operation);
+        let best;
+        let bestDistance = tolerance;
+        atoms.forEach((other, j) => {
+            if (other.symbol !== atom.symbol) {
+                return;
+            }
+            const d = other.position.distanceTo(p);
+            if (d <= bestDistance) {
+                best = j;
+                bestDistance = d;
+            }
+        });
+        if (best === undefined) {
+            return undefined;
+        }
+        images.push(best);
+    }
+    return images;
+}
+
+/**
+ * Add a direction to a list of directions, unless it is parallel to one
+ * already there (or too short to have a direction)
+ * @param {THREE.Vector3[]} directions Unit vectors
+ * @param {THREE.Vector3} v
+ * @returns {boolean} Whether it was added
+ */
+function addDirection(directions, v) {
+    const length = v.length();
+    if (length < 1e-3) {
+        return false;
+    }
+    const u = v.clone().divideScalar(length);
+    if (directions.some(d=>Math.abs(d.dot(u)) > parallelCosine)) {
+        return false;
+    }
+    directions.push(u);
+    return true;
+}
+
+/**
+ * Refine the direction of a rotation axis or of the normal of a mirror
+ * plane from the atoms that the operation moves onto each other, since
+ * directions found from single atoms can be a few degrees off in noisy
+ * structures
+ * @param {{symbol: string, position: THREE.Vector3}[]} atoms
+ * @param {THREE.Vector3} direction Approximate direction
+ * @param {number} n Order of the rotation, or 0 for a mirror plane
+ * @param {number} tolerance
+ * @returns {THREE.Vector3} Refined direction, or undefined if the
+ * operation is not a symmetry of the atoms
+ */
+function refineDirection(atoms, direction, n, tolerance) {
+    const operation = n === 0 ? reflection(direction) : rotation(direction, n);
+    const isSymmetry = d => imageAtoms(
+        atoms, n === 0 ? reflection(d) : rotation(d, n), tolerance
+    ) !== undefined;
+    // Find the images with a larger tolerance, then check the refined
+    // direction with the actual tolerance
+    const images = imageAtoms(atoms, operation, 2 * tolerance);
+    if (images === undefined) {
+        return undefined;
+    }
+    const sum = new THREE.Vector3();
+    const v = new THREE.Vector3();
+    images.forEach((j, i) => {
+        const p = atoms[i].position;
+        const q = atoms[j].position;
+        if (n === 0) {
+            // Atoms and their mirror images differ along the normal
+            v.subVectors(p, q);
+        } else if (n === 2) {
+            // The midpoints of atoms and their images are on the axis
+            v.addVectors(p, q);
+        } else {
+            v.crossVectors(p, q);
+        }
+        sum.addScaledVector(v, Math.sign(v.dot(direction)));
+    });
+    const refined = sum.length() > 1e-6 ? sum.normalize() : direction;
+    if (isSymmetry(refined)) {
+        return refined;
+    }
+    return isSymmetry(direction) ? direction : undefined;
+}
+
+/**
+ * Group atoms that could be moved onto each other by symmetry operations:
+ * atoms of the same element at the same distance from the centre of mass
+ * @param {{symbol: string, position: THREE.Vector3}[]} atoms
+ * @param {number} tolerance
+ * @returns {{}[][]} Groups of atoms
+ */
+function equivalentAtomSets(atoms, tolerance) {
+    const sorted = [...atoms].sort((a, b) =>
+        a.symbol.localeCompare(b.symbol) || a.position.length() - b.position.length()
+    );
+    const sets = [];
+    let last;
+    for (const atom of sorted) {
+        if (
+            last === undefined || last.symbol !== atom.symbol ||
+            atom.position.length() - last.position.length() > tolerance
+        ) {
+            sets.push([]);
+        }
+        sets[sets.length - 1].push(atom);
+        last = atom;
+    }
+    return sets;
+}
+
+/**
+ * Get the directions that could be rotation axes or mirror plane normals:
+ * the principal axes of inertia, the directions of atoms, of the midpoints
+ * and differences of equivalent atoms, and the normals of the planes
+ * through equivalent atoms and their nearest equivalent neighbours (for
+ * axes through the faces of polyhedra)
+ * @param {{symbol: string, position: THREE.Vector3}[]} atoms
+ * @param {THREE.Vector3[]} principalAxes
+ * @param {number} tolerance
+ * @returns {{axes: THREE.Vector3[], normals: THREE.Vector3[]}}
+ */
+function candidateDirections(atoms, principalAxes, tolerance) {
+    const axes = [];
+    principalAxes.forEach(a=>addDirection(axes, a));
+    for (const atom of atoms) {
+        if (atom.position.length() > tolerance) {
+            addDirection(axes, atom.position);
+        }
+    }
+    const normals = [...axes];
+    const v = new THREE.Vector3();
+    for (const set of equivalentAtomSets(atoms, tolerance)) {
+        // Pairs of large sets would take too long, and are only
+        // needed for the smaller sets anyway
+        if (set.length > 100) {
+            continue;
+        }
+        let nearest = Infinity;
+        set.forEach((a, i) => set.slice(i + 1).forEach(b => {
+            addDirection(axes, v.addVectors(a.position, b.position));
+            addDirection(axes, v.crossVectors(a.position, b.position));
+            addDirection(normals, v.subVectors(a.position, b.position));
+            nearest = Math.min(nearest, a.position.distanceTo(b.position));
+        }));
+        for (const a of set) {
+            const neighbours = set.filter(b =>
+                b !== a && a.position.distanceTo(b.position) < 1.2 * nearest + tolerance
+            );
+            neighbours.forEach((b, i) => neighbours.slice(i + 1).forEach(c => {
+                addDirection(axes, v.crossVectors(
+                    b.position.clone().sub(a.position),
+                    c.position.clone().sub(a.position)
+                ));
+            }));
+        }
+    }
+    normals.push(...axes.filter(a=>!normals.some(n=>Math.abs(n.dot(a)) > parallelCosine)));
+    return {axes, normals};
+}
+
+/**
+ * Find the point group of a set of atoms: its Schoenflies symbol, and the
+ * symmetry elements (rotation axes, mirror planes and inversion centre).
+ * @param {{symbol: string, position: THREE.Vector3}[]} atoms
+ * @param {number} tolerance Largest distance between an atom moved by a
+ * symmetry operation and the atom it is moved onto (Å)
+ * @returns {{}} The point group (such as "C2v", "D∞h" or "Ih"), the
+ * centre of mass, the rotation axes ({axis, order}, with the highest order
+ * first), the normals of the mirror planes, whether there is an inversion
+ * centre, and the rotation (frame) from the coordinates relative to the
+ * centre of mass to the standard orientation of the point group
+ */
+function findPointGroup(atoms, tolerance=0.1) {
+    let mass = 0;
+    const centre = new THREE.Vector3();
+    for (const atom of atoms) {
+        const m = getAtomConstants(atom.symbol).mass || 1;
+        mass += m;
+        centre.addScaledVector(atom.position, m);
+    }
+    centre.divideScalar(Math.max(mass, 1));
+    // Compare elements, since atoms can be labelled, such as "H1" and "H2"
+    const centred = atoms.map(a => ({
+        symbol: elementSymbol(a.symbol) ?? a.symbol,
+        position: a.position.clone().sub(centre)
+    }));
+    const inertia = principalMoments(centred, new THREE.Vector3());
+    const isSymmetry = operation => imageAtoms(centred, operation, tolerance) !== undefined;
+
+    const result = {
+        pointGroup: "C1",
+        centre: centre,
+        axes: [],
+        planes: [],
+        inversion: isSymmetry(inversion),
+        frame: undefined
+    };
+
+    // Single atoms and linear molecules
+    if (atoms.length === 1) {
+        result.pointGroup = "Kh";
+        result.frame = new THREE.Matrix3();
+        return result;
+    }
+    const linearAxis = inertia.vectors[0];
+    const distanceToAxis = p => p.clone().sub(linearAxis.clone().multiplyScalar(p.dot(linearAxis))).length();
+    if (centred.every(a=>distanceToAxis(a.position) < tolerance)) {
+        result.pointGroup = result.inversion ? "D∞h" : "C∞v";
+        result.axes.push({axis: linearAxis, order: Infinity});
+        if (result.inversion) {
+            result.planes.push(linearAxis);
+        }
+        result.frame = frameFromAxes(linearAxis);
+        return result;
+    }
+
+    // Rotation axes, with the highest order of each
+    const {axes: candidates, normals} = candidateDirections(centred, inertia.vectors, tolerance);
+    const found = [];
+    for (const candidate of candidates) {
+        for (let n=maxAxisOrder; n>=2; n--) {
+            const axis = refineDirection(centred, candidate, n, tolerance);
+            if (axis !== undefined) {
+                if (addDirection(found, axis)) {
+                    result.axes.push({
+                        axis: axis,
+                        order: n,
+                        improper: isSymmetry(improperRotation(axis, 2 * n))
+                    });
+                }
+                break;
+            }
+        }
+    }
+    result.axes.sort((a, b) => b.order - a.order || b.improper - a.improper);
+    const planes = [];
+    for (const candidate of normals) {
+        const normal = refineDirection(centred, candidate, 0, tolerance);
+        if (normal !== undefined) {
+            addDirection(planes, normal);
+        }
+    }
+    result.planes = planes;
+
+    const axes = result.axes;
+    const perpendicular = (u, v) => Math.abs(u.dot(v)) < 1 - parallelCosine + 0.05;
+    const parallel = (u, v) => Math.abs(u.dot(v)) > parallelCosine;
+
+    // Several axes of order 3 or higher: cubic and icosahedral groups
+    const highOrder = axes.filter(a=>a.order >= 3);
+    if (highOrder.length > 1) {
+        if (highOrder.some(a=>a.order === 5)) {
+            result.pointGroup = result.inversion ? "Ih" : "I";
+        } else if (highOrder.some(a=>a.order === 4)) {
+            result.pointGroup = result.inversion ? "Oh" : "O";
+        } else if (result.inversion) {
+            result.pointGroup = "Th";
+        } else {
+            result.pointGroup = planes.length > 0 ? "Td" : "T";
+        }
+        result.frame = cubicFrame(result, isSymmetry);
+        return result;
+    }
+
+    if (axes.length === 0) {
+        if (planes.length > 0) {
+            result.pointGroup = "Cs";
+            result.frame = frameFromAxes(planes[0], centred);
+        } else {
+            result.pointGroup = result.inversion ? "Ci" : "C1";
+            result.frame = frameFromAxes(inertia.vectors[2], undefined, inertia.vectors[0]);
+        }
+        return result;
+    }
+
+    // The principal axis has the highest order (and an improper axis of
+    // twice its order, if any, to find the principal axis of D2d)
+    const principal = axes[0];
+    const n = principal.order;
+    const z = principal.axis;
+    const perpendicularAxis = axes.find(a=>a !== principal && perpendicular(a.axis, z));
+    const horizontalPlane = planes.some(p=>parallel(p, z));
+    const verticalPlane = planes.find(p=>perpendicular(p, z));
+    if (perpendicularAxis !== undefined) {
+        const suffix = horizontalPlane ? "h" : verticalPlane !== undefined ? "d" : "";
+        result.pointGroup = `D${n}${suffix}`;
+        result.frame = frameFromAxes(z, undefined, perpendicularAxis.axis);
+    } else if (horizontalPlane) {
+        result.pointGroup = `C${n}h`;
+        result.frame = frameFromAxes(z, centred);
+    } else if (verticalPlane !== undefined) {
+        result.pointGroup = `C${n}v`;
+        // The standard orientation has a mirror plane in the xz plane
+        result.frame = frameFromAxes(z, undefined, verticalPlane.clone().cross(z));
+    } else if (principal.improper) {
+        result.pointGroup = `S${2 * n}`;
+        result.frame = frameFromAxes(z, centred);
+    } else {
+        result.pointGroup = `C${n}`;
+        result.frame = frameFromAxes(z, centred);
+    }
+    return result;
+}
+
+/**
+ * Get the rotation to a frame with a given z axis, and an x axis given or
+ * chosen from the atoms
+ * @param {THREE.Vector3} z
+ * @param {{position: THREE.Vector3}[]} atoms Used to choose the x axis
+ * (towards the first atom off the z axis) if it is not given
+ * @param {THREE.Vector3} x Direction of the x axis (its component along
+ * z is ignored)
+ * @returns {THREE.Matrix3} Rotation to the frame
+ */
+function frameFromAxes(z, atoms, x) {
+    z = z.clone().normalize();
+    const off = p => p.clone().addScaledVector(z, -p.dot(z));
+    if (x === undefined) {
+        x = atoms?.map(a=>off(a.position)).find(p=>p.length() > 0.1);
+    }
+    if (x === undefined || off(x).length() < 1e-6) {
+        // Any direction perpendicular to z
+        x = Math.abs(z.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    }
+    x = off(x).normalize();
+    const y = z.clone().cross(x);
+    return new THREE.Matrix3().set(...x.toArray(), ...y.toArray(), ...z.toArray());
+}
+
+/**
+ * Get the rotation to the standard frame of a cubic or icosahedral group,
+ * with three perpendicular twofold (or fourfold) axes along x, y and z
+ * @param {{}} result Point group found so far
+ * @param {function(THREE.Matrix3): boolean} isSymmetry
+ * @returns {THREE.Matrix3}
+ */
+function cubicFrame(result, isSymmetry) {
+    const order = result.pointGroup.startsWith("O") ? 4 : 2;
+    const axes = result.axes.filter(a=>a.order === order).map(a=>a.axis);
+    const perpendicular = (u, v) => Math.abs(u.dot(v)) < 0.05;
+    for (const x of axes) {
+        for (const y of axes.filter(a=>perpendicular(a, x))) {
+            const z = x.clone().cross(y);
+            if (!axes.some(a=>Math.abs(a.dot(z)) > parallelCosine)) {
+                continue;
+            }
+            let frame = frameFromAxes(z, undefined, x);
+            if (result.pointGroup.startsWith("I")) {
+                // There are two such frames, with the fivefold axes on
+                // different coordinate planes
+                const c5 = new THREE.Vector3(0, 1, phi).normalize();
+                const inverse = frame.clone().transpose();
+                if (!isSymmetry(rotation(c5.applyMatrix3(inverse), 5))) {
+                    frame = frameFromAxes(z, undefined, y);
+                }
+            }
+            return frame;
+        }
+    }
+    return new THREE.Matrix3();
+}
+
+/**
+ * Generate all operations of a point group in its standard orientation
+ * @param {string} pointGroup Schoenflies symbol
+ * @returns {THREE.Matrix3[]} Operations, starting with the identity
+ */
+function groupOperations(pointGroup) {
+    const x = new THREE.Vector3(1, 0, 0);
+    const y = new THREE.Vector3(0, 1, 0);
+    const z = new THREE.Vector3(0, 0, 1);
+    const diagonal = new THREE.Vector3(1, 1, 1).normalize();
+    const generators = [];
+    const match = pointGroup.match(/^([CDS])(\d+)([hvd]?)$/);
+    if (match !== null) {
+        const [, family, order, suffix] = match;
+        const n = parseInt(order);
+        if (family === "S") {
+            generators.push(improperRotation(z, n));
+        } else {
+            generators.push(rotation(z, n));
+            if (family === "D") {
+                generators.push(rotation(x, 2));
+            }
+            if (suffix === "h") {
+                generators.push(reflection(z));
+            } else if (suffix === "v") {
+                generators.push(reflection(y));
+            } else if (suffix === "d") {
+                generators.push(improperRotation(z, 2 * n));
+            }
+        }
+    } else {
+        const cubic = {
+            T: [rotation(z, 2), rotation(x, 2), rotation(diagonal, 3)],
+            O: [rotation(z, 4), rotation(x, 4), rotation(diagonal, 3)],
+            I: [rotation(z, 2), rotation(diagonal, 3), rotation(new THREE.Vector3(0, 1, phi).normalize(), 5)]
+        }[pointGroup[0]];
+        generators.push(...cubic ?? []);
+        if (["Th", "Oh", "Ih", "Ci", "D∞h"].includes(pointGroup)) {
+            generators.push(inversion);
+        } else if (pointGroup === "Td") {
+            generators.push(reflection(new THREE.Vector3(1, -1, 0).normalize()));
+        } else if (pointGroup === "Cs") {
+            generators.push(reflection(z));
+        }
+    }
+
+    // Closure of the generators
+    const key = m => m.elements.map(e=>Math.round(e * 1e6)).join(" ");
+    const operations = [new THREE.Matrix3()];
+    const found = new Set([key(operations[0])]);
+    for (let i=0; i<operations.length && operations.length < 240; i++) {
+        for (const g of generators) {
+            const product = g.clone().multiply(operations[i]);
+            if (!found.has(key(product))) {
+                found.add(key(product));
+                operations.push(product);
+            }
+        }
+    }
+    return operations;
+}
+
+/**
+ * Calculate positions with the exact symmetry of a point group, by
+ * averaging the images of each atom under the operations of the group
+ * @param {{symbol: string, position: THREE.Vector3}[]} atoms
+ * @param {{}} result Point group of the atoms, from findPointGroup()
+ * @param {number} tolerance
+ * @returns {THREE.Vector3[]} New positions of the atoms, in the standard
+ * orientation of the point group (with the centre of mass at the origin)
+ */
+function symmetrizedPositions(atoms, result, tolerance) {
+    const standard = atoms.map(a => ({
+        symbol: elementSymbol(a.symbol) ?? a.symbol,
+        position: a.position.clone().sub(result.centre).applyMatrix3(result.frame)
+    }));
+    if (result.pointGroup === "C∞v" || result.pointGroup === "D∞h") {
+        // Put the atoms on the axis
+        standard.forEach(a=>a.position.set(0, 0, a.position.z));
+    }
+    const operations = groupOperations(result.pointGroup);
+    const positions = standard.map(() => new THREE.Vector3());
+    const p = new THREE.Vector3();
+    for (const operation of operations) {
+        const images = imageAtoms(standard, operation, tolerance);
+        if (images === undefined) {
+            throw new Error(`The atoms don't have the symmetry of the ${result.pointGroup} point group`);
+        }
+        // The inverse of a rotation or reflection is its transpose
+        const inverse = operation.clone().transpose();
+        images.forEach((j, i) => positions[i].add(p.copy(standard[j].position).applyMatrix3(inverse)));
+    }
+    return positions.map(v=>v.divideScalar(operations.length));
+}
+
+// Colors of the rotation axes, by order
+const axisColors = {
+    2: new THREE.Color(0x1F77B4),
+    3: new THREE.Color(0x2CA02C),
+    4: new THREE.Color(0xD62728),
+    5: new THREE.Color(0x9467BD),
+    6: new THREE.Color(0xFF7F0E)
+};
+
+/**
+ * Draw symmetry elements: rotation axes as lines labelled with their
+ * order, mirror planes as translucent discs and the inversion centre
+ * as a small sphere
+ * @param {{}} result Point group, from findPointGroup()
+ * @param {number} size Radius of the drawn elements (Å)
+ * @returns {THREE.Group}
+ */
+function createSymmetryElements(result, size) {
+    const group = new THREE.Group();
+    group.name = "Symmetry elements";
+    group.position.copy(result.centre);
+
+    for (const {axis, order} of result.axes) {
+        const color = axisColors[order] ?? new THREE.Color(0x8C564B);
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([
+                axis.clone().multiplyScalar(-size), axis.clone().multiplyScalar(size)
+            ]),
+            new THREE.LineBasicMaterial({color: color})
+        );
+        group.add(line);
+        const label = createTextSprite(`C${order === Infinity ? "∞" : order}`, {
+            color: `#${color.getHexString()}`,
+            height: 0.03
+        });
+        label.position.copy(axis).multiplyScalar(size);
+        group.add(label);
+    }
+
+    for (const normal of result.planes) {
+        const disc = new THREE.Mesh(
+            new THREE.CircleGeometry(size, 48),
+            new THREE.MeshBasicMaterial({
+                color: 0x1E90FF,
+                opacity: 0.15,
+                transparent: true,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            })
+        );
+        disc.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+        group.add(disc);
+    }
+
+    if (result.inversion) {
+        group.add(new THREE.Mesh(
+            new THREE.SphereGeometry(0.1, 16, 8),
+            new THREE.MeshBasicMaterial({color: 0x000000})
+        ));
+    }
+    return group;
+}
+
+export {findPointGroup, symmetrizedPositions, createSymmetryElements};
@@ -7,6 +7,59 @@ function notify(message, type) {
     });
 }
 
+/**
+ * Parse a color from a string, such as "red", "#FF0000", "0xFF0000" or
+ * comma-separated RGB values between 0 and 1 ("1,0,0").
+ * @param {string} str String to parse
+ * @param {THREE.Color} fallback Returned if the string cannot be parsed
+ * @returns {THREE.Color}
+ */
+function parseColor(str, fallback) {
+    str = str.trim();
+    const rgb = str.split(",").map(v=>parseFloat(v));
+    if (rgb.length === 3 && rgb.every(v=>!isNaN(v))) {
+        return new THREE.Color(...rgb);
+    }
+    if (/^0x[0-9a-f]{6}$/i.test(str)) {
+        return new THREE.Color(parseInt(str, 16));
+    }
+    if (/^[0-9a-f]{6}$/i.test(str)) {
+        str = "#" + str;
+    }
+    const color = new THREE.Color();
+    // Color.setStyle() only warns on unknown strings, so check the result
+    color.setRGB(-1, -1, -1);
+    color.setStyle(str);
+    if (color.r < 0) {
+        return fallback;
+    }
+    return color;
+}
+
+/**
+ * Calculate the vectors of a unit cell from its lengths and angles, with
+ * the first vector along x and the second in the xy plane
+ * @param {number} a Length of the first cell vector (Å)
+ * @param {number} b Length of the second cell vector (Å)
+ * @param {number} c Length of the third cell vector (Å)
+ * @param {number} alpha Angle between the second and third vectors (degrees)
+ * @param {number} beta Angle between the first and third vectors (degrees)
+ * @param {number} gamma Angle between the first and second vectors (degrees)
+ * @returns {THREE.Vector3[]} The three cell vectors
+ */
+function cellVectors(a, b, c, alpha=90, beta=90, gamma=90) {
+    const [ca, cb, cg] = [alpha, beta, gamma].map(v=>Math.cos(THREE.MathUtils.degToRad(v)));
+    const sg = Math.sin(THREE.MathUtils.degToRad(gamma));
+    const cx = c * cb;
+    const cy = c * (ca - cb * cg) / sg;
+    const cz = Math.sqrt(Math.max(c * c - cx * cx - cy * cy, 0));
+    return [
+        new THREE.Vector3(a, 0, 0),
+        new THREE.Vector3(b * cg, b * sg, 0),
+        new THREE.Vector3(cx, cy, cz)
+    ];
+}
+
 const emptyElem = {
     position: new THREE.Vector3(),
     quaternion: new THREE.Quaternion(),
@@ -70,4 +123,4 @@ function deinstantiate(object, materialMap) {
 }
 
 
-export {notify, deinstantiate};
\ No newline at end of file
+export {notify, parseColor, cellVectors, deinstantiate};
\ No newline at end of file
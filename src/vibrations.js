@@ -0,0 +1,160 @@
+import * as THREE from "three";
+
+/**
+ * Animates a vibrational normal mode by oscillating the atom positions
+ * around their equilibrium positions.
+ */
+class VibrationAnimation {
+    /**
+     * @param {Api} api
+     * @param {Section} section Section with the vibration
+     * @param {{}} vibration Normal mode to animate
+     * @param {number} amplitude Multiplier for the displacement vectors
+     * @param {number} period Duration of one oscillation, in seconds
+     */
+    constructor(api, section, vibration, amplitude=1, period=1) {
+        this.api = api;
+        this.section = section;
+        this.vibration = vibration;
+        this.amplitude = amplitude;
+        this.period = period;
+        this.equilibrium = section.atoms.map(a=>a.position.clone());
+        this.running = false;
+    }
+
+    /**
+     * Set the atom positions to a given point of the oscillation
+     * @param {number} phase Phase of the oscillation, between 0 and 1
+     */
+    setPhase(phase) {
+        const s = this.amplitude * Math.sin(2 * Math.PI * phase);
+        this.section.atoms.forEach((atom, i) => {
+            atom.position.copy(this.equilibrium[i]);
+            const d = this.vibration.displacements[i];
+            if (d !== undefined) {
+                atom.position.addScaledVector(d, s);
+            }
+        });
+        this.api.view.updateAtomPositions(this.section.atoms);
+    }
+
+    start() {
+        this.running = true;
+        const startTime = performance.now();
+        const step = () => {
+            if (!this.running) {
+                return;
+            }
+            const seconds = (performance.now() - startTime) / 1000;
+            this.setPhase((seconds / this.period) % 1);
+            this.api.render();
+            requestAnimationFrame(step);
+        };
+        step();
+    }
+
+    /**
+     * Stop the animation and put the atoms back at
+     * their equilibrium positions
+     */
+    stop() {
+        this.running = false;
+        this.setPhase(0);
+        this.api.render();
+    }
+}
+
+/**
+ * Create arrows showing the displacement vectors of a normal mode
+ * @param {{}[]} atoms Atoms of the section
+ * @param {{}} vibration Normal mode to show
+ * @param {number} scale Multiplier for the arrow lengths
+ * @param {THREE.Color} color Arrow color
+ * @returns {THREE.Group} Group of arrows
+ */
+function displacementArrows(atoms, vibration, scale=2, color=new THREE.Color(0x1E90FF)) {
+    const group = new THREE.Group();
+    group.name = "Displacement arrows";
+    atoms.forEach((atom, i) => {
+        const d = vibration.displacements[i];
+        if (d === undefined) {
+            return;
+        }
+        const length = d.length() * scale;
+        if (length < 1e-3) {
+            return;
+        }
+        const arrow = new THREE.ArrowHelper(
+            d.clone().normalize(),
+            atom.position,
+            length,
+            color,
+            Math.min(0.3, 0.4 * length),
+            Math.min(0.15, 0.2 * length)
+        );
+        group.add(arrow);
+    });
+    return group;
+}
+
+/**
+ * Create a vega-lite specification of the IR spectrum of a set of
+ * vibrations, with each peak broadened by a Lorentzian
+ * @param {{}[]} vibrations List of normal modes
+ * @param {number} fwhm Full width at half maximum of the peaks (cm⁻¹)
+ * @returns {{}} Vega-lite specification
+ */
+function spectrumSpec(vibrations, fwhm=20) {
+    const modes = vibrations.map((v, i) => ({
+        mode: i + 1,
+        frequency: v.frequency,
+        intensity: v.irIntensity ?? 0
+    }));
+
+    const frequencies = modes.map(m=>m.frequency);
+    const min = Math.min(0, ...frequencies) - 2 * fwhm;
+    const max = Math.max(...frequencies) + 2 * fwhm;
+    const nPoints = 500;
+    const gamma = fwhm / 2;
+    const curve = [];
+    for (let i=0; i<=nPoints; i++) {
+        const f = min + (max - min) * i / nPoints;
+        let intensity = 0;
+        for (const m of modes) {
+            intensity += m.intensity * gamma * gamma /
+                ((f - m.frequency) ** 2 + gamma * gamma);
+        }
+        curve.push({frequency: f, intensity: intensity});
+    }
+
+    return {
+        $schema: "https://vega.github.io/schema/vega-lite/v5.json",
+        width: "container",
+        height: 150,
+        layer: [
+            {
+                data: {values: curve},
+                mark: "line",
+                encoding: {
+                    x: {field: "frequency", type: "quantitative", title: "Frequency (cm⁻¹)"},
+                    y: {field: "intensity", type: "quantitative", title: "IR intensity"}
+                }
+            },
+            {
+                data: {values: modes},
+                mark: {type: "rule", color: "gray"},
+                encoding: {
+                    x: {field: "frequency", type: "quantitative"},
+                    y: {field: "intensity", type: "quantitative"},
+                    tooltip: [
+                        {field: "mode", title: "Mode"},
+                        {field: "frequency", title: "Frequency", format: ".1f"},
+                        {field: "intensity", title: "Intensity", format: ".2f"}
+                    ]
+                }
+            }
+        ]
+    };
+}
+
+export {VibrationAnimation, displacementArrows, spectrumSpec};
@@ -1,123 +1,1156 @@
-import {drawInstances, updateInstance} from "./draw.js";
+import * as THREE from "three";
+import {mergeGeometries} from "three/addons/utils/BufferGeometryUtils.js";
+import {updateInstance} from "./draw.js";
 import {
-    atomConstants,
-    defaultAtomColor,
-    defaultAtomRadius,
-    bondRadius
+    getAtomConstants,
+    bondRadius,
+    multipleBondSpacing,
+    licoriceRadius,
+    wireframeAtomRadius
 } from "./constants.js";
+import {parseColor} from "./utils.js";
+import {extractIsosurface, volumeRange} from "./isosurface.js";
+import {colorMaps, mapColor, createColorBar} from "./colorMaps.js";
 
-import {Matrix4, Quaternion, Vector3} from "three";
+const bondColor = new THREE.Color(1, 1, 1);
+const highlightColor = new THREE.Color(0xFFD700);
 
+/**
+ * Available representation styles
+ */
+const styles = ["ballAndStick", "spacefill", "licorice", "wireframe"];
 
-class View {
-    constructor(api) {
-        this.api = api;
+/**
+ * Available color schemes: by element, by the chain read from PDB and
+ * mmCIF files, or by a numeric atom attribute (atoms without a chain or
+ * without a value of the attribute keep their element color)
+ */
+const colorSchemes = ["element", "chain", "attribute"];
+
+const chainColors = [
+    0x1F77B4, 0xFF7F0E, 0x2CA02C, 0xD62728, 0x9467BD,
+    0x8C564B, 0xE377C2, 0x7F7F7F, 0xBCBD22, 0x17BECF
+].map(c=>new THREE.Color(c));
+
+/**
+ * Get the color of a chain, so that consecutive chain identifiers
+ * get different colors (starting with the first one for chain A)
+ * @param {string} chain Chain identifier
+ * @returns {THREE.Color}
+ */
+function chainColor(chain) {
+    const n = chainColors.length;
+    const code = [...chain].reduce((sum, c) => (31 * sum + c.charCodeAt(0) - 65) % n, 0);
+    return chainColors[(code + n) % n];
+}
+
+/**
+ * Tint a color towards the highlight color, to show that it is selected
+ * @param {THREE.Color} color
+ * @returns {THREE.Color} New, highlighted color
+ */
+function highlighted(color) {
+    return color.clone().lerp(highlightColor, 0.6);
+}
+
+/**
+ * Calculate the instance element used to draw an atom
+ * @param {{}} atom
+ * @param {string} style Representation style
+ * @param {THREE.Color} color Color of the atom, defaults to the color
+ * of its element
+ * @param {boolean} bonded If the atom has bonds, which are all that is
+ * drawn of it in the wireframe style
+ * @returns {{}} Instance element
+ */
+function atomElement(atom, style="ballAndStick", color=undefined, bonded=true) {
+    const atomConst = getAtomConstants(atom.symbol);
+    let radius = atomConst.radius;
+    color = color ?? atomConst.color;
+
+    // Per-atom overrides from the <ATOM> block
+    if (atom.attributes.has("radius")) {
+        const r = parseFloat(atom.attributes.get("radius"));
+        if (!isNaN(r)) {
+            radius = r;
+        }
+    }
+    if (atom.attributes.has("color")) {
+        color = parseColor(atom.attributes.get("color"), color);
     }
 
-    updateAtomPositions(atoms) {
-        const atomSet = new Set(atoms);
-        const m = new Matrix4()
-        // Get instance ids
-        this.api.sections.flatMap(s=>s.atoms).forEach(
-            (atom, instanceId) => {
-            if (atomSet.has(atom)) {
-                this.instancedAtoms.getMatrixAt(instanceId, m);
-                m.setPosition(atom.position);
-                this.instancedAtoms.setMatrixAt(instanceId, m);
-                this.instancedAtoms.instanceMatrix.needsUpdate = true;
+    switch (style) {
+    case "spacefill": radius = atomConst.vdwRadius; break;
+    case "licorice": radius = licoriceRadius; break;
+    // Only bonds are drawn, as lines, so atoms without bonds are drawn
+    // small to still be seen and picked
+    case "wireframe": radius = bonded ? 0 : wireframeAtomRadius; break;
+    }
+
+    return {
+        position: atom.position,
+        quaternion: new THREE.Quaternion(),
+        scale: new THREE.Vector3(radius, radius, radius),
+        color: color
+    };
+}
+
+/**
+ * Get the bonds that should be drawn (order 0 means that the atoms
+ * are not connected)
+ * @param {Section[]} sections
+ * @returns {{}[]} List of bonds
+ */
+function drawnBonds(sections) {
+    return sections.flatMap(s=>s.bonds).filter(b=>b.order !== 0);
+}
+
+/**
+ * Find the neighbours of each atom, used to orient multiple bonds
+ * in the plane of the neighbouring atoms
+ * @param {{}[]} bonds
+ * @returns {Map} Map from each atom to its bonded atoms
+ */
+function neighbourMap(bonds) {
+    const neighbours = new Map();
+    for (const b of bonds) {
+        for (const [a1, a2] of [[b.atom1, b.atom2], [b.atom2, b.atom1]]) {
+            if (!neighbours.has(a1)) {
+                neighbours.set(a1, []);
             }
-        });
+            neighbours.get(a1).push(a2);
+        }
+    }
+    return neighbours;
+}
+
+/**
+ * Cylinder of height 1 split into dashes, used for partial bonds
+ * @param {number} nDashes Number of dashes
+ * @param {number} radialSegments Number of faces around each dash
+ * @returns {THREE.BufferGeometry}
+ */
+function dashedCylinderGeometry(nDashes = 5, radialSegments = 8) {
+    const dashLength = 0.5 / nDashes;
+    const dashes = [];
+    for (let i=0; i<nDashes; i++) {
+        const dash = new THREE.CylinderGeometry(1, 1, dashLength, radialSegments, 1);
+        dash.translate(0, (i + 0.5) / nDashes - 0.5, 0);
+        dashes.push(dash);
+    }
+    return mergeGeometries(dashes);
+}
 
-        this.api.sections.flatMap(s=>s.bonds).forEach(
-            (b, instanceId) => {
-            if (atomSet.has(b.atom1) || atomSet.has(b.atom2)) {
-                m.compose(
-                    // Position between atoms
-                    b.atom1.position.clone().add(b.atom2.position).divideScalar(2),
-                    // Rotate to align with line between atoms
-                    new THREE.Quaternion().setFromUnitVectors(
-                        new THREE.Vector3(0, 1, 0),
-                        b.atom1.position.clone().sub(b.atom2.position).normalize()
-                    ),
-                    // Scale to distance between atoms
-                    new THREE.Vector3(bondRadius, b.atom1.position.distanceTo(b.atom2.position), bondRadius)
-                );
-                this.instancedBonds.setMatrixAt(instanceId, m);
-                this.instancedBonds.instanceMatrix.needsUpdate = true;
+/**
+ * Find a direction perpendicular to a bond, in the plane of a
+ * neighbouring atom if there is one (or an arbitrary direction otherwise).
+ * @param {{}} bond
+ * @param {Map} neighbours Map from each atom to its bonded atoms
+ * @param {THREE.Vector3} dir Normalised bond direction
+ * @returns {THREE.Vector3} Normalised perpendicular direction, pointing
+ * towards the neighbouring atom
+ */
+function bondPlaneNormal(bond, neighbours, dir) {
+    const perp = new THREE.Vector3();
+    for (const [a1, a2] of [[bond.atom1, bond.atom2], [bond.atom2, bond.atom1]]) {
+        for (const n of neighbours.get(a1) ?? []) {
+            if (n === a2) {
+                continue;
             }
-        });
+            perp.subVectors(n.position, a1.position);
+            // Remove the component along the bond
+            perp.addScaledVector(dir, -perp.dot(dir));
+            if (perp.lengthSq() > 1e-6) {
+                return perp.normalize();
+            }
+        }
     }
+    // No neighbours to define a plane, so any perpendicular direction will do
+    const axis = Math.abs(dir.x) < 0.9 ?
+        new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    return perp.crossVectors(dir, axis).normalize();
+}
 
-    // Draw atoms
-    redrawAtomView() {
-        // Remove old atom instances
-        this.api.scene.remove(this.instancedAtoms);
+/**
+ * Calculate the cylinders needed to draw a bond. In the ball-and-stick
+ * style, this depends on the bond order: 1: single, 2: double, 3: triple,
+ * 4: partial (dashed), 5: one solid and one dashed, 6: thin line.
+ * In the licorice style, bonds are drawn as two halves with the colors of
+ * their atoms, and in the spacefill and wireframe styles no cylinders
+ * are drawn.
+ * @param {{}} bond
+ * @param {Map} neighbours Map from each atom to its bonded atoms
+ * @param {string} style Representation style
+ * @param {function({}): THREE.Color} atomColor Color of an atom, for
+ * the licorice style
+ * @returns {{}[]} List of instance elements, each flagged as dashed or not
+ */
+function bondElements(bond, neighbours, style="ballAndStick", atomColor=a=>atomElement(a).color) {
+    const p1 = bond.atom1.position;
+    const p2 = bond.atom2.position;
+    const centre = p1.clone().add(p2).divideScalar(2);
+    const length = p1.distanceTo(p2);
+    const dir = p1.clone().sub(p2).normalize();
+    // Rotate to align with line between atoms
+    const quaternion = new THREE.Quaternion().setFromUnitVectors(
+        new THREE.Vector3(0, 1, 0), dir
+    );
 
-        const atomElements = this.api.sections.flatMap(s=>s.atoms).map(a=>{
-            let atomConst = atomConstants[a.symbol];
-            if (atomConst === undefined) {
-                atomConst = {
-                    radius: defaultAtomRadius,
-                    color: defaultAtomColor,
-                };
+    if (style === "spacefill" || style === "wireframe") {
+        return [];
+    }
+    if (style === "licorice") {
+        return [bond.atom1, bond.atom2].map(atom => ({
+            position: centre.clone().lerp(atom.position, 0.5),
+            quaternion: quaternion,
+            scale: new THREE.Vector3(licoriceRadius, length / 2, licoriceRadius),
+            color: atomColor(atom),
+            dashed: false
+        }));
+    }
+
+    // Offset, radius and dashing of each cylinder
+    let cylinders;
+    switch (bond.order) {
+    case 2: cylinders = [
+        [-0.5, 0.6, false], [0.5, 0.6, false]
+    ]; break;
+    case 3: cylinders = [
+        [-1, 0.5, false], [0, 0.5, false], [1, 0.5, false]
+    ]; break;
+    case 4: cylinders = [
+        [0, 0.8, true]
+    ]; break;
+    // Draw the dashed part on the side of the neighbours
+    // (typically the inside of an aromatic ring)
+    case 5: cylinders = [
+        [-0.5, 0.6, false], [0.5, 0.5, true]
+    ]; break;
+    case 6: cylinders = [
+        [0, 0.2, false]
+    ]; break;
+    default: cylinders = [
+        [0, 1, false]
+    ];
+    }
+
+    const perp = cylinders.length > 1 ?
+        bondPlaneNormal(bond, neighbours, dir) : undefined;
+
+    return cylinders.map(([offset, radius, dashed]) => {
+        const position = centre.clone();
+        if (offset !== 0) {
+            position.addScaledVector(perp, offset * multipleBondSpacing);
+        }
+        const r = radius * bondRadius;
+        return {
+            position: position,
+            quaternion: quaternion,
+            // Scale to distance between atoms
+            scale: new THREE.Vector3(r, length, r),
+            color: bondColor,
+            dashed: dashed
+        };
+    });
+}
+
+/**
+ * Level of detail of the atom spheres and bond cylinders, depending on
+ * the number of atoms drawn
+ */
+const levelsOfDetail = [
+    {maxAtoms: 1e3, sphereDetail: 3, cylinderSegments: 12},
+    {maxAtoms: 1e4, sphereDetail: 2, cylinderSegments: 8},
+    {maxAtoms: 1e5, sphereDetail: 1, cylinderSegments: 6},
+    {maxAtoms: Infinity, sphereDetail: 0, cylinderSegments: 4}
+];
+
+/**
+ * The instanced meshes drawing one section. Meshes are allocated with
+ * spare capacity, so that atoms and bonds can be added (or the meshes
+ * reused for another section of a trajectory) without reallocating.
+ */
+class SectionView {
+    /**
+     * @param {View} view
+     * @param {Section} section
+     */
+    constructor(view, section) {
+        this.view = view;
+        this.section = section;
+        this.group = new THREE.Group();
+        this.group.name = "Section";
+        view.structure.add(this.group);
+
+        // Atoms drawn by each atom instance, and the reverse
+        this.atoms = [];
+        this.atomIds = new Map();
+        // Instances used to draw each bond, and the reverse
+        this.bondInstances = new Map();
+        this.instanceBonds = new Map();
+        // Bonded atoms of each atom, and bonds of each atom
+        this.neighbours = new Map();
+        this.atomBonds = new Map();
+        // Bonds drawn as lines (in the wireframe style)
+        this.lineBonds = [];
+        // Parts ("atoms" and "bonds") drawn since the section was assigned
+        this.drawn = new Set();
+    }
+
+    /**
+     * Make sure that an instanced mesh can fit a number of instances,
+     * replacing it with a larger one if needed
+     * @param {THREE.InstancedMesh} mesh Current mesh, or undefined
+     * @param {THREE.BufferGeometry} geometry
+     * @param {THREE.Material} material
+     * @param {number} count Number of instances to draw
+     * @returns {THREE.InstancedMesh} The mesh to use
+     */
+    fitMesh(mesh, geometry, material, count) {
+        if (mesh === undefined || mesh.instanceMatrix.count < count) {
+            if (mesh !== undefined) {
+                this.group.remove(mesh);
+                mesh.dispose();
+            }
+            const capacity = Math.ceil(count * 1.5) + 16;
+            mesh = new THREE.InstancedMesh(geometry, material, capacity);
+            mesh.instanceColor = new THREE.InstancedBufferAttribute(
+                new Float32Array(3 * capacity), 3
+            );
+            mesh.receiveShadow = true;
+            mesh.castShadow = true;
+            this.group.add(mesh);
+        }
+        mesh.geometry = geometry;
+        mesh.count = count;
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.instanceColor.needsUpdate = true;
+        // Recomputed when needed
+        mesh.boundingSphere = null;
+        return mesh;
+    }
+
+    /**
+     * Calculate the cylinders needed to draw a bond, in its style
+     * @param {{}} bond
+     * @returns {{}[]}
+     */
+    bondElements(bond) {
+        return bondElements(
+            bond, this.neighbours, this.view.bondStyle(bond), a=>this.view.atomElement(a).color
+        );
+    }
+
+    // Draw all atoms of the section
+    drawAtoms() {
+        const view = this.view;
+        const atoms = this.section.atoms;
+        this.atomMesh = this.fitMesh(
+            this.atomMesh, view.geometry("sphere"), view.atomMaterial, atoms.length
+        );
+        this.atoms = [...atoms];
+        this.atomIds = new Map(atoms.map((a, i) => [a, i]));
+
+        const m = new THREE.Matrix4();
+        const selected = view.api.selection.atoms;
+        atoms.forEach((a, i) => {
+            const e = view.atomElement(a, this.atomBonds.has(a));
+            if (selected.has(a)) {
+                e.color = highlighted(e.color);
             }
-            return {
-                position: a.position,
-                quaternion: new THREE.Quaternion(),
-                scale: new THREE.Vector3(
-                    atomConst.radius,
-                    atomConst.radius,
-                    atomConst.radius
-                ),
-                color: atomConst.color
-            };
+            updateInstance(this.atomMesh, e, i, m);
         });
+        this.drawn.add("atoms");
+    }
 
-        const atomGeometry = new THREE.IcosahedronGeometry(1, 3);
+    // Draw all bonds of the section
+    drawBonds() {
+        const view = this.view;
+        const bonds = drawnBonds([this.section]);
+        this.neighbours = neighbourMap(bonds);
+        this.atomBonds = new Map();
+        for (const b of bonds) {
+            for (const a of [b.atom1, b.atom2]) {
+                if (!this.atomBonds.has(a)) {
+                    this.atomBonds.set(a, []);
+                }
+                this.atomBonds.get(a).push(b);
+            }
+        }
 
-        this.instancedAtoms = drawInstances(
-            atomGeometry,
-            atomElements,
-            new THREE.MeshStandardMaterial()
+        const solidElements = [];
+        const dashedElements = [];
+        const instances = [];
+        const lineBonds = [];
+        const selected = view.api.selection.bonds;
+        for (const b of bonds) {
+            if (view.bondStyle(b) === "wireframe") {
+                lineBonds.push(b);
+            }
+            instances.push(this.bondElements(b).map(e=>{
+                if (selected.has(b)) {
+                    e.color = highlighted(e.color);
+                }
+                const list = e.dashed ? dashedElements : solidElements;
+                list.push(e);
+                return {dashed: e.dashed, instanceId: list.length - 1};
+            }));
+        }
+
+        this.bondMesh = this.fitMesh(
+            this.bondMesh, view.geometry("cylinder"), view.bondMaterial, solidElements.length
+        );
+        this.dashedBondMesh = this.fitMesh(
+            this.dashedBondMesh, view.geometry("dashedCylinder"), view.bondMaterial, dashedElements.length
         );
-        this.instancedAtoms.receiveShadow = true;
-        this.instancedAtoms.castShadow = true;
-
-        this.api.scene.add(this.instancedAtoms);
-    }
-
-    // Draw bonds
-    redrawBondView() {
-        // Remove old bond instances
-        this.api.scene.remove(this.instancedBonds);
-        const bondElements = this.api.sections.flatMap(s=>s.bonds).map(b=>{
-            return {
-                // Position between atoms
-                position: b.atom1.position.clone().add(b.atom2.position).divideScalar(2),
-                // Rotate to align with line between atoms
-                quaternion: new THREE.Quaternion().setFromUnitVectors(
-                    new THREE.Vector3(0, 1, 0),
-                    b.atom1.position.clone().sub(b.atom2.position).normalize()
-                ),
-                // Scale to distance between atoms
-                scale: new THREE.Vector3(bondRadius, b.atom1.position.distanceTo(b.atom2.position), bondRadius),
-                color: new THREE.Color(1, 1, 1)
-            };
+        const m = new THREE.Matrix4();
+        solidElements.forEach((e, i) => updateInstance(this.bondMesh, e, i, m));
+        dashedElements.forEach((e, i) => updateInstance(this.dashedBondMesh, e, i, m));
+
+        // Map each bond to the instances used to draw it, and the reverse
+        this.bondInstances = new Map();
+        this.instanceBonds = new Map([[this.bondMesh, []], [this.dashedBondMesh, []]]);
+        bonds.forEach((b, i) => this.bondInstances.set(
+            b, instances[i].map(({dashed, instanceId}) => {
+                const mesh = dashed ? this.dashedBondMesh : this.bondMesh;
+                this.instanceBonds.get(mesh)[instanceId] = b;
+                return {mesh: mesh, instanceId: instanceId};
+            })
+        ));
+
+        this.drawBondLines(lineBonds);
+        this.drawn.add("bonds");
+
+        // Atoms in the wireframe style are only drawn if they have no bonds
+        if (this.drawn.has("atoms")) {
+            const m = new THREE.Matrix4();
+            for (const atom of this.atoms) {
+                if (view.atomStyle(atom) === "wireframe") {
+                    const e = view.atomElement(atom, this.atomBonds.has(atom));
+                    // Keep the current (possibly highlighted) color
+                    delete e.color;
+                    updateInstance(this.atomMesh, e, this.atomIds.get(atom), m);
+                }
+            }
+            this.atomMesh.boundingSphere = null;
+        }
+    }
+
+    /**
+     * Draw bonds in the wireframe style as lines, with each half
+     * in the color of its atom
+     * @param {{}[]} bonds Bonds to draw as lines
+     */
+    drawBondLines(bonds) {
+        this.lineBonds = bonds;
+        if (this.bondLines !== undefined) {
+            this.group.remove(this.bondLines);
+            this.bondLines.geometry.dispose();
+            this.bondLines = undefined;
+        }
+        if (bonds.length === 0) {
+            return;
+        }
+
+        const colors = new Float32Array(12 * bonds.length);
+        bonds.forEach((b, i) => {
+            const c1 = this.view.atomElement(b.atom1).color;
+            const c2 = this.view.atomElement(b.atom2).color;
+            c1.toArray(colors, 12 * i);
+            c1.toArray(colors, 12 * i + 3);
+            c2.toArray(colors, 12 * i + 6);
+            c2.toArray(colors, 12 * i + 9);
+        });
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute("position", new THREE.BufferAttribute(
+            new Float32Array(12 * bonds.length), 3
+        ));
+        geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+
+        this.bondLines = new THREE.LineSegments(geometry, this.view.lineMaterial);
+        this.bondLines.name = "Bond lines";
+        this.updateBondLines();
+        this.group.add(this.bondLines);
+    }
+
+    /**
+     * Move the wireframe bond lines to follow their atoms
+     */
+    updateBondLines() {
+        if (this.bondLines === undefined) {
+            return;
+        }
+        const positions = this.bondLines.geometry.attributes.position;
+        const middle = new THREE.Vector3();
+        this.lineBonds.forEach((b, i) => {
+            middle.addVectors(b.atom1.position, b.atom2.position).divideScalar(2);
+            positions.setXYZ(4 * i, ...b.atom1.position.toArray());
+            positions.setXYZ(4 * i + 1, ...middle.toArray());
+            positions.setXYZ(4 * i + 2, ...middle.toArray());
+            positions.setXYZ(4 * i + 3, ...b.atom2.position.toArray());
         });
+        positions.needsUpdate = true;
+        this.bondLines.geometry.computeBoundingSphere();
+    }
+
+    /**
+     * Update the instances of atoms that have moved, and of the bonds
+     * around them
+     * @param {{}[]} atoms Atoms of this section that have moved
+     */
+    updateAtoms(atoms) {
+        const m = new THREE.Matrix4();
+        for (const atom of atoms) {
+            const instanceId = this.atomIds.get(atom);
+            if (instanceId === undefined) {
+                continue;
+            }
+            this.atomMesh.getMatrixAt(instanceId, m);
+            m.setPosition(atom.position);
+            this.atomMesh.setMatrixAt(instanceId, m);
+        }
+        this.atomMesh.instanceMatrix.needsUpdate = true;
+        this.atomMesh.boundingSphere = null;
 
-        const bondGeometry = new THREE.CylinderGeometry(1, 1, 1, 8, 8);
+        // Multiple bonds are oriented using neighbouring atoms, so
+        // bonds next to the moved atoms need to be updated as well
+        const affected = new Set(atoms);
+        for (const atom of atoms) {
+            this.neighbours.get(atom)?.forEach(n=>affected.add(n));
+        }
+        const bonds = new Set();
+        for (const atom of affected) {
+            this.atomBonds.get(atom)?.forEach(b=>bonds.add(b));
+        }
+        for (const b of bonds) {
+            const elements = this.bondElements(b);
+            // Keep the current (possibly highlighted) colors
+            elements.forEach(e=>delete e.color);
+            this.bondInstances.get(b).forEach(({mesh, instanceId}, i) => {
+                updateInstance(mesh, elements[i], instanceId, m);
+                mesh.boundingSphere = null;
+            });
+        }
 
-        this.instancedBonds = drawInstances(
-            bondGeometry,
-            bondElements,
-            new THREE.MeshStandardMaterial()
+        if (this.lineBonds.length > 0) {
+            this.updateBondLines();
+        }
+    }
+
+    /**
+     * Color an atom or bond to show if it is selected
+     * @param {{}} item Atom or bond
+     * @param {boolean} selected
+     */
+    setHighlight(item, selected) {
+        if (this.bondInstances.has(item)) {
+            const elements = this.bondElements(item);
+            this.bondInstances.get(item).forEach(({mesh, instanceId}, i) => {
+                const color = elements[i].color;
+                mesh.setColorAt(instanceId, selected ? highlighted(color) : color);
+                mesh.instanceColor.needsUpdate = true;
+            });
+        } else if (this.atomIds.has(item)) {
+            const color = this.view.atomElement(item).color;
+            this.atomMesh.setColorAt(
+                this.atomIds.get(item),
+                selected ? highlighted(color) : color
+            );
+            this.atomMesh.instanceColor.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Use the current level of detail geometries
+     */
+    updateGeometries() {
+        const view = this.view;
+        if (this.atomMesh !== undefined) {
+            this.atomMesh.geometry = view.geometry("sphere");
+        }
+        if (this.bondMesh !== undefined) {
+            this.bondMesh.geometry = view.geometry("cylinder");
+            this.dashedBondMesh.geometry = view.geometry("dashedCylinder");
+        }
+    }
+
+    /**
+     * Get the meshes that atoms and bonds can be picked from
+     * @returns {THREE.InstancedMesh[]}
+     */
+    meshes() {
+        return [this.atomMesh, this.bondMesh, this.dashedBondMesh].filter(
+            m=>m !== undefined && m.count > 0
         );
-        this.instancedBonds.receiveShadow = true;
-        this.instancedBonds.castShadow = true;
+    }
 
-        this.api.scene.add(this.instancedBonds);
+    /**
+     * Remove the meshes from the scene and free their GPU resources
+     * (the geometries and materials are shared, and kept)
+     */
+    dispose() {
+        this.view.structure.remove(this.group);
+        for (const mesh of [this.atomMesh, this.bondMesh, this.dashedBondMesh]) {
+            mesh?.dispose();
+        }
+        this.bondLines?.geometry.dispose();
     }
+}
 
+/**
+ * Draws the atoms and bonds of the visible sections, with one set of
+ * instanced meshes per section (so that changing a section only redraws
+ * that section), as well as isosurfaces.
+ */
+class View {
+    constructor(api) {
+        this.api = api;
+        // View of each visible section
+        this.sectionViews = new Map();
+        this.structure = new THREE.Group();
+        this.structure.name = "Structure";
+        this.api.scene.add(this.structure);
+        // Atoms and bonds currently drawn as selected
+        this.highlighted = new Set();
+
+        // Shared by all sections
+        this.atomMaterial = new THREE.MeshStandardMaterial();
+        this.bondMaterial = new THREE.MeshStandardMaterial();
+        this.lineMaterial = new THREE.LineBasicMaterial({vertexColors: true});
+        this.levelOfDetail = levelsOfDetail[0];
+        this.geometries = new Map();
+
+        // Representation style of everything, unless overridden
+        // for a section or an atom
+        this.style = "ballAndStick";
+        this.sectionStyles = new WeakMap();
+        this.atomStyles = new WeakMap();
+        this.colorScheme = "element";
+        // Coloring by a numeric atom attribute, such as a charge
+        this.attributeColoring = {
+            attribute: "charge",
+            colorMap: "coolwarm",
+            // Range of the color map, undefined to fit the values
+            min: undefined,
+            max: undefined,
+            // Also scale the atom radii with the value
+            scaleRadius: false
+        };
+        // Range used, when coloring by attribute
+        this.attributeRange = undefined;
+        this.colorBar = undefined;
+
+        this.isosurfaceOptions = {
+            isovalue: 0.05,
+            positiveColor: new THREE.Color(0x1E90FF),
+            negativeColor: new THREE.Color(0xFF8C00),
+            opacity: 0.7,
+            // Index of the volume to show, in each section
+            volumeIndex: 0
+        };
+        this.isosurfaceMaterials = [1, -1].map(() => new THREE.MeshStandardMaterial({
+            side: THREE.DoubleSide,
+            transparent: true,
+            depthWrite: false
+        }));
+        this.isosurfaces = new THREE.Group();
+        this.isosurfaces.name = "Isosurfaces";
+        this.api.scene.add(this.isosurfaces);
+    }
+
+    /**
+     * Get a geometry used to draw atoms or bonds, at the current
+     * level of detail
+     * @param {string} name "sphere", "cylinder" or "dashedCylinder"
+     * @returns {THREE.BufferGeometry}
+     */
+    geometry(name) {
+        const {sphereDetail, cylinderSegments} = this.levelOfDetail;
+        const key = `${name} ${sphereDetail} ${cylinderSegments}`;
+        if (!this.geometries.has(key)) {
+            switch (name) {
+            case "sphere":
+                this.geometries.set(key, new THREE.IcosahedronGeometry(1, sphereDetail));
+                break;
+            case "cylinder":
+                this.geometries.set(key, new THREE.CylinderGeometry(1, 1, 1, cylinderSegments, 1));
+                break;
+            case "dashedCylinder":
+                this.geometries.set(key, dashedCylinderGeometry(5, cylinderSegments));
+                break;
+            default:
+                throw new Error(`Unknown geometry "${name}"`);
+            }
+        }
+        return this.geometries.get(key);
+    }
+
+    /**
+     * Choose the level of detail from the number of visible atoms, and
+     * switch all sections to it if it has changed
+     */
+    updateLevelOfDetail() {
+        const count = [...this.sectionViews.keys()].reduce(
+            (sum, s) => sum + s.atoms.length, 0
+        );
+        const level = levelsOfDetail.find(l=>count < l.maxAtoms);
+        if (level === this.levelOfDetail) {
+            return;
+        }
+        this.levelOfDetail = level;
+        const old = [...this.geometries.values()];
+        this.geometries.clear();
+        this.sectionViews.forEach(v=>v.updateGeometries());
+        old.forEach(g=>g.dispose());
+    }
+
+    /**
+     * Make sure there is a view for each visible section, and no others.
+     * Views of sections that are no longer visible are reused for the
+     * newly visible ones (such as when stepping through a trajectory),
+     * so that their meshes don't need to be reallocated.
+     */
+    syncSectionViews() {
+        const sections = this.api.visibleSections();
+        const visible = new Set(sections);
+        const unused = [];
+        for (const [section, sectionView] of this.sectionViews) {
+            if (!visible.has(section)) {
+                this.sectionViews.delete(section);
+                unused.push(sectionView);
+            }
+        }
+        for (const section of sections) {
+            if (!this.sectionViews.has(section)) {
+                const sectionView = unused.pop() ?? new SectionView(this, section);
+                sectionView.section = section;
+                sectionView.drawn.clear();
+                this.sectionViews.set(section, sectionView);
+            }
+        }
+        unused.forEach(v=>v.dispose());
+        this.updateLevelOfDetail();
+    }
+
+    /**
+     * Get the views that need to be redrawn
+     * @param {Section[]} sections Changed sections, or undefined if
+     * everything has changed
+     * @param {string} part "atoms" or "bonds"
+     * @returns {SectionView[]} Views of the changed sections, and of
+     * sections that have not been drawn yet
+     */
+    staleSectionViews(sections, part) {
+        const changed = sections === undefined ? undefined : new Set(sections);
+        return [...this.sectionViews.values()].filter(v =>
+            changed === undefined || changed.has(v.section) || !v.drawn.has(part)
+        );
+    }
+
+    /**
+     * Set the representation style
+     * @param {string} style "ballAndStick", "spacefill" (van der Waals
+     * radii), "licorice" (equal radius atoms and bonds) or "wireframe"
+     * (bonds drawn as lines)
+     * @param {Section | {}[] | string} target Section or list of atoms to
+     * set the style of, or "selection" for the selected atoms. If undefined,
+     * the style is set for everything.
+     */
+    setStyle(style, target) {
+        if (!styles.includes(style)) {
+            throw new Error(`Unknown style "${style}", should be one of ${styles.join(", ")}`);
+        }
+        if (target === "selection") {
+            target = [...this.api.selection.atoms];
+        }
+        let sections;
+        if (target === undefined) {
+            this.style = style;
+            this.sectionStyles = new WeakMap();
+            this.atomStyles = new WeakMap();
+        } else if (Array.isArray(target)) {
+            target.forEach(a=>this.atomStyles.set(a, style));
+            sections = [...new Set(target.map(a=>a.section))];
+        } else {
+            this.sectionStyles.set(target, style);
+            target.atoms.forEach(a=>this.atomStyles.delete(a));
+            sections = [target];
+        }
+        this.redrawAtomView(sections);
+        this.redrawBondView(sections);
+        this.api.render();
+    }
+
+    /**
+     * Get the representation style of an atom
+     * @param {{}} atom
+     * @returns {string}
+     */
+    atomStyle(atom) {
+        return this.atomStyles.get(atom) ??
+            this.sectionStyles.get(atom.section) ??
+            this.style;
+    }
+
+    /**
+     * Get the representation style of a bond, which is the style of its
+     * atoms (or ball-and-stick if they differ)
+     * @param {{}} bond
+     * @returns {string}
+     */
+    bondStyle(bond) {
+        const style = this.atomStyle(bond.atom1);
+        return style === this.atomStyle(bond.atom2) ? style : "ballAndStick";
+    }
+
+    /**
+     * Calculate the instance element used to draw an atom, in its style
+     * @param {{}} atom
+     * @param {boolean} bonded If the atom has bonds
+     * @returns {{}}
+     */
+    atomElement(atom, bonded=true) {
+        const element = atomElement(atom, this.atomStyle(atom), this.atomColor(atom), bonded);
+        if (this.colorScheme === "attribute" && this.attributeColoring.scaleRadius) {
+            const t = this.attributeFraction(atom);
+            if (t !== undefined) {
+                // From half to one and a half of the radius, with the
+                // magnitude of the value for diverging color maps
+                const diverging = colorMaps[this.attributeColoring.colorMap].diverging;
+                element.scale.multiplyScalar(0.5 + (diverging ? Math.abs(2 * t - 1) : t));
+            }
+        }
+        return element;
+    }
+
+    /**
+     * Get the position of the attribute value of an atom in the range of
+     * the color map, when coloring by attribute
+     * @param {{}} atom
+     * @returns {number} Between 0 and 1, or undefined if the atom has no
+     * numeric value of the attribute
+     */
+    attributeFraction(atom) {
+        const value = parseFloat(atom.attributes.get(this.attributeColoring.attribute));
+        if (isNaN(value) || this.attributeRange === undefined) {
+            return undefined;
+        }
+        const [min, max] = this.attributeRange;
+        return max > min ? THREE.MathUtils.clamp((value - min) / (max - min), 0, 1) : 0.5;
+    }
+
+    /**
+     * Get the color of an atom in the current color scheme (before
+     * any color set in its attributes)
+     * @param {{}} atom
+     * @returns {THREE.Color} The color, or undefined for the element color
+     */
+    atomColor(atom) {
+        if (this.colorScheme === "chain" && atom.attributes.has("chain")) {
+            return chainColor(atom.attributes.get("chain"));
+        }
+        if (this.colorScheme === "attribute") {
+            const t = this.attributeFraction(atom);
+            return t === undefined ? undefined : mapColor(this.attributeColoring.colorMap, t);
+        }
+        return undefined;
+    }
+
+    /**
+     * Set how atoms are colored
+     * @param {string} scheme "element", "chain" or "attribute" (as set
+     * with setAttributeColoring())
+     */
+    setColorScheme(scheme) {
+        if (!colorSchemes.includes(scheme)) {
+            throw new Error(`Unknown color scheme "${scheme}", should be one of ${colorSchemes.join(", ")}`);
+        }
+        this.colorScheme = scheme;
+        // Keep the View tab in sync when changed from elsewhere
+        const select = document.getElementById("colorSchemeSelect");
+        if (select !== null) {
+            select.value = scheme;
+        }
+        this.redrawAtomView();
+        this.redrawBondView();
+        this.api.render();
+    }
+
+    /**
+     * Change how atoms are colored by attribute, and switch to that color
+     * scheme
+     * @param {{}} options
+     * @param {string} options.attribute Numeric atom attribute, such as a
+     * charge or spin density from the <ATOM> block
+     * @param {string} options.colorMap Name of the color map (see colorMaps)
+     * @param {number} options.min Value at the start of the color map,
+     * undefined (or NaN) to use the smallest value
+     * @param {number} options.max Value at the end of the color map,
+     * undefined (or NaN) to use the largest value
+     * @param {boolean} options.scaleRadius Whether to also scale the atom
+     * radii with the values
+     */
+    setAttributeColoring(options) {
+        if (options.colorMap !== undefined && !(options.colorMap in colorMaps)) {
+            throw new Error(`Unknown color map "${options.colorMap}", should be one of ${Object.keys(colorMaps).join(", ")}`);
+        }
+        for (const key of ["min", "max"]) {
+            if (Number.isNaN(options[key])) {
+                options[key] = undefined;
+            }
+        }
+        Object.assign(this.attributeColoring, options);
+        this.setColorScheme("attribute");
+    }
+
+    /**
+     * Update the range of the attribute values and the color bar, when
+     * coloring by attribute. Without a set range, it spans the values of
+     * all sections (so that it doesn't change between the frames of a
+     * trajectory), and is centered on zero for diverging color maps.
+     */
+    updateColorBar() {
+        const {attribute, colorMap} = this.attributeColoring;
+        let {min, max} = this.attributeColoring;
+        if (this.colorScheme === "attribute" && (min === undefined || max === undefined)) {
+            const values = this.api.sections.flatMap(s=>s.atoms)
+                .map(a=>parseFloat(a.attributes.get(attribute)))
+                .filter(v=>!isNaN(v));
+            if (values.length > 0) {
+                let low = values.reduce((a, b) => Math.min(a, b));
+                let high = values.reduce((a, b) => Math.max(a, b));
+                if (colorMaps[colorMap].diverging) {
+                    high = Math.max(Math.abs(low), Math.abs(high));
+                    low = -high;
+                }
+                min = min ?? low;
+                max = max ?? high;
+            }
+        }
+        const range = this.colorScheme === "attribute" && min !== undefined && max !== undefined ?
+            [min, max] : undefined;
+        this.attributeRange = range;
+
+        // Only draw the color bar again if it has changed
+        const key = range === undefined ? undefined : `${attribute} ${colorMap} ${min} ${max}`;
+        if (key === this.colorBar?.userData.key) {
+            return;
+        }
+        if (this.colorBar !== undefined) {
+            this.api.hud.scene.remove(this.colorBar);
+            this.colorBar.material.map.dispose();
+            this.colorBar.material.dispose();
+            this.colorBar = undefined;
+        }
+        if (range !== undefined) {
+            this.colorBar = createColorBar({title: attribute, colorMap, min, max});
+            this.colorBar.name = "Color bar";
+            this.colorBar.userData.key = key;
+            this.colorBar.userData.anchor = {right: 10, bottom: 10};
+            this.api.hud.scene.add(this.colorBar);
+        }
+    }
+
+    /**
+     * Change how isosurfaces are drawn
+     * @param {{}} options
+     * @param {number} options.isovalue Value at which to draw the surfaces
+     * (a negative surface is drawn at -isovalue)
+     * @param {THREE.Color | string} options.positiveColor
+     * @param {THREE.Color | string} options.negativeColor
+     * @param {number} options.opacity Between 0 and 1
+     * @param {number} options.volumeIndex Index of the volume to show
+     */
+    setIsosurfaceOptions(options) {
+        for (const key of ["positiveColor", "negativeColor"]) {
+            if (typeof options[key] === "string") {
+                options[key] = parseColor(options[key], this.isosurfaceOptions[key]);
+            }
+        }
+        Object.assign(this.isosurfaceOptions, options);
+        this.redrawIsosurfaces();
+        this.api.render();
+    }
+
+    /**
+     * Draw isosurfaces of the selected volume of each visible section.
+     * Surfaces are cached with the volume, so that changing colors or
+     * going back to a previous isovalue is fast.
+     */
+    redrawIsosurfaces() {
+        const options = this.isosurfaceOptions;
+        const [positiveMaterial, negativeMaterial] = this.isosurfaceMaterials;
+        positiveMaterial.color.copy(options.positiveColor);
+        negativeMaterial.color.copy(options.negativeColor);
+        for (const m of this.isosurfaceMaterials) {
+            m.opacity = options.opacity;
+            m.transparent = options.opacity < 1;
+            m.depthWrite = !m.transparent;
+        }
+
+        this.isosurfaces.clear();
+        for (const section of this.api.visibleSections()) {
+            const volume = section.volumes[options.volumeIndex];
+            if (volume === undefined) {
+                continue;
+            }
+            if (volume.range === undefined) {
+                volume.range = volumeRange(volume);
+            }
+            if (volume.surfaces === undefined || volume.surfaces.isovalue !== options.isovalue) {
+                if (volume.surfaces !== undefined) {
+                    volume.surfaces.positive?.dispose();
+                    volume.surfaces.negative?.dispose();
+                }
+                // Only draw surfaces of a sign if there are such values
+                volume.surfaces = {
+                    isovalue: options.isovalue,
+                    positive: volume.range[1] > 0 ?
+                        extractIsosurface(volume, options.isovalue) :
+                        undefined,
+                    negative: volume.range[0] < 0 ?
+                        extractIsosurface(volume, options.isovalue, -1) :
+                        undefined
+                };
+            }
+            if (volume.surfaces.positive !== undefined) {
+                this.isosurfaces.add(new THREE.Mesh(volume.surfaces.positive, positiveMaterial));
+            }
+            if (volume.surfaces.negative !== undefined) {
+                this.isosurfaces.add(new THREE.Mesh(volume.surfaces.negative, negativeMaterial));
+            }
+        }
+        this.updateVolumeList();
+    }
+
+    /**
+     * Update the list of volumes to choose from in the View tab
+     */
+    updateVolumeList() {
+        const select = document.getElementById("volumeSelect");
+        if (select === null) {
+            return;
+        }
+        const section = this.api.visibleSections().find(s=>s.volumes.length > 0);
+        const names = section === undefined ? [] : section.volumes.map(v=>v.name);
+        const current = [...select.options].map(o=>o.text);
+        if (names.join("\n") !== current.join("\n")) {
+            select.innerHTML = names.map(
+                (name, i) => `<option value="${i}">${name}</option>`
+            ).join("");
+        }
+        select.value = this.isosurfaceOptions.volumeIndex;
+    }
+
+    /**
+     * Get the atom or bond drawn by an instance
+     * @param {THREE.InstancedMesh} mesh
+     * @param {number} instanceId
+     * @returns {{}} Atom or bond, or undefined if not found
+     */
+    instanceItem(mesh, instanceId) {
+        for (const sectionView of this.sectionViews.values()) {
+            if (mesh === sectionView.atomMesh) {
+                return sectionView.atoms[instanceId];
+            }
+            const bonds = sectionView.instanceBonds.get(mesh);
+            if (bonds !== undefined) {
+                return bonds[instanceId];
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Get the meshes that atoms and bonds can be picked from
+     * @returns {THREE.InstancedMesh[]}
+     */
+    pickableMeshes() {
+        return [...this.sectionViews.values()].flatMap(v=>v.meshes());
+    }
+
+    /**
+     * Color the atom or bond instances to show what is selected.
+     * Only instances with a changed selection state are updated.
+     */
+    updateHighlight() {
+        const selection = this.api.selection;
+        const selected = new Set([...selection.atoms, ...selection.bonds]);
+        const changed = new Set([...this.highlighted, ...selected]);
+        for (const item of changed) {
+            const section = item.atom1?.section ?? item.section;
+            this.sectionViews.get(section)?.setHighlight(item, selected.has(item));
+        }
+        this.highlighted = selected;
+    }
+
+    /**
+     * Update the instances of atoms that have moved, and of their bonds
+     * @param {{}[]} atoms
+     */
+    updateAtomPositions(atoms) {
+        const sectionAtoms = new Map();
+        for (const atom of atoms) {
+            if (!sectionAtoms.has(atom.section)) {
+                sectionAtoms.set(atom.section, []);
+            }
+            sectionAtoms.get(atom.section).push(atom);
+        }
+        for (const [section, moved] of sectionAtoms) {
+            this.sectionViews.get(section)?.updateAtoms(moved);
+        }
+        this.api.measurements.update();
+    }
+
+    /**
+     * Update the view after the visible sections have changed (such as
+     * when stepping through a trajectory). Only the newly visible
+     * sections are drawn, reusing the meshes of the hidden ones.
+     */
+    redrawFrame() {
+        this.redrawIsosurfaces();
+        this.redrawAtomView([]);
+        this.redrawBondView([]);
+    }
+
+    /**
+     * Draw atoms
+     * @param {Section[]} sections Sections that have changed, defaults
+     * to all visible sections (sections that are not drawn yet are
+     * always drawn)
+     */
+    redrawAtomView(sections) {
+        this.syncSectionViews();
+        this.updateColorBar();
+        this.staleSectionViews(sections, "atoms").forEach(v=>v.drawAtoms());
+        this.api.measurements.update();
+        this.api.primitives.redraw();
+    }
+
+    /**
+     * Draw bonds
+     * @param {Section[]} sections Sections that have changed, defaults
+     * to all visible sections (sections that are not drawn yet are
+     * always drawn)
+     */
+    redrawBondView(sections) {
+        this.syncSectionViews();
+        this.staleSectionViews(sections, "bonds").forEach(v=>v.drawBonds());
+    }
+
+    /**
+     * Remove everything drawn, and free the GPU resources used
+     */
+    dispose() {
+        this.sectionViews.forEach(v=>v.dispose());
+        this.sectionViews.clear();
+        this.geometries.forEach(g=>g.dispose());
+        this.geometries.clear();
+        for (const m of [this.atomMaterial, this.bondMaterial, this.lineMaterial, ...this.isosurfaceMaterials]) {
+            m.dispose();
+        }
+        this.isosurfaces.clear();
+    }
 }
 
-export {View}
\ No newline at end of file
+export {View, styles};
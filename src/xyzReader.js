@@ -0,0 +1,165 @@
+import {Vector3} from "three";
+import {Section} from "./section.js";
+import {symbolFromNumber, elementSymbol} from "./constants.js";
+import {perceiveBonds} from "./bondPerception.js";
+import {createCell} from "./crystal.js";
+
+/**
+ * Parse an XYZ file, where each frame (an atom count, a comment line and
+ * one line per atom) becomes a section. Extended XYZ comment lines are
+ * also read: the Lattice becomes the unit cell of the section, the
+ * Properties columns (other than species and pos) become atom attributes,
+ * except for a label column, which gives the atom labels (such as "C1").
+ * Any other key=value pairs become section attributes.
+ * @param {string} text Content of the XYZ file
+ * @param {function(number, string, string)} report Called with the index
+ * of the line, the severity and a message for each problem found
+ * @returns {Section[]} List of sections
+ */
+function parseXYZ(text, report=() => {}) {
+    const lines = text.split(/\r?\n/);
+    const sections = [];
+    let i = 0;
+    while (i < lines.length) {
+        if (lines[i].trim() === "") {
+            i++;
+            continue;
+        }
+        const nAtoms = parseInt(lines[i]);
+        if (isNaN(nAtoms)) {
+            report(i, "error", `Expected an atom count, not "${lines[i].trim()}"`);
+            break;
+        }
+        const comment = lines[i + 1] ?? "";
+        const section = new Section([], [], comment);
+        const columns = parseComment(comment, section, i + 1, report);
+
+        for (let j=0; j<nAtoms; j++) {
+            const k = i + 2 + j;
+            if (k >= lines.length || lines[k].trim() === "") {
+                report(k, "error", `Expected ${nAtoms} atoms, but found ${j}`);
+                break;
+            }
+            parseAtom(lines[k], columns, section, k, report);
+        }
+        section.bonds = perceiveBonds(section.atoms);
+        sections.push(section);
+        i += 2 + nAtoms;
+    }
+    return sections;
+}
+
+// Columns of plain XYZ files
+const defaultColumns = [
+    {name: "species", type: "S", count: 1},
+    {name: "pos", type: "R", count: 3}
+];
+
+/**
+ * Split an extended XYZ comment line into key=value pairs, where values
+ * can be quoted. Keys without values are flags, set to "T".
+ * @param {string} comment
+ * @returns {Map<string, string>}
+ */
+function commentPairs(comment) {
+    const pairs = new Map();
+    const pattern = /([A-Za-z_][\w-]*)(?:=("[^"]*"|\{[^}]*\}|\S+))?/g;
+    for (const [, key, value] of comment.matchAll(pattern)) {
+        pairs.set(key, value === undefined ? "T" : value.replace(/^["{]|["}]$/g, ""));
+    }
+    return pairs;
+}
+
+/**
+ * Read the extended XYZ keys of a comment line, if there are any
+ * @param {string} comment
+ * @param {Section} section Section to set the cell and attributes of
+ * @param {number} line Index of the comment line
+ * @param {function(number, string, string)} report
+ * @returns {{name: string, type: string, count: number}[]} Atom columns
+ */
+function parseComment(comment, section, line, report) {
+    if (!/\b(Lattice|Properties)=/.test(comment)) {
+        return defaultColumns;
+    }
+    const pairs = commentPairs(comment);
+    let columns = defaultColumns;
+
+    if (pairs.has("Lattice")) {
+        const values = pairs.get("Lattice").trim().split(/\s+/).map(v=>parseFloat(v));
+        if (values.length === 9 && values.every(v=>!isNaN(v))) {
+            section.cell = createCell([0, 3, 6].map(k=>new Vector3(...values.slice(k, k + 3))));
+        } else {
+            report(line, "warning", "Lattice should have 9 values");
+        }
+    }
+
+    if (pairs.has("Properties")) {
+        const fields = pairs.get("Properties").split(":");
+        columns = [];
+        for (let k=0; k+2<fields.length; k+=3) {
+            columns.push({
+                name: fields[k],
+                type: fields[k + 1].toUpperCase(),
+                count: parseInt(fields[k + 2])
+            });
+        }
+        if (!columns.some(c=>c.name === "pos")) {
+            report(line, "error", "Properties has no pos column");
+            columns = defaultColumns;
+        }
+    }
+
+    for (const [key, value] of pairs) {
+        if (key !== "Lattice" && key !== "Properties") {
+            section.attributes.set(key, value);
+        }
+    }
+    return columns;
+}
+
+/**
+ * Parse one atom line and add the atom to a section
+ * @param {string} text
+ * @param {{name: string, type: string, count: number}[]} columns
+ * @param {Section} section
+ * @param {number} line Index of the line
+ * @param {function(number, string, string)} report
+ */
+function parseAtom(text, columns, section, line, report) {
+    const values = text.trim().split(/[ \t]+/g);
+    let symbol = "X";
+    let position = new Vector3();
+    const attributes = new Map();
+    let k = 0;
+    for (const column of columns) {
+        const v = values.slice(k, k + column.count);
+        k += column.count;
+        if (v.length < column.count) {
+            report(line, "error", `Missing ${column.name} column`);
+            break;
+        }
+        if (column.name === "species") {
+            // Atomic numbers are also accepted
+            symbol = /^\d+$/.test(v[0]) ? symbolFromNumber(parseInt(v[0])) : v[0];
+        } else if (column.name === "pos") {
+            const p = v.map(c=>parseFloat(c));
+            if (p.some(isNaN)) {
+                report(line, "warning", "Invalid coordinates, replaced with 0");
+            }
+            position = new Vector3(...p.map(c=>isNaN(c) ? 0 : c));
+        } else {
+            // Multiple values are comma-separated, as in the <ATOM> block
+            attributes.set(column.name, v.join(","));
+        }
+    }
+    // Atom labels (such as "C1") are written in their own column
+    const label = attributes.get("label");
+    if (label !== undefined && elementSymbol(label) === elementSymbol(symbol)) {
+        symbol = label;
+        attributes.delete("label");
+    }
+    section.addAtom(symbol, position, attributes);
+}
+
+export {parseXYZ};
@@ -0,0 +1,55 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {parseCube} from "../src/cubeReader.js";
+
+// Hydrogen molecule, with a 2×2×2 grid (in bohr)
+const cube = [
+    "Hydrogen molecule",
+    "Density",
+    "    2   -1.000000   -1.000000   -1.000000",
+    "    2    2.000000    0.000000    0.000000",
+    "    2    0.000000    2.000000    0.000000",
+    "    2    0.000000    0.000000    2.000000",
+    "    1    0.000000    0.000000    0.000000    0.000000",
+    "    1    0.000000    0.000000    0.000000    1.400000",
+    "  0.1  0.2  0.3  0.4  0.5  0.6",
+    "  0.7  0.8"
+];
+
+const parse = text => {
+    const diagnostics = [];
+    const section = parseCube(text, "h2.cube", (i, severity, message) => diagnostics.push([i + 1, severity, message]));
+    return {section, diagnostics};
+};
+
+test("valid cube file", () => {
+    const {section, diagnostics} = parse(cube.join("\n"));
+    assert.deepEqual(diagnostics, []);
+    assert.equal(section.comment, "Density");
+    assert.deepEqual(section.atoms.map(a=>a.symbol), ["H", "H"]);
+    assert.equal(section.volumes.length, 1);
+    assert.deepEqual(section.volumes[0].dims, [2, 2, 2]);
+    assert.deepEqual([...section.volumes[0].data].map(v=>Number(v.toFixed(1))), [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8]);
+});
+
+test("truncated cube file", () => {
+    for (const text of ["", "garbage\n", cube.slice(0, 4).join("\n")]) {
+        const {section, diagnostics} = parse(text);
+        assert.equal(section, undefined);
+        assert.equal(diagnostics.length, 1);
+        assert.equal(diagnostics[0][1], "error");
+    }
+    assert.deepEqual(parse(cube.slice(0, 7).join("\n")).diagnostics, [
+        [7, "error", "File ends before the atom 2"]
+    ]);
+});
+
+test("truncated grid", () => {
+    const {section, diagnostics} = parse(cube.slice(0, 9).join("\n"));
+    assert.deepEqual(diagnostics, [
+        [9, "error", "Expected 8 grid values, but found 6, the grid is left out"]
+    ]);
+    // The atoms are kept, without the incomplete grid
+    assert.equal(section.atoms.length, 2);
+    assert.deepEqual(section.volumes, []);
+});
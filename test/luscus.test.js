@@ -0,0 +1,123 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {readFileSync} from "node:fs";
+import {parseLuscus} from "../src/fileReader.js";
+import {luscusString} from "../src/fileWriter.js";
+
+/**
+ * Parse a file in the fixtures directory
+ * @param {string} name Name of the file
+ * @returns {{sections: Section[], diagnostics: {}[]}}
+ */
+function parseFixture(name) {
+    const text = readFileSync(new URL(`fixtures/${name}`, import.meta.url), "utf8");
+    const diagnostics = [];
+    const sections = parseLuscus(text, name, diagnostics);
+    return {sections, diagnostics};
+}
+
+// Diagnostics as [line, severity, message]
+const brief = diagnostics => diagnostics.map(d=>[d.line, d.severity, d.message]);
+
+test("valid file", () => {
+    const {sections, diagnostics} = parseFixture("valid.lus");
+    assert.deepEqual(diagnostics, []);
+    assert.equal(sections.length, 1);
+    const [water] = sections;
+    assert.equal(water.comment.trim(), "water");
+    assert.deepEqual(water.atoms.map(a=>a.symbol), ["O", "H", "H"]);
+    assert.deepEqual(water.atoms.map(a=>a.attributes.get("charge")), ["-0.834", "0.417", "0.417"]);
+    assert.equal(water.automaticBonds, false);
+    assert.deepEqual(water.bonds.map(b=>[b.atom1.sectionIdx, b.atom2.sectionIdx, b.order]), [[1, 2, 1], [1, 3, 1]]);
+});
+
+test("grid with density blocks", () => {
+    const {sections, diagnostics} = parseFixture("grid.lus");
+    assert.deepEqual(diagnostics, []);
+    const volumes = sections[0].volumes;
+    assert.deepEqual(volumes.map(v=>v.name), ["1 1 -0.5000 (1.0000) 1s", "Density"]);
+    assert.deepEqual(volumes[0].dims, [2, 2, 2]);
+    assert.deepEqual([...volumes[1].data].map(v=>Number(v.toFixed(2))), [0.01, 0.04, 0.09, 0.16, 0.25, 0.36, 0.49, 0.64]);
+    assert.deepEqual(sections[0].extraBlocks.map(b=>b.tag), ["GRID", "DENSITY", "DENSITY"]);
+});
+
+test("vibrations", () => {
+    const {sections, diagnostics} = parseFixture("vibration.lus");
+    assert.deepEqual(brief(diagnostics), [
+        [15, "warning", "Vibration with frequency 3832.2 has 2 displacements, but there are 3 atoms"]
+    ]);
+    const [bend, stretch] = sections[0].vibrations;
+    assert.equal(bend.frequency, 1634.5);
+    assert.equal(bend.irIntensity, 71.2);
+    assert.equal(bend.ramanIntensity, 0.5);
+    assert.equal(bend.attributes.get("SYMMETRY"), "a1");
+    assert.equal(stretch.displacements.length, 3);
+});
+
+test("primitives and cell", () => {
+    const {sections, diagnostics} = parseFixture("primitives.lus");
+    assert.deepEqual(brief(diagnostics), [
+        [19, "warning", "<TRIANGLE> block needs 3 points, but has 2"]
+    ]);
+    const section = sections[0];
+    assert.deepEqual(section.primitives.map(p=>p.type), ["vector", "sphere", "textbox", "triangle"]);
+    assert.equal(section.primitives[0].attributes.get("RADIUS"), "0.1");
+    assert.equal(section.primitives[1].transparency, 0.5);
+    assert.equal(section.primitives[2].text, "Helium");
+    assert.deepEqual(section.cell.vectors.map(v=>v.toArray()), [[3, 0, 0], [0, 3, 0], [0, 0, 3]]);
+});
+
+test("unknown blocks are kept", () => {
+    const {sections, diagnostics} = parseFixture("unknown-block.lus");
+    assert.deepEqual(brief(diagnostics), [
+        [9, "warning", "Ignored unexpected line \"stray line\""]
+    ]);
+    assert.deepEqual(sections[0].extraBlocks, [
+        {tag: "ORBITAL", lines: [" ENERGY = -0.5782", " OCC = 2.0"]}
+    ]);
+});
+
+test("missing closing tag", () => {
+    const {sections, diagnostics} = parseFixture("unclosed.lus");
+    assert.deepEqual(brief(diagnostics), [
+        [5, "error", "<BOND> block is not closed"]
+    ]);
+    // The block ends at the next opening tag
+    assert.equal(sections[0].bonds.length, 1);
+    assert.deepEqual(sections[0].primitives.map(p=>p.type), ["vector"]);
+});
+
+test("too few atoms", () => {
+    const {sections, diagnostics} = parseFixture("too-few-atoms.lus");
+    assert.deepEqual(brief(diagnostics), [
+        [5, "error", "Expected 3 atoms, but found 2"]
+    ]);
+    assert.equal(sections[0].atoms.length, 2);
+    assert.equal(sections[0].bonds.length, 1);
+});
+
+test("bad bond index", () => {
+    const {sections, diagnostics} = parseFixture("bad-bond.lus");
+    assert.deepEqual(brief(diagnostics), [
+        [8, "warning", "Ignored bond between atoms 1 and 5 (there are 2 atoms)"],
+        [9, "warning", "Ignored bond between atoms 2 and 2 (there are 2 atoms)"]
+    ]);
+    assert.equal(sections[0].bonds.length, 1);
+});
+
+test("saved files are stable", async t => {
+    const fixtures = [
+        "valid.lus", "grid.lus", "vibration.lus", "primitives.lus",
+        "unknown-block.lus", "unclosed.lus", "too-few-atoms.lus", "bad-bond.lus"
+    ];
+    for (const name of fixtures) {
+        await t.test(name, () => {
+            const first = luscusString(parseFixture(name).sections);
+            const diagnostics = [];
+            const second = luscusString(parseLuscus(first, name, diagnostics));
+            // Blocks that were not closed are closed when saved
+            assert.deepEqual(diagnostics.filter(d=>d.severity === "error"), []);
+            assert.equal(second, first);
+        });
+    }
+});
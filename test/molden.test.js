@@ -0,0 +1,56 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {parseMolden} from "../src/moldenReader.js";
+
+// Hydrogen molecule, with a minimal basis
+const molden = [
+    "[Molden Format]",
+    "[Atoms] AU",
+    "H     1    1    0.000000    0.000000    0.000000",
+    "H     2    1    0.000000    0.000000    1.400000",
+    "[GTO]",
+    "  1 0",
+    " s    1 1.00",
+    "  0.5 1.0",
+    "",
+    "  2 0",
+    " s    1 1.00",
+    "  0.5 1.0",
+    "",
+    "[MO]",
+    " Sym= 1a",
+    " Ene= -0.5782",
+    " Spin= Alpha",
+    " Occup= 2.0",
+    "   1   0.55",
+    "   2   0.55"
+];
+
+const parse = text => {
+    const diagnostics = [];
+    const section = parseMolden(text, (i, severity, message) => diagnostics.push([i + 1, severity, message]));
+    return {section, diagnostics};
+};
+
+test("valid Molden file", () => {
+    const {section, diagnostics} = parse(molden.join("\n"));
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(section.atoms.map(a=>a.symbol), ["H", "H"]);
+    assert.equal(section.basis.length, 2);
+    assert.equal(section.orbitals.length, 1);
+    assert.equal(section.orbitals[0].occupation, 2);
+});
+
+test("Molden file without atoms", () => {
+    for (const text of ["", "garbage\n", molden.slice(4).join("\n")]) {
+        const {section, diagnostics} = parse(text);
+        assert.equal(section, undefined);
+        assert.deepEqual(diagnostics, [[1, "error", "No atoms found"]]);
+    }
+});
+
+test("Molden file without orbitals", () => {
+    const {section, diagnostics} = parse(molden.slice(0, 4).join("\n"));
+    assert.equal(section.atoms.length, 2);
+    assert.deepEqual(diagnostics, [[1, "error", "No orbitals found"]]);
+});
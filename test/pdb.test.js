@@ -0,0 +1,44 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {parsePDB} from "../src/pdbReader.js";
+
+// Carbon dioxide, with its double bonds in CONECT records
+const model = [
+    "HETATM    1  C   CO2 A   1       0.000   0.000   0.000  1.00  0.00           C",
+    "HETATM    2  O1  CO2 A   1       1.160   0.000   0.000  1.00  0.00           O",
+    "HETATM    3  O2  CO2 A   1      -1.160   0.000   0.000  1.00  0.00           O"
+];
+const conect = [
+    "CONECT    1    2    2    3    3",
+    "CONECT    2    1    1",
+    "CONECT    3    1    1"
+];
+
+const bondOrders = section => section.bonds.map(
+    b=>[b.atom1.sectionIdx, b.atom2.sectionIdx, b.order]
+).sort((a, b) => a[1] - b[1]);
+
+test("CONECT records apply to every model", () => {
+    const diagnostics = [];
+    const sections = parsePDB([
+        "MODEL        1", ...model, "ENDMDL",
+        "MODEL        2", ...model, "ENDMDL",
+        ...conect, "END"
+    ].join("\n"), (i, severity, message) => diagnostics.push(message));
+    assert.deepEqual(diagnostics, []);
+    assert.equal(sections.length, 2);
+    for (const section of sections) {
+        assert.deepEqual(bondOrders(section), [[1, 2, 2], [1, 3, 2]]);
+        assert.ok(section.bonds.every(b=>b.atom1.section === section && b.atom2.section === section));
+    }
+});
+
+test("CONECT records between unknown atoms", () => {
+    const diagnostics = [];
+    parsePDB([
+        "MODEL        1", ...model, "ENDMDL",
+        "MODEL        2", ...model, "ENDMDL",
+        "CONECT    1    4", "END"
+    ].join("\n"), (i, severity, message) => diagnostics.push(message));
+    assert.deepEqual(diagnostics, ["CONECT record between unknown atoms 1 and 4"]);
+});
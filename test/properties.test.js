@@ -0,0 +1,20 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Vector3} from "three";
+import {computeProperties} from "../src/properties.js";
+
+const atom = (symbol, x, y, z) => ({
+    symbol: symbol,
+    position: new Vector3(x, y, z),
+    attributes: new Map()
+});
+
+test("formula of labelled atoms", () => {
+    const properties = computeProperties([
+        atom("O1", 0, 0, 0.1173),
+        atom("H1", 0, 0.7572, -0.4692),
+        atom("H2", 0, -0.7572, -0.4692)
+    ]);
+    assert.equal(properties.formula, "H2O");
+    assert.deepEqual(properties.elementCounts, {H: 2, O: 1});
+});
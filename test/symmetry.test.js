@@ -0,0 +1,22 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Vector3} from "three";
+import {findPointGroup, symmetrizedPositions} from "../src/symmetry.js";
+
+const atom = (symbol, x, y, z) => ({
+    symbol: symbol,
+    position: new Vector3(x, y, z),
+    attributes: new Map()
+});
+
+test("point group of labelled atoms", () => {
+    const water = [
+        atom("O1", 0, 0, 0.1173),
+        atom("H1", 0, 0.7572, -0.4692),
+        atom("H2", 0, -0.7572, -0.4692)
+    ];
+    const result = findPointGroup(water);
+    assert.equal(result.pointGroup, "C2v");
+    const positions = symmetrizedPositions(water, result, 0.1);
+    assert.ok(Math.abs(positions[1].length() - positions[2].length()) < 1e-9);
+});
@@ -0,0 +1,72 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {parseXYZ} from "../src/xyzReader.js";
+import {xyzString} from "../src/fileWriter.js";
+
+const water = [
+    "3",
+    "water",
+    "O1    0.000000   0.000000   0.117300",
+    "H1    0.000000   0.757200  -0.469200",
+    "H2    0.000000  -0.757200  -0.469200"
+];
+
+const parse = text => {
+    const diagnostics = [];
+    const sections = parseXYZ(text, (i, severity, message) => diagnostics.push([i + 1, severity, message]));
+    return {sections, diagnostics};
+};
+
+test("multiple frames", () => {
+    const {sections, diagnostics} = parse([
+        ...water,
+        "2",
+        "hydrogen",
+        "H  0.0  0.0  0.0",
+        "H  0.0  0.0  0.74"
+    ].join("\n"));
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(sections.map(s=>s.comment), ["water", "hydrogen"]);
+    assert.deepEqual(sections.map(s=>s.atoms.length), [3, 2]);
+    assert.deepEqual(sections[1].atoms[1].position.toArray(), [0, 0, 0.74]);
+});
+
+test("labelled atoms are written as elements", () => {
+    const text = xyzString(parse(water.join("\n")).sections);
+    assert.deepEqual(text.split("\n").slice(2, 5).map(l=>l.split(/\s+/)[0]), ["O", "H", "H"]);
+    // Extended XYZ keeps the labels in their own column
+    const {sections} = parse(xyzString(parse(water.join("\n")).sections, true));
+    assert.deepEqual(sections[0].atoms.map(a=>a.symbol), ["O1", "H1", "H2"]);
+    assert.equal(sections[0].atoms[0].attributes.size, 0);
+});
+
+test("extended XYZ round trip", () => {
+    const {sections, diagnostics} = parse([
+        "2",
+        "Lattice=\"3.0 0.0 0.0 0.0 3.0 0.0 0.0 0.0 3.0\" Properties=species:S:1:pos:R:3:charge:R:1:forces:R:3 energy=-12.5 pbc=\"T T T\"",
+        "Na  0.0  0.0  0.0  1.0  0.1  0.0  0.0",
+        "Cl  1.5  1.5  1.5  -1.0  -0.1  0.0  0.0"
+    ].join("\n"));
+    assert.deepEqual(diagnostics, []);
+    const [crystal] = sections;
+    assert.deepEqual(crystal.cell.vectors.map(v=>v.toArray()), [[3, 0, 0], [0, 3, 0], [0, 0, 3]]);
+    assert.equal(crystal.attributes.get("energy"), "-12.5");
+    assert.equal(crystal.atoms[1].attributes.get("charge"), "-1.0");
+    assert.equal(crystal.atoms[0].attributes.get("forces"), "0.1,0.0,0.0");
+
+    const first = xyzString(sections, true);
+    const reread = parse(first);
+    assert.deepEqual(reread.diagnostics, []);
+    assert.deepEqual(reread.sections[0].cell.vectors.map(v=>v.toArray()), [[3, 0, 0], [0, 3, 0], [0, 0, 3]]);
+    assert.deepEqual(reread.sections[0].attributes, crystal.attributes);
+    assert.deepEqual(reread.sections[0].atoms.map(a=>a.attributes), crystal.atoms.map(a=>a.attributes));
+    assert.equal(xyzString(reread.sections, true), first);
+});
+
+test("plain comments are kept in extended XYZ", () => {
+    const text = xyzString(parse(water.join("\n").replace("water", "water, \"optimized\"")).sections, true);
+    assert.match(text.split("\n")[1], /comment="water, 'optimized'"/);
+    const {sections} = parse(text);
+    assert.equal(sections[0].attributes.get("comment"), "water, 'optimized'");
+    assert.equal(xyzString(sections, true), text);
+});